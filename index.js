@@ -1 +1,7 @@
-export { jsonapiModule, utils } from './src/jsonapi-vuex'
+export {
+  jsonapiModule,
+  utils,
+  JsonApiError,
+  RecordError,
+  CancelError,
+} from './src/jsonapi-vuex'
@@ -9,8 +9,9 @@ import merge from 'lodash.merge'
 import jp from 'jsonpath/jsonpath.min'
 
 /**
- * Custom exception for returning record errors
- * @memberof module:jsonapi-vuex._internal
+ * Custom exception for invalid records or arguments - e.g. a record without a `type` or `id`.
+ * `value` is the invalid record or argument.
+ * @memberof module:jsonapi-vuex
  */
 class RecordError extends Error {
   constructor(message, value) {
@@ -19,9 +20,45 @@ class RecordError extends Error {
   }
 }
 
+/**
+ * Custom exception for actions which have been cancelled (e.g. by aborting the `signal` passed in the config).
+ * `value` is the action id, if known.
+ * @memberof module:jsonapi-vuex
+ */
+class CancelError extends Error {
+  constructor(message, value) {
+    super(message)
+    this.value = value
+  }
+}
+
+/**
+ * Custom exception for failed API requests.
+ *
+ * `errors` contains the JSONAPI error objects from the response (or a single error describing the failure,
+ * if the response wasn't JSONAPI), each with `status`, `code`, `title`, `detail`, `meta`,
+ * `pointer` and `parameter` (from `source`), and `field` - the attribute or relationship name the pointer refers to.
+ * @memberof module:jsonapi-vuex
+ */
+class JsonApiError extends Error {
+  constructor(message, value, errors = []) {
+    super(message)
+    this.value = value
+    this.response = get(value, ['response'])
+    this.status = get(value, ['response', 'status'])
+    this.errors = errors
+  }
+}
+
 const STATUS_LOAD = 'LOADING'
 const STATUS_SUCCESS = 'SUCCESS'
 const STATUS_ERROR = 'ERROR'
+const STATUS_CANCELLED = 'CANCELLED'
+const STATUS_RETRY = 'RETRYING'
+
+// Media type for requests using the Atomic Operations extension
+const ATOMIC_MEDIA_TYPE =
+  'application/vnd.api+json; ext="https://jsonapi.org/ext/atomic"'
 
 /**
  * @namespace Configuration
@@ -34,8 +71,19 @@ const STATUS_ERROR = 'ERROR'
  * @property {boolean} cleanPatch=false - Always run 'cleanPatch' method when patching
  * @property {string[]} cleanPatchProps='[]' - If cleanPatch is enabled, which _jv props (links, meta, rels) should be kept?
  * @property {boolean} recurseRelationships=false - Allow relationships to be recursive?
+ * @property {string} atomicEndpoint='operations' - The endpoint for Atomic Operations requests
+ * @property {boolean} removeDangling=false - Remove references to deleted records from the relationships of other records
+ * @property {string[]} cascade='[]' - Relationships whose related records are also deleted when a record is deleted
+ * @property {integer} maxRecords=0 - The maximum number of records to keep in the store (0 - no limit)
+ * @property {integer} maxRecordsPerType=0 - The maximum number of records of each type to keep in the store (0 - no limit)
+ * @property {integer} queryLifetime=300000 - How long (ms) queries are kept (and pin their records) after they were last fetched or accessed, when collecting garbage (0 - forever)
+ * @property {object} inverses={} - Inverse relationships to keep consistent, as `{ relName: inverseRelName }` (usually set in `types`)
+ * @property {(string|function)} endpoint=null - A template (e.g. `orders/:order/items`) or function returning the collection endpoint for a type
+ * @property {(boolean|function)} pluralize=false - Pluralize types to get their endpoints (if no `endpoint` is set)
+ * @property {object} types={} - Overrides of `mergeRecords`, `clearOnUpdate`, `cleanPatch`, `cleanPatchProps`,
+ * `followRelationshipsData`, `preserveJson`, `endpoint`, `pluralize`, `removeDangling`, `cascade`, `inverses` and `maxRecordsPerType` for individual types, e.g. `{ report: { mergeRecords: false } }`
  */
-let jvConfig = {
+const defaultConfig = {
   jvtag: '_jv',
   followRelationshipsData: true,
   preserveJson: false,
@@ -45,10 +93,26 @@ let jvConfig = {
   cleanPatch: false,
   cleanPatchProps: [],
   recurseRelationships: false,
+  atomicEndpoint: 'operations',
+  cachePolicy: 'network-first',
+  maxAge: 0,
+  retries: 0,
+  retryDelay: 500,
+  retryMaxDelay: 30000,
+  retryStatuses: [408, 429, 500, 502, 503, 504],
+  retryMethods: ['get'],
+  clientIds: false,
+  removeDangling: false,
+  cascade: [],
+  inverses: {},
+  maxRecords: 0,
+  maxRecordsPerType: 0,
+  queryLifetime: 300000,
+  endpoint: null,
+  pluralize: false,
+  types: {},
 }
 
-let jvtag
-
 /**
  * Shorthand for the 'safe' `hasOwnProperty` as described here:
  * [eslint: no-prototype-builtins](https://eslint.org/docs/rules/no-prototype-builtins])
@@ -58,1171 +122,4177 @@ const hasProperty = (obj, prop) => {
   return Object.prototype.hasOwnProperty.call(obj, prop)
 }
 
-// Global sequence counter for unique action ids
-let actionSequenceCounter = 0
-
 /**
- * @namespace
- * @memberof module:jsonapi-vuex.jsonapiModule
+ * A simple (English) pluralization of a type name, e.g. `widget` -> `widgets`, `category` -> `categories`
+ * @memberof module:jsonapi-vuex._internal
+ * @param {string} word - The word to pluralize
+ * @return {string} The plural of the word
  */
-const mutations = () => {
-  return {
-    /**
-     * Delete a record from the store.
-     * @memberof module:jsonapi-vuex.jsonapiModule.mutations
-     * @param {object} state - The Vuex state object
-     * @param {(string|object)} record - The record to be deleted
-     */
-    deleteRecord: (state, record) => {
-      const [type, id] = getTypeId(record)
-      if (!type || !id) {
-        throw new RecordError('deleteRecord: Missing type or id', record)
-      }
-      Vue.delete(state[type], id)
-    },
-    /**
-     * Add record(s) to the store, according to `mergeRecords` config option
-     * @memberof module:jsonapi-vuex.jsonapiModule.mutations
-     * @param {object} state - The Vuex state object
-     * @param {object} records - The record(s) to be added
-     */
-    addRecords: (state, records) => {
-      updateRecords(state, records)
-    },
-    /**
-     * Replace (or add) record(s) to the store
-     * @memberof module:jsonapi-vuex.jsonapiModule.mutations
-     * @param {object} state - The Vuex state object
-     * @param {object} records - The record(s) to be replaced
-     */
-    replaceRecords: (state, records) => {
-      updateRecords(state, records, false)
-    },
-    /**
-     * Merge (or add) records to the store
-     * @memberof module:jsonapi-vuex.jsonapiModule.mutations
-     * @param {object} state - The Vuex state object
-     * @param {object} records - The record(s) to be merged
-     */
-    mergeRecords: (state, records) => {
-      updateRecords(state, records, true)
-    },
-    /**
-     * Delete all records from the store for a given type
-     * @memberof module:jsonapi-vuex.jsonapiModule.mutations
-     * @param {object} state - The Vuex state object
-     * @param {object} records - A record with type set.
-     */
-    clearRecords: (state, records) => {
-      const newRecords = normToStore(records)
-      for (let [type, item] of Object.entries(newRecords)) {
-        const storeRecords = get(state, [type], {})
-        for (let id of Object.keys(storeRecords)) {
-          if (!hasProperty(item, id)) {
-            Vue.delete(state[type], id)
-          }
-        }
-      }
-    },
-    /**
-     * Record the status id of an action in the store
-     * @memberof module:jsonapi-vuex.jsonapiModule.mutations
-     * @param {object} state - The Vuex state object
-     * @param {object} obj
-     * @param {integer} obj.id - The action id to set
-     * @param {constant} obj.status - The action status to set
-     */
-    setStatus: (state, { id, status }) => {
-      Vue.set(state[jvtag], id, { status: status, time: Date.now() })
-    },
-    /**
-     * Delete the status id of an action from the store
-     * @memberof module:jsonapi-vuex.jsonapiModule.mutations
-     * @param {object} state - The Vuex state object
-     * @param {integer} id - The action id to delete
-     */
-    deleteStatus: (state, id) => {
-      if (hasProperty(state[jvtag], id)) {
-        Vue.delete(state[jvtag], id)
-      }
-    },
+const pluralize = (word) => {
+  if (/[^aeiou]y$/.test(word)) {
+    return word.slice(0, -1) + 'ies'
+  }
+  if (/(s|x|z|ch|sh)$/.test(word)) {
+    return word + 'es'
   }
+  return word + 's'
 }
 
 /**
- * Vuex actions, used via `this.$store.dispatch`, e.g.:
- * `this.$store.dispatch('jv/get', <args>)`
- *
- * `args` can be either a string or an object representing the item(s) required,
- * or it can be an array of string/object and an optional axios config object.
- * @namespace
- * @memberof module:jsonapi-vuex.jsonapiModule
- * @param {axios} api - an axios api instance
+ * Create an instance of the jsonapi-vuex mutations, actions, getters and helper functions, with its own config.
+ * Each {@link module:jsonapi-vuex.jsonapiModule} is a separate instance, so that several modules can coexist.
+ * @memberof module:jsonapi-vuex._internal
+ * @param {object} [conf={}] - jsonapi-vuex configuration (merged onto the defaults)
+ * @return {object} The instance's config, `mutations`, `actions` and `getters` factories, `utils` and `_testing` functions
  */
-const actions = (api) => {
-  return {
-    /**
-     * Get items from the API
-     *
-     * @async
-     * @memberof module:jsonapi-vuex.jsonapiModule.actions
-     * @param {object} context - Vuex context object
-     * @param {(string|object|array)} args - See {@link module:jsonapi-vuex.jsonapiModule.actions} for a summary of args
-     * @param {string}  - A URL path to an item - e.g. `endpoint/1`
-     * @param {object}  - A restructured object  - e.g. `{ _jv: { type: "endpoint", id: "1" } }`
-     * @param {array}  - A 2-element array, consisting of a string/object and an optional axios config object
-     * @return {object} Restructured representation of the requested item(s)
-     */
-    get: (context, args) => {
-      const [data, config] = unpackArgs(args)
-      const path = getURL(data)
-      const apiConf = { method: 'get', url: path }
-      // https://github.com/axios/axios/issues/362
-      config['data'] = config['data'] || {}
-      merge(apiConf, config)
-      const actionId = actionSequence(context)
-      context.commit('setStatus', { id: actionId, status: STATUS_LOAD })
-      let action = api(apiConf)
-        .then((results) => {
-          processIncludedRecords(context, results)
-
-          let resData = jsonapiToNorm(results.data.data)
-          context.commit('addRecords', resData)
-          if (jvConfig.clearOnUpdate) {
-            context.commit('clearRecords', resData)
-          }
-          resData = checkAndFollowRelationships(
-            context.state,
-            context.getters,
-            resData
-          )
-          resData = preserveJSON(resData, results.data)
-          context.commit('setStatus', {
-            id: actionId,
-            status: STATUS_SUCCESS,
-          })
-          return resData
-        })
-        .catch((error) => {
-          context.commit('setStatus', { id: actionId, status: STATUS_ERROR })
-          throw error
-        })
-      action[jvtag + 'Id'] = actionId
-      return action
-    },
-    /**
-     * Get related items from the API
-     *
-     * @async
-     * @memberof module:jsonapi-vuex.jsonapiModule.actions
-     * @param {object} context - Vuex context object
-     * @param {(string|object|array)} args - See {@link module:jsonapi-vuex.jsonapiModule.actions} for a summary of args
-     * @param {string}  - A URL path to an item - e.g. `endpoint/1`
-     * @param {object}  - A restructured object  - e.g. `{ _jv: { type: "endpoint", id: "1" } }`
-     * @param {array}  - A 2-element array, consisting of a string/object and an optional axios config object
-     * @return {object} Restructured representation of the requested item(s)
-     */
-    getRelated: async (context, args) => {
-      const data = unpackArgs(args)[0]
-      let [type, id, relName] = getTypeId(data)
-      if (!type || !id) {
-        throw 'No type/id specified'
-      }
-      const actionId = actionSequence(context)
-      context.commit('setStatus', { id: actionId, status: STATUS_LOAD })
-
-      let rels
-      if (
-        typeof data === 'object' &&
-        hasProperty(data[jvtag], 'relationships')
-      ) {
-        rels = data[jvtag]['relationships']
-      } else {
-        try {
-          let record = await context.dispatch('get', args)
+const createInstance = (conf = {}) => {
+  const jvConfig = Object.assign({}, defaultConfig, conf)
+  const jvtag = jvConfig['jvtag']
+  // Sequence counter for unique action ids
+  let actionSequenceCounter = 0
+  // When each record was last accessed (as a sequence number, indexed by `type/id`), for garbage collection.
+  // This is kept outside of the (reactive) state, as it is updated by getters.
+  const accessed = {}
+  let accessCounter = 0
+  // When each query was last accessed (ms since the epoch, indexed by query name)
+  const queryAccessed = {}
 
-          rels = get(record, [jvtag, 'relationships'], {})
-          if (relName && hasProperty(rels, relName)) {
-            // Only process requested relname
-            rels = { [relName]: rels[relName] }
+  /**
+   * @namespace
+   * @memberof module:jsonapi-vuex.jsonapiModule
+   */
+  const mutations = () => {
+    return {
+      /**
+       * Delete a record from the store.
+       *
+       * Records related through the type's `cascade` relationships are also deleted, and if `removeDangling`
+       * is set, references to the deleted record(s) are removed from the relationships of other records.
+       * @memberof module:jsonapi-vuex.jsonapiModule.mutations
+       * @param {object} state - The Vuex state object
+       * @param {(string|object)} record - The record to be deleted
+       */
+      deleteRecord: (state, record) => {
+        const [type, id] = getTypeId(record)
+        if (!type || !id) {
+          throw new RecordError('deleteRecord: Missing type or id', record)
+        }
+        removeRecords(state, cascadeRecords(state, type, id))
+      },
+      /**
+       * Add record(s) to the store, according to `mergeRecords` config option
+       * @memberof module:jsonapi-vuex.jsonapiModule.mutations
+       * @param {object} state - The Vuex state object
+       * @param {(object|array)} records - The record(s) to be added, or an array of record(s) and options
+       * (`{ pristine: false }` for local changes, which don't update the pristine copy)
+       */
+      addRecords: (state, records) => {
+        const [data, options] = unpackArgs(records)
+        updateRecords(state, data, undefined, options['pristine'] !== false)
+      },
+      /**
+       * Replace (or add) record(s) to the store
+       * @memberof module:jsonapi-vuex.jsonapiModule.mutations
+       * @param {object} state - The Vuex state object
+       * @param {(object|array)} records - The record(s) to be replaced, or an array of record(s) and options
+       * (`{ pristine: false }` for local changes, which don't update the pristine copy)
+       */
+      replaceRecords: (state, records) => {
+        const [data, options] = unpackArgs(records)
+        updateRecords(state, data, false, options['pristine'] !== false)
+      },
+      /**
+       * Merge (or add) records to the store
+       * @memberof module:jsonapi-vuex.jsonapiModule.mutations
+       * @param {object} state - The Vuex state object
+       * @param {(object|array)} records - The record(s) to be merged, or an array of record(s) and options
+       * (`{ pristine: false }` for local changes, which don't update the pristine copy)
+       */
+      mergeRecords: (state, records) => {
+        const [data, options] = unpackArgs(records)
+        updateRecords(state, data, true, options['pristine'] !== false)
+      },
+      /**
+       * Delete all records from the store for a given type
+       * @memberof module:jsonapi-vuex.jsonapiModule.mutations
+       * @param {object} state - The Vuex state object
+       * @param {object} records - A record with type set.
+       */
+      clearRecords: (state, records) => {
+        const newRecords = normToStore(records)
+        for (let [type, item] of Object.entries(newRecords)) {
+          const storeRecords = get(state, [type], {})
+          const removed = Object.keys(storeRecords).filter(
+            (id) => !hasProperty(item, id)
+          )
+          // Records in the update being applied must survive the cascade
+          const cascaded = [].concat(
+            ...removed.map((id) => cascadeRecords(state, type, id))
+          )
+          removeRecords(
+            state,
+            cascaded.filter(
+              (ident) =>
+                !hasProperty(get(newRecords, [ident['type']], {}), ident['id'])
+            )
+          )
+        }
+      },
+      /**
+       * Revert a record to its last server-confirmed (pristine) state, discarding any local changes
+       * @memberof module:jsonapi-vuex.jsonapiModule.mutations
+       * @param {object} state - The Vuex state object
+       * @param {(string|object)} record - The record to be reverted
+       */
+      revert: (state, record) => {
+        const [type, id] = getTypeId(record)
+        const pristine = get(state, [jvtag + 'Pristine', type, id])
+        if (pristine) {
+          Vue.set(state[type], id, _copy(pristine))
+        }
+      },
+      /**
+       * Re-key a record stored under a local id (`lid`) to its (server) id,
+       * and rewrite all references to it in other records' relationships and in queries.
+       * @memberof module:jsonapi-vuex.jsonapiModule.mutations
+       * @param {object} state - The Vuex state object
+       * @param {object} obj
+       * @param {string} obj.type - The record's type
+       * @param {string} obj.lid - The record's local id
+       * @param {string} obj.id - The record's new id
+       */
+      rekeyRecord: (state, { type, lid, id }) => {
+        rekeyRecord(state, type, lid, id)
+      },
+      /**
+       * Add resource identifier(s) to a stored record's relationship(s)
+       * @memberof module:jsonapi-vuex.jsonapiModule.mutations
+       * @param {object} state - The Vuex state object
+       * @param {object} record - A record with type, id and `relationships` set.
+       */
+      addRelationships: (state, record) => {
+        updateRelationships(state, record, 'add')
+      },
+      /**
+       * Remove resource identifier(s) from a stored record's relationship(s)
+       * @memberof module:jsonapi-vuex.jsonapiModule.mutations
+       * @param {object} state - The Vuex state object
+       * @param {object} record - A record with type, id and `relationships` set.
+       */
+      removeRelationships: (state, record) => {
+        updateRelationships(state, record, 'remove')
+      },
+      /**
+       * Replace the resource linkage of a stored record's relationship(s)
+       * @memberof module:jsonapi-vuex.jsonapiModule.mutations
+       * @param {object} state - The Vuex state object
+       * @param {object} record - A record with type, id and `relationships` set.
+       */
+      replaceRelationships: (state, record) => {
+        updateRelationships(state, record, 'replace')
+      },
+      /**
+       * Record the state of a query (links, ordered record identifiers etc) in the store
+       * @memberof module:jsonapi-vuex.jsonapiModule.mutations
+       * @param {object} state - The Vuex state object
+       * @param {object} obj
+       * @param {string} obj.query - The name of the query
+       * @param {object} obj.entry - The query's url, params, data, and document links, meta and jsonapi
+       */
+      setQuery: (state, { query, ...entry }) => {
+        Vue.set(state[jvtag + 'Queries'], query, entry)
+      },
+      /**
+       * Record the top-level `meta`, `links` and `jsonapi` members of a single record document returned by the API
+       * @memberof module:jsonapi-vuex.jsonapiModule.mutations
+       * @param {object} state - The Vuex state object
+       * @param {object} obj
+       * @param {string} obj.query - The name of the query (or the request URL)
+       * @param {object} obj.document - The document's `meta`, `links` and `jsonapi`, and the record's identifier (`data`)
+       */
+      setDocument: (state, { query, ...document }) => {
+        Vue.set(state[jvtag + 'Documents'], query, document)
+      },
+      /**
+       * Record the time that records were fetched from the API
+       * @memberof module:jsonapi-vuex.jsonapiModule.mutations
+       * @param {object} state - The Vuex state object
+       * @param {object} obj
+       * @param {array} obj.records - Resource identifiers (`{ type, id }`) of the records fetched
+       * @param {number} obj.time - The time they were fetched (ms since the epoch)
+       */
+      setFetched: (state, { records, time }) => {
+        const fetched = state[jvtag + 'Fetched']
+        for (let { type, id } of records) {
+          if (!hasProperty(fetched, type)) {
+            Vue.set(fetched, type, {})
           }
-        } catch (error) {
-          // Log and re-throw if 'get' action fails
-          context.commit('setStatus', { id: actionId, status: STATUS_ERROR })
-          throw error
+          Vue.set(fetched[type], id, time)
+        }
+      },
+      /**
+       * Record the (validation) errors for a record
+       * @memberof module:jsonapi-vuex.jsonapiModule.mutations
+       * @param {object} state - The Vuex state object
+       * @param {object} obj
+       * @param {(string|object)} obj.record - The record which the errors apply to
+       * @param {array} obj.errors - The errors (as in {@link module:jsonapi-vuex.JsonApiError})
+       */
+      setErrors: (state, { record, errors }) => {
+        const [type, id] = getTypeId(record)
+        const stored = state[jvtag + 'Errors']
+        if (!hasProperty(stored, type)) {
+          Vue.set(stored, type, {})
+        }
+        Vue.set(stored[type], id, errors)
+      },
+      /**
+       * Delete the errors for a record
+       * @memberof module:jsonapi-vuex.jsonapiModule.mutations
+       * @param {object} state - The Vuex state object
+       * @param {(string|object)} record - The record whose errors should be deleted
+       */
+      deleteErrors: (state, record) => {
+        const [type, id] = getTypeId(record)
+        const stored = get(state, [jvtag + 'Errors', type])
+        if (stored && hasProperty(stored, id)) {
+          Vue.delete(stored, id)
+        }
+      },
+      /**
+       * Delete the state of a query (and its document meta, links etc) from the store
+       * @memberof module:jsonapi-vuex.jsonapiModule.mutations
+       * @param {object} state - The Vuex state object
+       * @param {string} query - The name of the query to delete
+       */
+      deleteQuery: (state, query) => {
+        if (hasProperty(state[jvtag + 'Queries'], query)) {
+          Vue.delete(state[jvtag + 'Queries'], query)
+        }
+        const documents = state[jvtag + 'Documents']
+        if (documents && hasProperty(documents, query)) {
+          Vue.delete(documents, query)
+        }
+        delete queryAccessed[query]
+      },
+      /**
+       * Record the status id of an action in the store
+       * @memberof module:jsonapi-vuex.jsonapiModule.mutations
+       * @param {object} state - The Vuex state object
+       * @param {object} obj
+       * @param {integer} obj.id - The action id to set
+       * @param {constant} obj.status - The action status to set
+       * @param {integer} [obj.attempts] - The number of attempts made so far (for retrying actions)
+       */
+      setStatus: (state, { id, status, attempts }) => {
+        const entry = { status: status, time: Date.now() }
+        if (attempts) {
+          entry['attempts'] = attempts
         }
+        Vue.set(state[jvtag], id, entry)
+      },
+      /**
+       * Delete the status id of an action from the store
+       * @memberof module:jsonapi-vuex.jsonapiModule.mutations
+       * @param {object} state - The Vuex state object
+       * @param {integer} id - The action id to delete
+       */
+      deleteStatus: (state, id) => {
+        if (hasProperty(state[jvtag], id)) {
+          Vue.delete(state[jvtag], id)
+        }
+      },
+      /**
+       * Evict records from the store (see {@link module:jsonapi-vuex.jsonapiModule.actions.gc}).
+       * Unlike `deleteRecord`, other records are left alone, as evicted records still exist on the server.
+       * @memberof module:jsonapi-vuex.jsonapiModule.mutations
+       * @param {object} state - The Vuex state object
+       * @param {array} identifiers - Resource identifiers (`{ type, id }`) of the records to evict
+       */
+      evictRecords: (state, identifiers) => {
+        evictRecords(state, identifiers)
+      },
+    }
+  }
+
+  /**
+   * Vuex actions, used via `this.$store.dispatch`, e.g.:
+   * `this.$store.dispatch('jv/get', <args>)`
+   *
+   * `args` can be either a string or an object representing the item(s) required,
+   * or it can be an array of string/object and an optional axios config object.
+   *
+   * Failed requests are rejected with a {@link module:jsonapi-vuex.JsonApiError}.
+   * @namespace
+   * @memberof module:jsonapi-vuex.jsonapiModule
+   * @param {axios} axiosApi - an axios api instance
+   */
+  const actions = (axiosApi) => {
+    // Reject with a JsonApiError if a request fails
+    const api = (apiConf) => {
+      if (apiConf['signal'] && !apiConf['cancelToken']) {
+        // Older versions of axios ignore `signal`, so also use a CancelToken
+        apiConf = Object.assign({}, apiConf, {
+          cancelToken: signalCancelToken(apiConf['signal']),
+        })
       }
+      return axiosApi(apiConf).catch((error) => {
+        throw error instanceof CancelError ? error : toJsonApiError(error)
+      })
+    }
+    // Identical get/getRelated requests which are in progress
+    const inFlight = {}
+    // Shared controllers (see sharedController) for the get requests in inFlight
+    const inFlightControllers = {}
+    // AbortControllers for cancellable actions, indexed by action id
+    const controllers = {}
 
-      // We can't pass multiple/non-promise vars in a promise chain,
-      // so must define such vars in a higher scope
-      let relNames = []
-      let relPromises = []
+    const moduleActions = {
+      /**
+       * Get items from the API
+       *
+       * The `cachePolicy` and `maxAge` options in `_jv` in the config (or in the module config)
+       * control whether items already in the store are returned instead:
+       * - `network-first` - always request the items. If the request fails, return items fetched within `maxAge`.
+       * - `cache-first` - return items fetched within `maxAge`, otherwise request them.
+       * - `stale-while-revalidate` - return items from the store, requesting them in the background if older than `maxAge`.
+       *   The action's status is `LOADING` until the background request finishes.
+       *
+       * If an identical request (same URL, params, headers and `_jv` options) is already in progress,
+       * its promise (and status id) is returned instead of making a new request.
+       * Requests with a `signal` in the config are never shared, so that aborting it only cancels that request.
+       * Requests made by `getRelated` pass its signal as `parentSignal` in `_jv` instead - these are shared,
+       * and the request is only aborted once every action sharing it has been aborted.
+       *
+       * The request can be aborted using an `AbortSignal` passed as `signal` in the config.
+       * If the action is called directly (rather than through `dispatch`, which returns a new promise),
+       * it can also be aborted using the `cancel` action, or the `cancel` method of the returned promise.
+       *
+       * @async
+       * @memberof module:jsonapi-vuex.jsonapiModule.actions
+       * @param {object} context - Vuex context object
+       * @param {(string|object|array)} args - See {@link module:jsonapi-vuex.jsonapiModule.actions} for a summary of args
+       * @param {string}  - A URL path to an item - e.g. `endpoint/1`
+       * @param {object}  - A restructured object  - e.g. `{ _jv: { type: "endpoint", id: "1" } }`
+       * @param {array}  - A 2-element array, consisting of a string/object and an optional axios config object
+       * @return {object} Restructured representation of the requested item(s)
+       */
+      get: (context, args) => {
+        const [data, argsConfig] = unpackArgs(args)
+        const [config, jvOpts] = splitConfig(argsConfig)
+        const {
+          cachePolicy = jvConfig.cachePolicy,
+          maxAge = jvConfig.maxAge,
+        } = jvOpts
+        const path = getURL(data, false, undefined, jvOpts.routeParams)
+        const apiConf = { method: 'get', url: path }
+        // https://github.com/axios/axios/issues/362
+        config['data'] = config['data'] || {}
+        merge(apiConf, config)
+        // Share identical requests which are already in progress - unless the caller passed a signal,
+        // as aborting it would cancel the request for every caller
+        const { parentSignal, ...keyOpts } = jvOpts
+        const key = apiConf['signal']
+          ? null
+          : JSON.stringify([
+              apiConf['url'],
+              apiConf['params'],
+              apiConf['headers'],
+              keyOpts,
+            ])
+        if (key && hasProperty(inFlight, key)) {
+          inFlightControllers[key].join(parentSignal)
+          return inFlight[key]
+        }
+        const actionId = actionSequence(context)
+        context.commit('setStatus', { id: actionId, status: STATUS_LOAD })
 
-      // Iterate over all records in rels
-      for (let [relName, relItems] of Object.entries(rels)) {
-        let relData
-        // relationships value might be empty if user-constructed
-        // so fetch relationships resource linkage for these
-        if (!relItems) {
-          try {
-            const resLink = await api.get(
-              `${type}/${id}/relationships/${relName}`
-            )
-            relItems = resLink.data
-          } catch (error) {
-            throw `No such relationship: ${relName}`
+        // network-first only falls back to records fetched within maxAge, so skip the lookup if there are none
+        const cached =
+          (cachePolicy !== 'network-first' || maxAge > 0) &&
+          getCached(context, data, apiConf, jvOpts)
+        const fresh = cached && cached.age <= maxAge
+        if (
+          (cachePolicy === 'cache-first' && fresh) ||
+          (cachePolicy === 'stale-while-revalidate' && cached)
+        ) {
+          if (fresh) {
+            context.commit('setStatus', {
+              id: actionId,
+              status: STATUS_SUCCESS,
+            })
+          } else {
+            // Refresh in the background - errors are only reported in the status
+            fetchGet(
+              api,
+              context,
+              apiConf,
+              jvOpts,
+              actionId,
+              controllers
+            ).catch(() => {})
           }
+          const action = Promise.resolve(cached.data)
+          action[jvtag + 'Id'] = actionId
+          action.cancel = () => cancelAction(controllers, actionId)
+          return action
         }
-        // Extract relationships from 'data' (type/id)
-        // empty to-one rels (null) are special-cased
-        if (hasProperty(relItems, 'data') && relItems['data'] !== null) {
-          relData = relItems['data']
-          if (!Array.isArray(relData)) {
-            // Treat as if always an array
-            relData = [relData]
-          }
-          // Or from 'links/related'
-        } else if (hasProperty(relItems, 'links')) {
-          relData = relItems['links']['related']
-          if (!(typeof relData === 'string')) {
-            relData = relData['href']
-          }
-          relData = [relData]
+
+        if (key) {
+          inFlightControllers[key] = sharedController()
+          inFlightControllers[key].join(parentSignal)
+          apiConf['signal'] = inFlightControllers[key].signal
         }
-        if (relData) {
-          for (let entry of relData) {
-            // Rewrite 'data' objects to normalised form
-            if (!(typeof entry === 'string')) {
-              entry = { [jvtag]: entry }
-            }
-            relNames.push(relName)
-            relPromises.push(context.dispatch('get', entry))
+        let action = fetchGet(
+          api,
+          context,
+          apiConf,
+          jvOpts,
+          actionId,
+          controllers
+        ).catch((error) => {
+          // Don't fall back to the store if the request was cancelled
+          if (
+            cachePolicy === 'network-first' &&
+            fresh &&
+            !(error instanceof CancelError)
+          ) {
+            return cached.data
           }
-        } else {
-          // Empty to-one rels should have a relName but no data
-          relNames.push(relName)
-          // prettier-ignore
-          relPromises.push(new Promise((resolve) => { resolve({}) }))
-        }
-      }
-      // 'Merge' all promise resolution/rejection
-      let action = Promise.all(relPromises)
-        .then((results) => {
-          let related = {}
-          results.forEach((result, i) => {
-            // Get the relName from the same array position as the result item
-            let relName = relNames[i]
-            let normItem = { [relName]: {} }
-            if (hasProperty(result, jvtag)) {
-              normItem[relName][result[jvtag]['type']] = {
-                [result[jvtag]['id']]: result,
-              }
-            }
-            merge(related, normItem)
-          })
-          context.commit('setStatus', {
-            id: actionId,
-            status: STATUS_SUCCESS,
-          })
-          return related
-        })
-        .catch((error) => {
-          context.commit('setStatus', { id: actionId, status: STATUS_ERROR })
           throw error
         })
-      action[jvtag + 'Id'] = actionId
-      return action
-    },
-    /**
-     * Post an item to the API
-     *
-     * @async
-     * @memberof module:jsonapi-vuex.jsonapiModule.actions
-     * @param {object} context - Vuex context object
-     * @param {(object|array)} args - See {@link module:jsonapi-vuex.jsonapiModule.actions} for a summary of args
-     * @param {object}  - A restructured object  - e.g. `{ _jv: { type: "endpoint", id: "1" } }`
-     * @param {array}  - A 2-element array, consisting of a string/object and an optional axios config object
-     * @return {object} Restructured representation of the posted item
-     */
-    post: (context, args) => {
-      let [data, config] = unpackArgs(args)
-      const path = getURL(data, true)
-      const apiConf = { method: 'post', url: path, data: normToJsonapi(data) }
-      merge(apiConf, config)
-      const actionId = actionSequence(context)
-      context.commit('setStatus', { id: actionId, status: STATUS_LOAD })
-      let action = api(apiConf)
-        .then((results) => {
-          processIncludedRecords(context, results)
-
-          // If the server handed back data, store it (to get id)
-          // spec says 201, but some servers (wrongly) return 200
-          if (results.status === 200 || results.status === 201) {
-            data = jsonapiToNorm(results.data.data)
+        action[jvtag + 'Id'] = actionId
+        action.cancel = () => cancelAction(controllers, actionId)
+        if (!key) {
+          return action
+        }
+        const done = () => {
+          delete inFlightControllers[key]
+        }
+        action.then(done, done)
+        return addInFlight(inFlight, key, action)
+      },
+      /**
+       * Get related items from the API
+       *
+       * If an identical request is already in progress, its promise is returned instead of making a new request
+       * (unless a `signal` is passed in the config).
+       *
+       * The related requests can be aborted together using an `AbortSignal` passed as `signal` in the config
+       * (or the `cancel` method of the promise, if the action is called directly).
+       *
+       * @async
+       * @memberof module:jsonapi-vuex.jsonapiModule.actions
+       * @param {object} context - Vuex context object
+       * @param {(string|object|array)} args - See {@link module:jsonapi-vuex.jsonapiModule.actions} for a summary of args
+       * @param {string}  - A URL path to an item - e.g. `endpoint/1`
+       * @param {object}  - A restructured object  - e.g. `{ _jv: { type: "endpoint", id: "1" } }`
+       * @param {array}  - A 2-element array, consisting of a string/object and an optional axios config object
+       * @return {object} Restructured representation of the requested item(s)
+       */
+      getRelated: (context, args) => {
+        const [data, config = {}] = unpackArgs(args)
+        const start = () => {
+          const controller = linkedController(config['signal'])
+          const action = fetchRelated(
+            api,
+            context,
+            args,
+            controllers,
+            controller
+          )
+          action.cancel = () => controller.abort()
+          return action
+        }
+        // Requests with a signal aren't shared, as aborting it would cancel the request for every caller
+        if (config['signal']) {
+          return start()
+        }
+        const key = JSON.stringify([
+          'getRelated',
+          getTypeId(data),
+          get(data, [jvtag, 'relationships']),
+          config,
+        ])
+        if (!hasProperty(inFlight, key)) {
+          addInFlight(inFlight, key, start())
+        }
+        return inFlight[key]
+      },
+      /**
+       * Get a page of a paginated query, by following the query's pagination links
+       *
+       * `page` is either the name of a link (`first`, `prev`, `next` or `last`), or an object of
+       * `page` parameters (e.g. `{ number: 3 }`) to be added to the query's original request.
+       *
+       * @async
+       * @memberof module:jsonapi-vuex.jsonapiModule.actions
+       * @param {object} context - Vuex context object
+       * @param {(object|array)} args - See {@link module:jsonapi-vuex.jsonapiModule.actions} for a summary of args
+       * @param {object}  - An object with the query name and page  - e.g. `{ query: "widget", page: "next" }`
+       * @param {array}  - A 2-element array, consisting of an object and an optional axios config object
+       * @return {object} Restructured representation of the page's item(s)
+       */
+      getPage: (context, args) => {
+        const [{ query, page }, config] = unpackArgs(args)
+        const entry = get(context.state, [jvtag + 'Queries', query])
+        if (!entry) {
+          throw new RecordError(`getPage: No such query '${query}'`, query)
+        }
+        let path = entry['url']
+        const pageConf = { params: Object.assign({}, entry['params']) }
+        if (typeof page === 'string') {
+          const link = get(entry, ['links', page])
+          if (!link) {
+            throw new RecordError(
+              `getPage: No '${page}' link for '${query}'`,
+              query
+            )
           }
-          context.commit('addRecords', data)
-          context.commit('setStatus', {
-            id: actionId,
-            status: STATUS_SUCCESS,
-          })
-          return preserveJSON(context.getters.get(data), results.data)
-        })
-        .catch((error) => {
-          context.commit('setStatus', { id: actionId, status: STATUS_ERROR })
-          throw error
-        })
-      action[jvtag + 'Id'] = actionId
-      return action
-    },
-    /**
-     * Patch an item in the API
-     *
-     * @async
-     * @memberof module:jsonapi-vuex.jsonapiModule.actions
-     * @param {object} context - Vuex context object
-     * @param {(object|array)} args - See {@link module:jsonapi-vuex.jsonapiModule.actions} for a summary of args
-     * @param {object}  - A restructured object  - e.g. `{ _jv: { type: "endpoint", id: "1" } }`
-     * @param {array}  - A 2-element array, consisting of a string/object and an optional axios config object
-     * @return {object} Restructured representation of the patched item
-     */
-    patch: (context, args) => {
-      let [data, config] = unpackArgs(args)
-      if (jvConfig.cleanPatch) {
-        data = cleanPatch(data, context.state, jvConfig.cleanPatchProps)
-      }
-      const path = getURL(data)
-      const actionId = actionSequence(context)
-      const apiConf = { method: 'patch', url: path, data: normToJsonapi(data) }
-      merge(apiConf, config)
-      context.commit('setStatus', { id: actionId, status: STATUS_LOAD })
-      let action = api(apiConf)
-        .then((results) => {
-          // If the server handed back data, store it
-          if (results.status === 200 && hasProperty(results.data, 'data')) {
-            // Full response
-            context.commit('deleteRecord', data)
-            data = jsonapiToNorm(results.data.data)
-            context.commit('addRecords', data)
-          } else {
-            // 200 (meta-only), or 204 (no resource) response
-            // Update the store record from the patch
-            context.commit('mergeRecords', data)
+          // Links may be a string or a link object
+          path = typeof link === 'string' ? link : link['href']
+          // The link contains all of the query parameters
+          delete pageConf['params']
+        } else {
+          for (let [key, value] of Object.entries(page)) {
+            pageConf['params'][`page[${key}]`] = value
           }
+        }
+        pageConf[jvtag] = { query: query, followPage: page }
+        return context.dispatch('get', [path, merge(pageConf, config)])
+      },
+      /**
+       * Get the next page of a paginated query
+       *
+       * @see module:jsonapi-vuex.jsonapiModule.actions.getPage
+       * @async
+       * @memberof module:jsonapi-vuex.jsonapiModule.actions
+       * @param {object} context - Vuex context object
+       * @param {(string|array)} args - See {@link module:jsonapi-vuex.jsonapiModule.actions} for a summary of args
+       * @param {string}  - The name of the query
+       * @param {array}  - A 2-element array, consisting of a query name and an optional axios config object
+       * @return {object} Restructured representation of the page's item(s)
+       */
+      getNext: (context, args) => {
+        const [query, config] = unpackArgs(args)
+        return context.dispatch('getPage', [
+          { query: query, page: 'next' },
+          config,
+        ])
+      },
+      /**
+       * Get the previous page of a paginated query
+       *
+       * @see module:jsonapi-vuex.jsonapiModule.actions.getPage
+       * @async
+       * @memberof module:jsonapi-vuex.jsonapiModule.actions
+       * @param {object} context - Vuex context object
+       * @param {(string|array)} args - See {@link module:jsonapi-vuex.jsonapiModule.actions} for a summary of args
+       * @param {string}  - The name of the query
+       * @param {array}  - A 2-element array, consisting of a query name and an optional axios config object
+       * @return {object} Restructured representation of the page's item(s)
+       */
+      getPrev: (context, args) => {
+        const [query, config] = unpackArgs(args)
+        return context.dispatch('getPage', [
+          { query: query, page: 'prev' },
+          config,
+        ])
+      },
+      /**
+       * Get all pages of a collection from the API
+       *
+       * Pages are added to the store as they arrive. By default `links.next` is followed until there are no more pages.
+       * Alternatively the `page[number]` or `page[offset]` query parameters can be used, which allows pages to be fetched concurrently.
+       *
+       * The following jsonapi-vuex options can be set in the axios config (in `_jv`):
+       * - `strategy` - `links` (default), `number` or `offset`
+       * - `pageSize` - The size of each page (`number` and `offset` strategies - defaults to the size of the first page)
+       * - `concurrency` - How many pages to fetch at once (`number` and `offset` strategies - defaults to 1)
+       * - `maxPages` - The maximum number of pages to fetch, after which the action fails (defaults to 100)
+       *
+       * @async
+       * @memberof module:jsonapi-vuex.jsonapiModule.actions
+       * @param {object} context - Vuex context object
+       * @param {(string|object|array)} args - See {@link module:jsonapi-vuex.jsonapiModule.actions} for a summary of args
+       * @param {string}  - A URL path to a collection - e.g. `endpoint`
+       * @param {object}  - A restructured object  - e.g. `{ _jv: { type: "endpoint" } }`
+       * @param {array}  - A 2-element array, consisting of a string/object and an optional axios config object
+       * @return {object} Restructured representation of the whole collection
+       */
+      fetchAll: (context, args) => {
+        const [data, argsConfig] = unpackArgs(args)
+        const [config, jvOpts] = splitConfig(argsConfig)
+        const { strategy = 'links', concurrency = 1, maxPages = 100 } = jvOpts
+        let { pageSize } = jvOpts
+        const apiConf = {
+          method: 'get',
+          url: getURL(data, false, undefined, jvOpts.routeParams),
+        }
+        // https://github.com/axios/axios/issues/362
+        config['data'] = config['data'] || {}
+        merge(apiConf, config)
+        const actionId = actionSequence(context)
+        context.commit('setStatus', { id: actionId, status: STATUS_LOAD })
 
-          // NOTE: We deliberately process included records after any `deleteRecord` mutations
-          // to avoid deleting any included records that we just added.
-          processIncludedRecords(context, results)
+        // JSONAPI data items from all pages (in order), and the last page's links, meta & jsonapi
+        let items = []
+        let links = {}
+        let meta
+        let jsonapi
+        let pages = 0
 
-          context.commit('setStatus', {
-            id: actionId,
-            status: STATUS_SUCCESS,
+        // Fetch a single page, adding its records to the store
+        const fetchPage = (url, params) => {
+          if (++pages > maxPages) {
+            throw new RecordError(`fetchAll: More than ${maxPages} pages`, data)
+          }
+          const pageConf = Object.assign({}, apiConf, {
+            url: url,
+            params: params,
           })
-          return preserveJSON(context.getters.get(data), results.data)
-        })
-        .catch((error) => {
-          context.commit('setStatus', { id: actionId, status: STATUS_ERROR })
-          throw error
-        })
-      action[jvtag + 'Id'] = actionId
-      return action
-    },
-    /**
-     * Delete an item from the API
-     *
-     * @async
-     * @memberof module:jsonapi-vuex.jsonapiModule.actions
-     * @param {object} context - Vuex context object
-     * @param {(string|object|array)} args - See {@link module:jsonapi-vuex.jsonapiModule.actions} for a summary of args
-     * @param {string}  - A URL path to an item - e.g. `endpoint/1`
-     * @param {object}  - A restructured object  - e.g. `{ _jv: { type: "endpoint", id: "1" } }`
-     * @param {array}  - A 2-element array, consisting of a string/object and an optional axios config object
-     * @return {object} Restructured representation of the deleted item
-     */
-    delete: (context, args) => {
-      const [data, config] = unpackArgs(args)
-      const path = getURL(data)
-      const apiConf = { method: 'delete', url: path }
-      merge(apiConf, config)
-      const actionId = actionSequence(context)
-      context.commit('setStatus', { id: actionId, status: STATUS_LOAD })
-      let action = api(apiConf)
-        .then((results) => {
-          processIncludedRecords(context, results)
-
-          context.commit('deleteRecord', data)
-          context.commit('setStatus', {
-            id: actionId,
-            status: STATUS_SUCCESS,
+          return api(pageConf).then((results) => {
+            processIncludedRecords(context, results)
+            context.commit(
+              'addRecords',
+              markSparse(
+                jsonapiToNorm(results.data.data),
+                sparseFields(pageConf)
+              )
+            )
+            return results.data
           })
-          if (results.data) {
-            return preserveJSON(jsonapiToNorm(results.data.data), results.data)
-          } else {
-            return data
+        }
+        const addPage = (json) => {
+          items = items.concat(json['data'])
+          links = get(json, ['links'], {})
+          meta = json['meta']
+          jsonapi = json['jsonapi']
+        }
+        const pageParams = (i) => {
+          const params =
+            strategy === 'offset'
+              ? { 'page[offset]': i * (pageSize || 0), 'page[limit]': pageSize }
+              : { 'page[number]': i + 1, 'page[size]': pageSize }
+          // Don't send a page size/limit until one is known
+          for (let key of Object.keys(params)) {
+            if (params[key] === undefined) {
+              delete params[key]
+            }
           }
-        })
-        .catch((error) => {
-          context.commit('setStatus', { id: actionId, status: STATUS_ERROR })
-          throw error
-        })
-      action[jvtag + 'Id'] = actionId
-      return action
-    },
-    /**
-     * Get items from the API without updating the Vuex store
-     *
-     * @see module:jsonapi-vuex.jsonapiModule.actions.get
-     * @async
-     * @memberof module:jsonapi-vuex.jsonapiModule.actions
-     * @param {object} context - Vuex context object
-     * @param {(string|object|array)} args - See {@link module:jsonapi-vuex.jsonapiModule.actions} for a summary of args
-     * @param {string}  - A URL path to an item - e.g. `endpoint/1`
-     * @param {object}  - A restructured object  - e.g. `{ _jv: { type: "endpoint", id: "1" } }`
-     * @param {array}  - A 2-element array, consisting of a string/object and an optional axios config object
-     * @return {object} Restructured representation of the posted item
-     */
-    search: (context, args) => {
-      // Create a 'noop' context.commit to avoid store modifications
-      const nocontext = {
-        commit: () => {},
-        dispatch: context.dispatch,
-        getters: context.getters,
-      }
-      // Use a new actions 'instance' instead of 'dispatch' to allow context override
-      return actions(api).get(nocontext, args)
-    },
-    /**
-     * Alias for {@link module:jsonapi-vuex.jsonapiModule.actions.get}
-     * @async
-     * @memberof module:jsonapi-vuex.jsonapiModule.actions
-     */
-    get fetch() {
-      return this.get
-    },
-    /**
-     * Alias for {@link module:jsonapi-vuex.jsonapiModule.actions.post}
-     * @async
-     * @memberof module:jsonapi-vuex.jsonapiModule.actions
-     */
-    get create() {
-      return this.post
-    },
-    /**
-     * Alias for {@link module:jsonapi-vuex.jsonapiModule.actions.patch}
-     * @async
-     * @memberof module:jsonapi-vuex.jsonapiModule.actions
-     */
-    get update() {
-      return this.patch
-    },
-  }
-}
-
-/**
- * Vuex getters, used via `this.$store.getters`, e.g.:
- * `this.$store.getters['jv/get'](<args>)
- *
- * @namespace
- * @memberof module:jsonapi-vuex.jsonapiModule
- */
-const getters = () => {
-  return {
-    /**
-     * Get record(s) from the store
-     *
-     * @memberof module:jsonapi-vuex.jsonapiModule.getters
-     * @param {(string|object)} data
-     * @param {string}  - A URL path to an item - e.g. `endpoint/1`
-     * @param {object}  - A restructured object  - e.g. `{ _jv: { type: "endpoint", id: "1" } }`
-     * @param {string} jsonpath - a JSONPath string to filter the record(s) which are being retrieved. See [JSONPath Syntax](https://github.com/dchester/jsonpath#jsonpath-syntax)
-     * @return {object} Restructured representation of the record(s)
-     */
-    get: (state, getters) => (data, jsonpath, seen) => {
-      let result
-      if (!data) {
-        // No data arg - return whole state object
-        result = state
-      } else {
-        const [type, id] = getTypeId(data)
+          return Object.assign({}, apiConf['params'], params)
+        }
 
-        if (hasProperty(state, type)) {
-          if (id) {
-            if (hasProperty(state[type], id)) {
-              // single item
-              result = state[type][id]
-            } else {
-              // No item of that type
-              return {}
+        const fetchPages = async () => {
+          if (strategy === 'links') {
+            let json = await fetchPage(apiConf['url'], apiConf['params'])
+            addPage(json)
+            while (links['next']) {
+              // The link contains all of the query parameters
+              const next = links['next']
+              json = await fetchPage(
+                typeof next === 'string' ? next : next['href']
+              )
+              addPage(json)
             }
           } else {
-            // whole collection, indexed by id
-            result = state[type]
+            let json = await fetchPage(apiConf['url'], pageParams(0))
+            addPage(json)
+            pageSize = pageSize || json['data'].length
+            // A short (or empty) page is the last one
+            let done = json['data'].length < pageSize || !pageSize
+            for (let i = 1; !done; i += concurrency) {
+              const batch = []
+              for (let n = i; n < i + concurrency; n++) {
+                batch.push(fetchPage(apiConf['url'], pageParams(n)))
+              }
+              for (json of await Promise.all(batch)) {
+                if (!done) {
+                  addPage(json)
+                  done = json['data'].length < pageSize
+                }
+              }
+            }
           }
-          result = checkAndFollowRelationships(state, getters, result, seen)
+        }
+
+        let action = fetchPages()
+          .then(() => {
+            let resData = jsonapiToNorm(items)
+            clearOnUpdate(context, resData)
+            const json = {
+              data: items,
+              links: links,
+              meta: meta,
+              jsonapi: jsonapi,
+            }
+            recordQuery(context, apiConf, json, jvOpts)
+            if (gcEnabled()) {
+              collectGarbage(context)
+            }
+            resData = checkAndFollowRelationships(
+              context.state,
+              context.getters,
+              resData
+            )
+            context.commit('setStatus', {
+              id: actionId,
+              status: STATUS_SUCCESS,
+            })
+            return resData
+          })
+          .catch((error) => {
+            context.commit('setStatus', { id: actionId, status: STATUS_ERROR })
+            throw error
+          })
+        action[jvtag + 'Id'] = actionId
+        return action
+      },
+      /**
+       * Add resource identifier(s) to to-many relationship(s) in the API
+       *
+       * Each entry in `_jv.relationships` is POSTed to its relationship endpoint (`type/id/relationships/name`)
+       *
+       * @async
+       * @memberof module:jsonapi-vuex.jsonapiModule.actions
+       * @param {object} context - Vuex context object
+       * @param {(object|array)} args - See {@link module:jsonapi-vuex.jsonapiModule.actions} for a summary of args
+       * @param {object}  - A restructured object  - e.g. `{ _jv: { type: "endpoint", id: "1", relationships: {...} } }`
+       * @param {array}  - A 2-element array, consisting of a string/object and an optional axios config object
+       * @return {object} Restructured representation of the parent item
+       */
+      addRelated: (context, args) => {
+        return relationshipsAction(api, context, args, 'post')
+      },
+      /**
+       * Remove resource identifier(s) from to-many relationship(s) in the API
+       *
+       * Each entry in `_jv.relationships` is sent as a DELETE to its relationship endpoint (`type/id/relationships/name`)
+       *
+       * @async
+       * @memberof module:jsonapi-vuex.jsonapiModule.actions
+       * @param {object} context - Vuex context object
+       * @param {(object|array)} args - See {@link module:jsonapi-vuex.jsonapiModule.actions} for a summary of args
+       * @param {object}  - A restructured object  - e.g. `{ _jv: { type: "endpoint", id: "1", relationships: {...} } }`
+       * @param {array}  - A 2-element array, consisting of a string/object and an optional axios config object
+       * @return {object} Restructured representation of the parent item
+       */
+      removeRelated: (context, args) => {
+        return relationshipsAction(api, context, args, 'delete')
+      },
+      /**
+       * Replace the resource linkage of relationship(s) in the API
+       *
+       * Each entry in `_jv.relationships` is PATCHed to its relationship endpoint (`type/id/relationships/name`)
+       *
+       * @async
+       * @memberof module:jsonapi-vuex.jsonapiModule.actions
+       * @param {object} context - Vuex context object
+       * @param {(object|array)} args - See {@link module:jsonapi-vuex.jsonapiModule.actions} for a summary of args
+       * @param {object}  - A restructured object  - e.g. `{ _jv: { type: "endpoint", id: "1", relationships: {...} } }`
+       * @param {array}  - A 2-element array, consisting of a string/object and an optional axios config object
+       * @return {object} Restructured representation of the parent item
+       */
+      replaceRelated: (context, args) => {
+        return relationshipsAction(api, context, args, 'patch')
+      },
+      /**
+       * Post an item to the API
+       *
+       * If the item has a local id (`lid`) but no `id`, it is added to the store (under its `lid`) immediately.
+       * Once the server has responded, it is re-keyed to the id returned (see {@link module:jsonapi-vuex.jsonapiModule.mutations.rekeyRecord}).
+       *
+       * If the `clientIds` option is set (in config or `_jv` in the config), items without an id are given one
+       * before being sent - either a UUID, or the result of calling `clientIds(item)` if it is a function.
+       *
+       * Validation (422) errors are stored against the item (if it has an `id` or `lid`), and cleared when it is saved.
+       *
+       * @async
+       * @memberof module:jsonapi-vuex.jsonapiModule.actions
+       * @param {object} context - Vuex context object
+       * @param {(object|array)} args - See {@link module:jsonapi-vuex.jsonapiModule.actions} for a summary of args
+       * @param {object}  - A restructured object  - e.g. `{ _jv: { type: "endpoint", id: "1" } }`
+       * @param {array}  - A 2-element array, consisting of a string/object and an optional axios config object
+       * @return {object} Restructured representation of the posted item
+       */
+      post: (context, args) => {
+        let [data, argsConfig] = unpackArgs(args)
+        const [config, jvOpts] = splitConfig(argsConfig)
+        const { clientIds = jvConfig.clientIds } = jvOpts
+        const { type, id, lid } = data[jvtag]
+        // Errors are stored against the record as passed in
+        const record =
+          id || lid ? { [jvtag]: { type: type, id: id || lid } } : null
+        if (lid && !id) {
+          // Make the new record available (e.g. for relationships) before it has an id
+          context.commit('addRecords', [_copy(data), { pristine: false }])
+        }
+        if (clientIds && !id) {
+          const newId =
+            typeof clientIds === 'function' ? clientIds(data) : uuid()
+          data = { ...data, [jvtag]: { ...data[jvtag], id: newId } }
+        }
+        const path = getURL(data, true, undefined, jvOpts.routeParams)
+        const apiConf = { method: 'post', url: path, data: normToJsonapi(data) }
+        merge(apiConf, config)
+        const actionId = actionSequence(context)
+        context.commit('setStatus', { id: actionId, status: STATUS_LOAD })
+        let action = api(apiConf)
+          .then((results) => {
+            processIncludedRecords(context, results)
+
+            // If the server handed back data, store it (to get id)
+            // spec says 201, but some servers (wrongly) return 200
+            if (results.status === 200 || results.status === 201) {
+              data = jsonapiToNorm(results.data.data)
+            }
+            const newId = data[jvtag]['id']
+            if (lid && !id && newId) {
+              context.commit('rekeyRecord', { type: type, lid: lid, id: newId })
+            }
+            context.commit('addRecords', data)
+            if (gcEnabled()) {
+              collectGarbage(context)
+            }
+            if (record) {
+              context.commit('deleteErrors', record)
+            }
+            context.commit('setStatus', {
+              id: actionId,
+              status: STATUS_SUCCESS,
+            })
+            return preserveJSON(context.getters.get(data), results.data)
+          })
+          .catch((error) => {
+            if (record) {
+              storeErrors(context, record, error)
+            }
+            context.commit('setStatus', { id: actionId, status: STATUS_ERROR })
+            throw error
+          })
+        action[jvtag + 'Id'] = actionId
+        return action
+      },
+      /**
+       * Patch an item in the API
+       *
+       * If the `optimistic` option is set in `_jv` in the config, the store is updated immediately,
+       * and restored if the request fails. Any data returned by the server then replaces the optimistic update.
+       *
+       * Validation (422) errors are stored against the item, and cleared when it is next saved.
+       *
+       * @async
+       * @memberof module:jsonapi-vuex.jsonapiModule.actions
+       * @param {object} context - Vuex context object
+       * @param {(object|array)} args - See {@link module:jsonapi-vuex.jsonapiModule.actions} for a summary of args
+       * @param {object}  - A restructured object  - e.g. `{ _jv: { type: "endpoint", id: "1" } }`
+       * @param {array}  - A 2-element array, consisting of a string/object and an optional axios config object
+       * @return {object} Restructured representation of the patched item
+       */
+      patch: (context, args) => {
+        let [data, argsConfig] = unpackArgs(args)
+        const [config, jvOpts] = splitConfig(argsConfig)
+        const type = data[jvtag]['type']
+        // Get the path before cleanPatch, which may remove relationships used by the endpoint
+        const path = getURL(data, false, undefined, jvOpts.routeParams)
+        if (typeOption(type, 'cleanPatch')) {
+          data = cleanPatch(
+            data,
+            context.state,
+            typeOption(type, 'cleanPatchProps')
+          )
+        }
+        const actionId = actionSequence(context)
+        const apiConf = {
+          method: 'patch',
+          url: path,
+          data: normToJsonapi(data),
+        }
+        merge(apiConf, config)
+        context.commit('setStatus', { id: actionId, status: STATUS_LOAD })
+        const rollback = jvOpts.optimistic
+          ? optimisticPatch(context, data)
+          : null
+        const record = {
+          [jvtag]: { type: data[jvtag]['type'], id: data[jvtag]['id'] },
+        }
+        let action = api(apiConf)
+          .then((results) => {
+            // If the server handed back data, store it
+            if (results.status === 200 && hasProperty(results.data, 'data')) {
+              // Full response - replace (rather than delete then add) the record, so that
+              // related records aren't cascaded and references to it aren't removed
+              data = jsonapiToNorm(results.data.data)
+              context.commit('replaceRecords', data)
+            } else {
+              // 200 (meta-only), or 204 (no resource) response
+              // Update the store record from the patch
+              context.commit('mergeRecords', data)
+            }
+
+            processIncludedRecords(context, results)
+            if (gcEnabled()) {
+              collectGarbage(context)
+            }
+
+            context.commit('deleteErrors', record)
+            context.commit('setStatus', {
+              id: actionId,
+              status: STATUS_SUCCESS,
+            })
+            return preserveJSON(context.getters.get(data), results.data)
+          })
+          .catch((error) => {
+            if (rollback) {
+              rollback()
+            }
+            storeErrors(context, record, error)
+            context.commit('setStatus', { id: actionId, status: STATUS_ERROR })
+            throw error
+          })
+        action[jvtag + 'Id'] = actionId
+        return action
+      },
+      /**
+       * Delete an item from the API
+       *
+       * If the `optimistic` option is set in `_jv` in the config, the item is removed from the store immediately,
+       * and restored if the request fails.
+       *
+       * If the `undo` option is set (in ms), the request is delayed by this long, during which time the action
+       * can be cancelled by aborting the `signal` passed in the config.
+       *
+       * @async
+       * @memberof module:jsonapi-vuex.jsonapiModule.actions
+       * @param {object} context - Vuex context object
+       * @param {(string|object|array)} args - See {@link module:jsonapi-vuex.jsonapiModule.actions} for a summary of args
+       * @param {string}  - A URL path to an item - e.g. `endpoint/1`
+       * @param {object}  - A restructured object  - e.g. `{ _jv: { type: "endpoint", id: "1" } }`
+       * @param {array}  - A 2-element array, consisting of a string/object and an optional axios config object
+       * @return {object} Restructured representation of the deleted item
+       */
+      delete: (context, args) => {
+        const [data, argsConfig] = unpackArgs(args)
+        const [config, jvOpts] = splitConfig(argsConfig)
+        const path = getURL(data, false, undefined, jvOpts.routeParams)
+        const apiConf = { method: 'delete', url: path }
+        merge(apiConf, config)
+        const actionId = actionSequence(context)
+        context.commit('setStatus', { id: actionId, status: STATUS_LOAD })
+        const onRetry = (attempts) => {
+          context.commit('setStatus', {
+            id: actionId,
+            status: STATUS_RETRY,
+            attempts: attempts,
+          })
+        }
+        const restore = jvOpts.optimistic
+          ? optimisticDelete(context, data)
+          : null
+        const send = () => retryRequest(api, apiConf, jvOpts, onRetry)
+        let request
+        if (jvOpts.undo) {
+          // Wait before sending, allowing the action to be cancelled
+          const controller = linkedController(apiConf['signal'])
+          controllers[actionId] = controller
+          const wait = new Promise((resolve) =>
+            setTimeout(resolve, jvOpts.undo)
+          )
+          request = abortable(wait, controller.signal).then(
+            () => {
+              delete controllers[actionId]
+              return send()
+            },
+            (error) => {
+              delete controllers[actionId]
+              throw error
+            }
+          )
+        } else {
+          request = send()
+        }
+        let action = request
+          .then((results) => {
+            processIncludedRecords(context, results)
+
+            context.commit('deleteRecord', data)
+            context.commit('setStatus', {
+              id: actionId,
+              status: STATUS_SUCCESS,
+            })
+            if (results.data) {
+              return preserveJSON(
+                jsonapiToNorm(results.data.data),
+                results.data
+              )
+            } else {
+              return data
+            }
+          })
+          .catch((error) => {
+            if (restore) {
+              restore()
+            }
+            const status =
+              error instanceof CancelError ? STATUS_CANCELLED : STATUS_ERROR
+            context.commit('setStatus', { id: actionId, status: status })
+            throw error
+          })
+        action[jvtag + 'Id'] = actionId
+        action.cancel = () => cancelAction(controllers, actionId)
+        return action
+      },
+      /**
+       * Send several operations to the API in a single request, using the
+       * [Atomic Operations](https://jsonapi.org/ext/atomic/) extension
+       *
+       * Each operation is an object of the form `{ op: 'post'|'patch'|'delete', data: <record> }`.
+       * The store is only updated once the whole request has succeeded.
+       *
+       * @async
+       * @memberof module:jsonapi-vuex.jsonapiModule.actions
+       * @param {object} context - Vuex context object
+       * @param {array} args - An array of operations, or a 2-element array of operations array and an optional axios config object
+       * @return {array} Restructured representations of the item(s) affected by each operation
+       */
+      atomic: (context, args) => {
+        const [operations, argsConfig] = Array.isArray(args[0])
+          ? args
+          : [args, {}]
+        const [config] = splitConfig(argsConfig)
+        const apiConf = {
+          method: 'post',
+          url: jvConfig.atomicEndpoint,
+          headers: {
+            'Content-Type': ATOMIC_MEDIA_TYPE,
+            Accept: ATOMIC_MEDIA_TYPE,
+          },
+          data: {
+            'atomic:operations': operations.map((operation) =>
+              atomicOperation(operation, context.state)
+            ),
+          },
+        }
+        merge(apiConf, config)
+        const actionId = actionSequence(context)
+        context.commit('setStatus', { id: actionId, status: STATUS_LOAD })
+        let action = api(apiConf)
+          .then((results) => {
+            const atomicResults = get(results, ['data', 'atomic:results'], [])
+            // Work out all store changes before committing any of them
+            const commits = []
+            const records = operations.map(({ op, data }, i) => {
+              const resData = get(atomicResults, [i, 'data'])
+              if (op === 'delete') {
+                commits.push(['deleteRecord', data])
+                return data
+              }
+              if (resData) {
+                const record = jsonapiToNorm(resData)
+                // Patched records are replaced (not deleted then added), to avoid cascading deletes
+                commits.push([
+                  op === 'patch' ? 'replaceRecords' : 'addRecords',
+                  record,
+                ])
+                return record
+              }
+              // No result data, so store the record as sent
+              commits.push([
+                op === 'post' ? 'addRecords' : 'mergeRecords',
+                data,
+              ])
+              return data
+            })
+            for (let [mutation, payload] of commits) {
+              context.commit(mutation, payload)
+            }
+            if (gcEnabled()) {
+              collectGarbage(context)
+            }
+            context.commit('setStatus', {
+              id: actionId,
+              status: STATUS_SUCCESS,
+            })
+            return records.map((record, i) =>
+              operations[i]['op'] === 'delete'
+                ? record
+                : context.getters.get(record)
+            )
+          })
+          .catch((error) => {
+            context.commit('setStatus', { id: actionId, status: STATUS_ERROR })
+            throw error
+          })
+        action[jvtag + 'Id'] = actionId
+        return action
+      },
+      /**
+       * Get items from the API without updating the Vuex store
+       *
+       * @see module:jsonapi-vuex.jsonapiModule.actions.get
+       * @async
+       * @memberof module:jsonapi-vuex.jsonapiModule.actions
+       * @param {object} context - Vuex context object
+       * @param {(string|object|array)} args - See {@link module:jsonapi-vuex.jsonapiModule.actions} for a summary of args
+       * @param {string}  - A URL path to an item - e.g. `endpoint/1`
+       * @param {object}  - A restructured object  - e.g. `{ _jv: { type: "endpoint", id: "1" } }`
+       * @param {array}  - A 2-element array, consisting of a string/object and an optional axios config object
+       * @return {object} Restructured representation of the posted item
+       */
+      search: (context, args) => {
+        // Create a 'noop' context.commit to avoid store modifications
+        const nocontext = {
+          commit: () => {},
+          dispatch: context.dispatch,
+          getters: context.getters,
+        }
+        // Use a new actions 'instance' instead of 'dispatch' to allow context override
+        return actions(axiosApi).get(nocontext, args)
+      },
+      /**
+       * Save a draft (see {@link module:jsonapi-vuex.jsonapiModule.getters.createDraft}) to the API
+       *
+       * New records (without an id) are posted, and existing records are patched with only the
+       * attributes and relationships which have changed. Any related drafts are saved first.
+       * Once saved, the draft is updated to match the saved record (e.g. with its new id).
+       *
+       * @async
+       * @memberof module:jsonapi-vuex.jsonapiModule.actions
+       * @param {object} context - Vuex context object
+       * @param {(object|array)} args - A draft, or a 2-element array of draft and an optional axios config object
+       * @return {object} Restructured representation of the saved item (or the stored item, if it was unchanged)
+       */
+      saveDraft: (context, args) => {
+        const [draft, config] = unpackArgs(args)
+        const related = draftRelated(draft)
+        const saveRelated = Object.values(related).map((drafts) =>
+          Promise.all(
+            drafts.map((child) =>
+              context.dispatch('saveDraft', [child, config])
+            )
+          )
+        )
+        return Promise.all(saveRelated).then(() => {
+          // Related drafts may have new ids, so update the linkage
+          for (let [relName, drafts] of Object.entries(related)) {
+            const linkage = drafts.map((child) => {
+              const { type, id, lid } = child[jvtag]
+              return id ? { type: type, id: id } : { type: type, lid: lid }
+            })
+            const rel = draft[jvtag]['relationships'][relName]
+            rel['data'] = Array.isArray(rel['data']) ? linkage : linkage[0]
+          }
+          const record = draftChanges(draft)
+          if (!record) {
+            return context.getters.get(draft)
+          }
+          const method = record[jvtag]['id'] ? 'patch' : 'post'
+          return context.dispatch(method, [record, config]).then((result) => {
+            const id = get(result, [jvtag, 'id'])
+            if (id && !draft[jvtag]['id']) {
+              draft[jvtag]['id'] = id
+              delete draft[jvtag]['lid']
+            }
+            setDraftOriginal(draft)
+            return result
+          })
+        })
+      },
+      /**
+       * Cancel a `get` action which is in progress, aborting the request.
+       *
+       * The action's status is set to `CANCELLED`, the store is not updated, and the action's promise
+       * is rejected with a `CancelError`.
+       *
+       * Promises returned by `dispatch` don't have the action id, so pass a `signal` in the action's config
+       * instead when using a store.
+       *
+       * @memberof module:jsonapi-vuex.jsonapiModule.actions
+       * @param {object} context - Vuex context object
+       * @param {(number|object)} id - The action id, or the action's promise
+       * @return {boolean} true if the action was in progress (and has been cancelled)
+       */
+      cancel: (context, id) => {
+        if (typeof id === 'object') {
+          id = id[jvtag + 'Id']
+        }
+        return cancelAction(controllers, id)
+      },
+      /**
+       * Evict the least recently accessed records from the store, to keep within the `maxRecords` and
+       * `maxRecordsPerType` limits. Records in queries, and records with local changes, are never evicted.
+       * Queries (and documents) which haven't been fetched or accessed within `queryLifetime` are deleted first,
+       * so their records are no longer pinned.
+       *
+       * This is done automatically after each action which adds records to the store if either limit is set in the config,
+       * but can also be run manually (e.g. with lower limits when memory is short).
+       *
+       * @memberof module:jsonapi-vuex.jsonapiModule.actions
+       * @param {object} context - Vuex context object
+       * @param {object} [limits] - `maxRecords` and/or `maxRecordsPerType`, overriding the config
+       * @return {array} Resource identifiers (`{ type, id }`) of the evicted records
+       */
+      gc: (context, limits = {}) => {
+        return collectGarbage(context, limits)
+      },
+      /**
+       * Alias for {@link module:jsonapi-vuex.jsonapiModule.actions.get}
+       * @async
+       * @memberof module:jsonapi-vuex.jsonapiModule.actions
+       */
+      get fetch() {
+        return this.get
+      },
+      /**
+       * Alias for {@link module:jsonapi-vuex.jsonapiModule.actions.post}
+       * @async
+       * @memberof module:jsonapi-vuex.jsonapiModule.actions
+       */
+      get create() {
+        return this.post
+      },
+      /**
+       * Alias for {@link module:jsonapi-vuex.jsonapiModule.actions.patch}
+       * @async
+       * @memberof module:jsonapi-vuex.jsonapiModule.actions
+       */
+      get update() {
+        return this.patch
+      },
+      /**
+       * Alias for {@link module:jsonapi-vuex.jsonapiModule.actions.atomic}
+       * @async
+       * @memberof module:jsonapi-vuex.jsonapiModule.actions
+       */
+      get batch() {
+        return this.atomic
+      },
+    }
+    // Reject, rather than throw, if an action's arguments are invalid (leaving the aliases as they are)
+    const descriptors = Object.getOwnPropertyDescriptors(moduleActions)
+    for (let [name, { value }] of Object.entries(descriptors)) {
+      if (value) {
+        moduleActions[name] = rejectThrown(value)
+      }
+    }
+    return moduleActions
+  }
+
+  /**
+   * Wrap an action so that errors thrown before it returns (e.g. a `RecordError` for invalid arguments)
+   * reject the promise it returns instead, as `dispatch` doesn't catch them.
+   * @memberof module:jsonapi-vuex._internal
+   * @param {function} action - The action
+   * @return {function} The wrapped action
+   */
+  const rejectThrown = (action) => (context, args) => {
+    try {
+      return action(context, args)
+    } catch (error) {
+      return Promise.reject(error)
+    }
+  }
+
+  /**
+   * Vuex getters, used via `this.$store.getters`, e.g.:
+   * `this.$store.getters['jv/get'](<args>)
+   *
+   * @namespace
+   * @memberof module:jsonapi-vuex.jsonapiModule
+   */
+  const getters = () => {
+    return {
+      /**
+       * Get record(s) from the store
+       *
+       * @memberof module:jsonapi-vuex.jsonapiModule.getters
+       * @param {(string|object)} data
+       * @param {string}  - A URL path to an item - e.g. `endpoint/1`
+       * @param {object}  - A restructured object  - e.g. `{ _jv: { type: "endpoint", id: "1" } }`
+       * @param {string} jsonpath - a JSONPath string to filter the record(s) which are being retrieved. See [JSONPath Syntax](https://github.com/dchester/jsonpath#jsonpath-syntax)
+       * @return {object} Restructured representation of the record(s)
+       */
+      get: (state, getters) => (data, jsonpath, seen) => {
+        let result
+        if (!data) {
+          // No data arg - return whole state object
+          result = state
+        } else {
+          const [type, id] = getTypeId(data)
+
+          if (hasProperty(state, type)) {
+            if (id) {
+              if (hasProperty(state[type], id)) {
+                // single item
+                result = state[type][id]
+                touch(type, id)
+              } else {
+                // No item of that type
+                return {}
+              }
+            } else {
+              // whole collection, indexed by id
+              result = state[type]
+              Object.keys(result).forEach((id) => touch(type, id))
+            }
+            result = checkAndFollowRelationships(state, getters, result, seen)
+          } else {
+            // no records for that type in state
+            return {}
+          }
+        }
+
+        // Filter by jsonpath
+        if (jsonpath) {
+          const filtered = jp.query(result, jsonpath)
+          if (Array.isArray(filtered)) {
+            result = {}
+            for (let item of filtered) {
+              result[item[jvtag]['id']] = item
+            }
+          }
+        }
+        return result
+      },
+      /**
+       * Get the related record(s) of a record from the store
+       *
+       * @memberof module:jsonapi-vuex.jsonapiModule.getters
+       * @param {(string|object)} data
+       * @param {string}  - A URL path to an item - e.g. `endpoint/1`
+       * @param {object}  - A restructured object  - e.g. `{ _jv: { type: "endpoint", id: "1" } }`
+       * @return {object} Restructured representation of the record(s)
+       */
+      getRelated: (state, getters) => (data, seen) => {
+        const [type, id] = getTypeId(data)
+        if (!type || !id) {
+          throw new RecordError('getRelated: No type/id specified', data)
+        }
+        let parent = get(state, [type, id])
+        if (parent) {
+          return getRelationships(getters, parent, seen)
+        }
+        return {}
+      },
+      /**
+       * Check if a record in the store has been loaded with all of the given fields.
+       *
+       * Records fetched without sparse fieldsets are always complete.
+       *
+       * @memberof module:jsonapi-vuex.jsonapiModule.getters
+       * @param {(string|object)} data
+       * @param {string}  - A URL path to an item - e.g. `endpoint/1`
+       * @param {object}  - A restructured object  - e.g. `{ _jv: { type: "endpoint", id: "1" } }`
+       * @param {string[]} fields - The fields (attributes/relationships) required (if omitted, all fields are required)
+       * @return {boolean} true if the record is in the store with all of the fields loaded
+       */
+      isComplete: (state) => (data, fields) => {
+        const [type, id] = getTypeId(data)
+        const record = get(state, [type, id])
+        if (!record) {
+          return false
+        }
+        return hasFields(record, fields)
+      },
+      /**
+       * Get the attributes of a record which have been changed locally, since it was last
+       * fetched from (or saved to) the server
+       *
+       * @memberof module:jsonapi-vuex.jsonapiModule.getters
+       * @param {(string|object)} data
+       * @param {string}  - A URL path to an item - e.g. `endpoint/1`
+       * @param {object}  - A restructured object  - e.g. `{ _jv: { type: "endpoint", id: "1" } }`
+       * @return {object} The changed attributes, with their current values
+       */
+      changedAttributes: (state) => (data) => {
+        const [type, id] = getTypeId(data)
+        const record = get(state, [type, id], {})
+        const pristine = get(state, [jvtag + 'Pristine', type, id], record)
+        const changed = {}
+        for (let [key, value] of Object.entries(record)) {
+          if (key !== jvtag && !isEqual(pristine[key], value)) {
+            changed[key] = value
+          }
+        }
+        return changed
+      },
+      /**
+       * Check if a record has local changes (to its attributes or relationships) which the server has not seen.
+       * Records which have not been saved yet (i.e. without an id) are always dirty.
+       *
+       * @memberof module:jsonapi-vuex.jsonapiModule.getters
+       * @param {(string|object)} data
+       * @param {string}  - A URL path to an item - e.g. `endpoint/1`
+       * @param {object}  - A restructured object  - e.g. `{ _jv: { type: "endpoint", id: "1" } }`
+       * @return {boolean} true if the record has local changes
+       */
+      isDirty: (state) => (data) => {
+        const [type, id] = getTypeId(data)
+        return recordIsDirty(state, type, id)
+      },
+      /**
+       * Create a draft of a record - a detached (deep) copy, with helper methods, which can be edited
+       * outside of the store (e.g. when using Vuex strict mode), then saved using
+       * {@link module:jsonapi-vuex.jsonapiModule.actions.saveDraft}.
+       *
+       * @memberof module:jsonapi-vuex.jsonapiModule.getters
+       * @param {(string|object)} data - A record in the store, or a new restructured object
+       * @param {string}  - A URL path to an item - e.g. `endpoint/1`
+       * @param {object}  - A restructured object  - e.g. `{ _jv: { type: "endpoint", id: "1" } }`
+       * @param {string[]} [related=[]] - Relationships for which drafts of the related records should also be created
+       * @return {object} The draft
+       */
+      createDraft: (state) => (data, related = []) => {
+        return createDraft(state, data, related)
+      },
+      /**
+       * Get the (validation) errors from the last failed attempt to save a record
+       *
+       * @memberof module:jsonapi-vuex.jsonapiModule.getters
+       * @param {(string|object)} data
+       * @param {string}  - A URL path to an item - e.g. `endpoint/1`
+       * @param {object}  - A restructured object  - e.g. `{ _jv: { type: "endpoint", id: "1" } }`
+       * @return {array} The errors (as in {@link module:jsonapi-vuex.JsonApiError})
+       */
+      errors: (state) => (data) => {
+        const [type, id] = getTypeId(data)
+        return get(state, [jvtag + 'Errors', type, id], [])
+      },
+      /**
+       * Get the (validation) errors for one field of a record, including any nested fields (e.g. `address.city`)
+       *
+       * @memberof module:jsonapi-vuex.jsonapiModule.getters
+       * @param {(string|object)} data
+       * @param {string}  - A URL path to an item - e.g. `endpoint/1`
+       * @param {object}  - A restructured object  - e.g. `{ _jv: { type: "endpoint", id: "1" } }`
+       * @param {string} field - The attribute or relationship name
+       * @return {array} The errors for the field
+       */
+      fieldErrors: (state, getters) => (data, field) => {
+        return getters
+          .errors(data)
+          .filter(
+            (error) =>
+              error['field'] === field ||
+              (error['field'] || '').startsWith(field + '.')
+          )
+      },
+      /**
+       * Get the records of a query from the store, in the order returned by the API
+       *
+       * If the query is accumulating pages, this contains the records from all pages fetched so far.
+       *
+       * @memberof module:jsonapi-vuex.jsonapiModule.getters
+       * @param {string} query - The name of the query
+       * @return {array} Restructured representations of the record(s)
+       */
+      query: (state, getters) => (query) => {
+        touchQuery(query)
+        return get(state, [jvtag + 'Queries', query, 'data'], [])
+          .map(({ type, id, lid }) => getters.get(`${type}/${id || lid}`))
+          .filter((record) => hasProperty(record, jvtag))
+      },
+      /**
+       * Check if a query has a next page
+       *
+       * @memberof module:jsonapi-vuex.jsonapiModule.getters
+       * @param {string} query - The name of the query
+       * @return {boolean} true if the query has a `next` link
+       */
+      hasNext: (state) => (query) => {
+        return Boolean(get(state, [jvtag + 'Queries', query, 'links', 'next']))
+      },
+      /**
+       * Check if a query has a previous page
+       *
+       * @memberof module:jsonapi-vuex.jsonapiModule.getters
+       * @param {string} query - The name of the query
+       * @return {boolean} true if the query has a `prev` link
+       */
+      hasPrev: (state) => (query) => {
+        return Boolean(get(state, [jvtag + 'Queries', query, 'links', 'prev']))
+      },
+      /**
+       * Get the top-level `meta` of the document returned for a query (or request URL)
+       *
+       * @memberof module:jsonapi-vuex.jsonapiModule.getters
+       * @param {string} query - The name of the query (or the request URL)
+       * @return {object} The document's meta
+       */
+      meta: (state) => (query) => {
+        touchQuery(query)
+        return get(queryDocument(state, query), ['meta'], {})
+      },
+      /**
+       * Get the top-level `links` of the document returned for a query (or request URL)
+       *
+       * @memberof module:jsonapi-vuex.jsonapiModule.getters
+       * @param {string} query - The name of the query (or the request URL)
+       * @return {object} The document's links
+       */
+      links: (state) => (query) => {
+        touchQuery(query)
+        return get(queryDocument(state, query), ['links'], {})
+      },
+      /**
+       * Get the top-level `jsonapi` object of the document returned for a query (or request URL)
+       *
+       * @memberof module:jsonapi-vuex.jsonapiModule.getters
+       * @param {string} query - The name of the query (or the request URL)
+       * @return {object} The document's jsonapi object (version, ext etc)
+       */
+      jsonapi: (state) => (query) => {
+        touchQuery(query)
+        return get(queryDocument(state, query), ['jsonapi'], {})
+      },
+      /**
+       * Get the status of an action
+       *
+       * @memberof module:jsonapi-vuex.jsonapiModule.getters
+       * @param {integer} id - A status action id
+       * @return {string} A string representing the state of the action (LOADING|SUCCESS|ERROR|CANCELLED|RETRYING)
+       */
+      status: (state) => (id) => {
+        // If id is an object (promise), extract id
+        if (typeof id === 'object') {
+          id = id[jvtag + 'Id']
+        }
+        if (hasProperty(state[jvtag], id)) {
+          return state[jvtag][id]['status']
+        }
+      },
+    }
+  }
+
+  // Helper functions
+  /**
+   * Documentation for internal functions etc.
+   * These are not available when the module is imported,
+   * and are documented for module developers only.
+   * @namespace _internal
+   * @memberof module:jsonapi-vuex
+   */
+
+  /**
+   * Make a copy of a restructured object, adding (js) getters for its relationships
+   * That call the (vuex) get getter to fecth that record from the store
+   *
+   * Already seen objects are tracked using the 'seen' param to avoid loops.
+   *
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} getters - Vuex getters object
+   * @param {object} parent - The object whose relationships should be fetched
+   * @param {array} seen - Internal recursion state tracking
+   * @returns {object} A copy of the object with getter relationships added
+   */
+  const getRelationships = (getters, parent, seen = []) => {
+    let relationships = get(parent, [jvtag, 'relationships'], {})
+    let relationshipsData = {}
+    for (let relName of Object.keys(relationships)) {
+      let relations = get(relationships, [relName, 'data'])
+      relationshipsData[relName] = {}
+      if (relations) {
+        let isItem = !Array.isArray(relations)
+        let relationsData = {}
+
+        for (let relation of isItem ? Array.of(relations) : relations) {
+          let relType = relation['type']
+          let relId = relation['id'] || relation['lid']
+
+          if (!hasProperty(relationsData, relId)) {
+            Object.defineProperty(relationsData, relId, {
+              get() {
+                let current = [relName, relType, relId]
+                // Stop if seen contains an array which matches 'current'
+                if (
+                  !jvConfig.recurseRelationships &&
+                  seen.some((a) => a.every((v, i) => v === current[i]))
+                ) {
+                  return { [jvtag]: { type: relType, id: relId } }
+                } else {
+                  // prettier-ignore
+                  return getters.get(
+                      `${relType}/${relId}`,
+                      undefined,
+                      [...seen, [relName, relType, relId]]
+                    )
+                }
+              },
+              enumerable: true,
+            })
+          }
+        }
+        if (isItem) {
+          Object.defineProperty(
+            relationshipsData,
+            relName,
+            Object.getOwnPropertyDescriptor(
+              relationsData,
+              Object.keys(relationsData)[0]
+            )
+          )
         } else {
-          // no records for that type in state
-          return {}
+          Object.defineProperties(
+            relationshipsData[relName],
+            Object.getOwnPropertyDescriptors(relationsData)
+          )
         }
       }
+    }
+    return relationshipsData
+  }
+
+  /**
+   * Deep copy a normalised object, then re-add helper nethods
+   * @memberof module:jsonapi-vuex.utils
+   * @param {object} obj - An object to be deep copied
+   * @return {object} A deep copied object, with Helper functions added
+   */
+  const deepCopy = (obj) => {
+    const copyObj = _copy(obj)
+    if (Object.entries(copyObj).length) {
+      return addJvHelpers(copyObj)
+    }
+    return obj
+  }
+
+  /**
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} data - An object to be deep copied
+   * @return {object} A deep copied object
+   */
+  const _copy = (data) => {
+    // Recursive object copying function (for 'simple' objects)
+    let out = Array.isArray(data) ? [] : {}
+    for (let key in data) {
+      // null is typeof 'object'
+      if (typeof data[key] === 'object' && data[key] !== null) {
+        out[key] = _copy(data[key])
+      } else {
+        out[key] = data[key]
+      }
+    }
+    return out
+  }
+
+  /**
+   * A function that cleans up a patch object, so that it doesn't introeuce unexpected chanegs when sent to the API
+   * It removes any attributes which are unchanged from the store, to minimise accidental reversions.
+   * The patch is compared to the record as last fetched from the server (if known), rather than the record in the store,
+   * which may already contain the changes (e.g. from `v-model` bindings).
+   * It also strips out any of links, relationships and meta from `_jv` - See {@link module:jsonapi-vuex~Configuration|Configuration}
+   * @memberof module:jsonapi-vuex.utils
+   * @param {object} patch - A restructured object to be cleaned
+   * @param {object} state={} - Vuex state object (for patch comparison)
+   * @param {array} jvProps='[]' - _jv Properties to be kept
+   * @return {object} A cleaned copy of the patch object
+   */
+  const cleanPatch = (patch, state = {}, jvProps = []) => {
+    // Add helper properties (use a copy to prevent side-effects)
+    const modPatch = deepCopy(patch)
+    const attrs = get(modPatch, [jvtag, 'attrs'])
+    const clean = { [jvtag]: {} }
+    // Only try to clean the patch if it exists in the store
+    const { type, id } = modPatch[jvtag]
+    const stateRecord =
+      get(state, [jvtag + 'Pristine', type, id]) || get(state, [type, id])
+    if (stateRecord) {
+      for (let [k, v] of Object.entries(attrs)) {
+        if (!hasProperty(stateRecord, k) || !isEqual(stateRecord[k], v)) {
+          clean[k] = v
+        }
+      }
+    } else {
+      Object.assign(clean, attrs)
+    }
+
+    // Add _jv data, as required
+    clean[jvtag]['type'] = patch[jvtag]['type']
+    clean[jvtag]['id'] = patch[jvtag]['id']
+    for (let prop of jvProps) {
+      let propVal = get(patch, [jvtag, prop])
+      if (propVal) {
+        clean[jvtag][prop] = propVal
+      }
+    }
+
+    return clean
+  }
+
+  /**
+   * Get the value of a config option for a type, using any override in the `types` config
+   * @memberof module:jsonapi-vuex._internal
+   * @param {string} type - The record type
+   * @param {string} option - The name of the config option
+   * @return {*} The value of the option for the type
+   */
+  const typeOption = (type, option) => {
+    const overrides = get(jvConfig, ['types', type], {})
+    return hasProperty(overrides, option) ? overrides[option] : jvConfig[option]
+  }
+
+  /**
+   * Get the type of a record, or of the (first) record in a collection
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} data - A restructured record, or a collection of records indexed by id
+   * @return {string} The type (or undefined, for an empty collection)
+   */
+  const recordType = (data) => {
+    if (hasProperty(data, jvtag)) {
+      return data[jvtag]['type']
+    }
+    return get(Object.values(data), [0, jvtag, 'type'])
+  }
+
+  /**
+   * Clear old records from the store after an update, for types with `clearOnUpdate` set
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} context - Vuex actions context object
+   * @param {object} records - The restructured record(s) which have been added to the store
+   */
+  const clearOnUpdate = (context, records) => {
+    const items = hasProperty(records, jvtag)
+      ? [records]
+      : Object.values(records)
+    const clearing = items.filter((item) =>
+      typeOption(item[jvtag]['type'], 'clearOnUpdate')
+    )
+    if (clearing.length && clearing.length === items.length) {
+      context.commit('clearRecords', records)
+    } else if (clearing.length) {
+      const clearRecords = {}
+      for (let item of clearing) {
+        clearRecords[item[jvtag]['id']] = item
+      }
+      context.commit('clearRecords', clearRecords)
+    }
+  }
+
+  /**
+   * A single function to encapsulate the different merge approaches of the record mutations.
+   * See {@link module:jsonapi-vuex.jsonapiModule.mutations} to see the mutations that use this function.
+   *
+   * Records fetched using sparse fieldsets (with `_jv.fields` set) are always merged onto existing records,
+   * and `_jv.fields` is updated to contain all the fields loaded so far (or removed if the existing record was complete).
+   *
+   * A 'pristine' copy of each record (as last fetched from or saved to the server) is also kept,
+   * for use by {@link module:jsonapi-vuex.jsonapiModule.getters.isDirty} etc.
+   *
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} state - Vuex state object
+   * @param {object} records - Restructured records to be updated
+   * @param {boolean} [merging] - Whether or not to merge or overwrite records (defaults to the `mergeRecords` config for the type)
+   * @param {boolean} [updatePristine=true] - Whether the records are from the server (so should update the pristine copy),
+   * rather than local changes
+   */
+  const updateRecords = (state, records, merging, updatePristine = true) => {
+    const storeRecords = normToStore(records)
+    const pristines = state[jvtag + 'Pristine']
+    for (let [type, item] of Object.entries(storeRecords)) {
+      let mergeType =
+        merging === undefined ? typeOption(type, 'mergeRecords') : merging
+      if (!hasProperty(state, type)) {
+        Vue.set(state, type, {})
+        // If there's no type, then there are no existing records to merge
+        mergeType = false
+      }
+      for (let [id, data] of Object.entries(item)) {
+        const oldRecord = get(state, [type, id])
+        const fields = get(data, [jvtag, 'fields'])
+        // Get the old linkage first, as merge modifies oldRecord
+        const oldLinkage = inverseLinkage(oldRecord)
+        if (pristines && updatePristine) {
+          // Apply the update to the pristine record (copying, as merge modifies it)
+          let pristine = _copy(data)
+          if (oldRecord && (fields || mergeType)) {
+            const oldPristine = _copy(get(pristines, [type, id], oldRecord))
+            pristine = fields
+              ? replaceFields(oldPristine, pristine)
+              : merge(oldPristine, pristine)
+          }
+          if (!hasProperty(pristines, type)) {
+            Vue.set(pristines, type, {})
+          }
+          Vue.set(pristines[type], id, pristine)
+        }
+        if (oldRecord && fields) {
+          // Partial record - never replace the existing record, only the fields it contains
+          data = replaceFields(oldRecord, data)
+        } else if (mergeType && oldRecord) {
+          data = merge(oldRecord, data)
+        }
+        Vue.set(state[type], id, data)
+        touch(type, id)
+        updateInverses(state, data, oldLinkage, inverseLinkage(data))
+      }
+    }
+  }
+
+  /**
+   * Update a record with the attributes and relationships in a partial (sparse fieldset) record.
+   * Each one present is replaced as a whole (unlike `merge`, which merges arrays by index).
+   * The record stays complete, or gains the partial record's fields.
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} record - The existing record (which is modified)
+   * @param {object} partial - The partial record
+   * @return {object} The updated record
+   */
+  const replaceFields = (record, partial) => {
+    const oldFields = get(record, [jvtag, 'fields'])
+    for (let [key, value] of Object.entries(partial)) {
+      if (key !== jvtag) {
+        Vue.set(record, key, value)
+      }
+    }
+    if (!hasProperty(record, jvtag)) {
+      Vue.set(record, jvtag, {})
+    }
+    for (let [key, value] of Object.entries(get(partial, [jvtag], {}))) {
+      if (key === 'relationships') {
+        value = Object.assign({}, record[jvtag]['relationships'], value)
+      }
+      Vue.set(record[jvtag], key, value)
+    }
+    if (oldFields) {
+      const fields = get(partial, [jvtag, 'fields'], [])
+      record[jvtag]['fields'] = [...new Set([...oldFields, ...fields])]
+    } else {
+      Vue.delete(record[jvtag], 'fields')
+    }
+    return record
+  }
+
+  /**
+   * Record that a record has been accessed (for garbage collection)
+   * @memberof module:jsonapi-vuex._internal
+   * @param {string} type - The record's type
+   * @param {string} id - The record's id
+   */
+  const touch = (type, id) => {
+    accessed[`${type}/${id}`] = ++accessCounter
+  }
+
+  /**
+   * Record that a query (or document) has been accessed (for garbage collection)
+   * @memberof module:jsonapi-vuex._internal
+   * @param {string} query - The name of the query
+   */
+  const touchQuery = (query) => {
+    queryAccessed[query] = Date.now()
+  }
+
+  /**
+   * Check if a record has local changes which the server has not seen (see {@link module:jsonapi-vuex.jsonapiModule.getters.isDirty})
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} state - Vuex state object
+   * @param {string} type - The record's type
+   * @param {string} id - The record's id
+   * @return {boolean} true if the record has local changes
+   */
+  const recordIsDirty = (state, type, id) => {
+    const record = get(state, [type, id])
+    if (!record) {
+      return false
+    }
+    if (!get(record, [jvtag, 'id'])) {
+      return true
+    }
+    const pristine = get(state, [jvtag + 'Pristine', type, id], record)
+    const changed = Object.keys(record).some(
+      (key) => key !== jvtag && !isEqual(pristine[key], record[key])
+    )
+    return (
+      changed ||
+      !isEqual(
+        get(record, [jvtag, 'relationships']),
+        get(pristine, [jvtag, 'relationships'])
+      )
+    )
+  }
+
+  /**
+   * Check if any garbage collection limits (`maxRecords` or `maxRecordsPerType`) are set in the config
+   * @memberof module:jsonapi-vuex._internal
+   * @return {boolean} true if records should be evicted automatically
+   */
+  const gcEnabled = () => {
+    return Boolean(
+      jvConfig.maxRecords ||
+        jvConfig.maxRecordsPerType ||
+        Object.values(jvConfig.types).some((type) => type['maxRecordsPerType'])
+    )
+  }
+
+  /**
+   * Find the queries (and documents) which haven't been fetched or accessed within the `queryLifetime`
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} state - Vuex state object
+   * @return {array} The names of the expired queries
+   */
+  const expiredQueries = (state) => {
+    const lifetime = jvConfig.queryLifetime
+    if (!lifetime) {
+      return []
+    }
+    const stores = [jvtag + 'Queries', jvtag + 'Documents'].map((key) =>
+      get(state, [key], {})
+    )
+    const names = new Set(
+      [].concat(...stores.map((store) => Object.keys(store)))
+    )
+    const now = Date.now()
+    return [...names].filter((name) => {
+      const used = Math.max(
+        queryAccessed[name] || 0,
+        ...stores.map((store) => get(store, [name, 'fetched'], 0))
+      )
+      return now - used > lifetime
+    })
+  }
+
+  /**
+   * Find the records to evict from the store to keep within the garbage collection limits.
+   *
+   * The least recently accessed records (through the `get` getter, or by being added to the store) are evicted first.
+   * Records in queries, and records with local changes, are pinned (never evicted), so the limits may be exceeded.
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} state - Vuex state object
+   * @param {object} [limits] - `maxRecords` and/or `maxRecordsPerType`, overriding the config
+   * @return {array} Resource identifiers (`{ type, id }`) of the records to evict
+   */
+  const garbage = (state, limits = {}) => {
+    const { maxRecords = jvConfig.maxRecords } = limits
+    const maxType = (type) =>
+      hasProperty(limits, 'maxRecordsPerType')
+        ? limits['maxRecordsPerType']
+        : typeOption(type, 'maxRecordsPerType')
+    const types = Object.keys(state).filter((type) => !type.startsWith(jvtag))
+    const counts = types.map((type) => Object.keys(state[type]).length)
+    let total = counts.reduce((sum, count) => sum + count, 0)
+    // Usually the store is within the limits, so skip the more expensive checks below
+    const overType = types.some(
+      (type, i) => maxType(type) && counts[i] > maxType(type)
+    )
+    if (!overType && !(maxRecords && total > maxRecords)) {
+      return []
+    }
+    const pinned = new Set()
+    for (let entry of Object.values(get(state, [jvtag + 'Queries'], {}))) {
+      for (let { type, id, lid } of entry['data'] || []) {
+        pinned.add(`${type}/${id || lid}`)
+      }
+    }
+    const lastAccess = ({ type, id }) => accessed[`${type}/${id}`] || 0
+    const byAccess = (a, b) => lastAccess(a) - lastAccess(b)
+    // Records with local changes are only checked for as eviction candidates are reached (as this is slow)
+    const evictable = ({ type, id }) => !recordIsDirty(state, type, id)
+    const evicted = []
+    const candidates = []
+    types.forEach((type, i) => {
+      let excess = maxType(type) ? Math.max(counts[i] - maxType(type), 0) : 0
+      const unpinned = Object.keys(state[type])
+        .filter((id) => !pinned.has(`${type}/${id}`))
+        .map((id) => ({ type: type, id: id }))
+        .sort(byAccess)
+      for (let record of unpinned) {
+        if (excess && evictable(record)) {
+          evicted.push(record)
+          excess--
+          total--
+        } else {
+          candidates.push(record)
+        }
+      }
+    })
+    let excess = maxRecords ? total - maxRecords : 0
+    for (let record of candidates.sort(byAccess)) {
+      if (excess <= 0) {
+        break
+      }
+      if (evictable(record)) {
+        evicted.push(record)
+        excess--
+      }
+    }
+    return evicted
+  }
+
+  /**
+   * Collect garbage - delete expired queries (see {@link module:jsonapi-vuex._internal.expiredQueries}),
+   * then evict records to keep within the limits (see {@link module:jsonapi-vuex._internal.garbage}).
+   * This is run once at the end of each action which adds records to the store, if garbage collection is enabled,
+   * so that any queries the action recorded already pin their records.
+   * Contexts without state (e.g. from `search`, which doesn't modify the store) are skipped.
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} context - Vuex actions context object
+   * @param {object} [limits] - `maxRecords` and/or `maxRecordsPerType`, overriding the config
+   * @return {array} Resource identifiers (`{ type, id }`) of the evicted records
+   */
+  const collectGarbage = (context, limits = {}) => {
+    if (!context.state) {
+      return []
+    }
+    for (let query of expiredQueries(context.state)) {
+      context.commit('deleteQuery', query)
+    }
+    const evicted = garbage(context.state, limits)
+    if (evicted.length) {
+      context.commit('evictRecords', evicted)
+    }
+    return evicted
+  }
+
+  /**
+   * Evict records from the store, along with their pristine copies, fetched times and errors.
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} state - Vuex state object
+   * @param {array} identifiers - Resource identifiers (`{ type, id }`) of the records to evict
+   */
+  const evictRecords = (state, identifiers) => {
+    for (let { type, id } of identifiers) {
+      if (hasProperty(get(state, [type], {}), id)) {
+        Vue.delete(state[type], id)
+      }
+      deletePristine(state, type, id)
+      deleteDocuments(state, type, id)
+      for (let key of ['Fetched', 'Errors']) {
+        const stored = get(state, [jvtag + key, type])
+        if (stored && hasProperty(stored, id)) {
+          Vue.delete(stored, id)
+        }
+      }
+      delete accessed[`${type}/${id}`]
+    }
+  }
+
+  /**
+   * Get the linkage of a record's relationships which have inverses (see the `inverses` config).
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} record - A restructured record (or undefined)
+   * @return {object} Resource identifiers (as an array) for each relationship, indexed by relationship name.
+   * Relationships without `data` (i.e. where the linkage is unknown) are left out.
+   */
+  const inverseLinkage = (record) => {
+    const linkage = {}
+    if (!get(record, [jvtag, 'type'])) {
+      return linkage
+    }
+    const relationships = get(record, [jvtag, 'relationships'], {})
+    for (let relName of Object.keys(
+      typeOption(record[jvtag]['type'], 'inverses')
+    )) {
+      if (hasProperty(relationships[relName] || {}, 'data')) {
+        linkage[relName] = [].concat(relationships[relName]['data'] || [])
+      }
+    }
+    return linkage
+  }
+
+  /**
+   * Keep inverse relationships (see the `inverses` config) consistent when a record's linkage changes.
+   *
+   * The record is added to (or removed from) the inverse relationship of each record it is newly linked to
+   * (or no longer linked to), along with their pristine copies. Records not in the store, and inverse
+   * relationships without `data` (i.e. where the linkage is unknown), are left alone.
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} state - Vuex state object
+   * @param {object} record - The restructured record whose linkage has changed
+   * @param {object} oldLinkage - The record's previous linkage (see {@link module:jsonapi-vuex._internal.inverseLinkage})
+   * @param {object} newLinkage - The record's new linkage
+   */
+  const updateInverses = (state, record, oldLinkage, newLinkage) => {
+    if (!Object.keys(newLinkage).length) {
+      return
+    }
+    const { type, id, lid } = record[jvtag]
+    const self = id ? { type: type, id: id } : { type: type, lid: lid }
+    const sameItem = (a) => (b) =>
+      Boolean(b) &&
+      a['type'] === b['type'] &&
+      (a['id'] || a['lid']) === (b['id'] || b['lid'])
+    const setInverse = (target, relName, add) => {
+      const stores = [state, get(state, [jvtag + 'Pristine'], {})]
+      const targetId = target['id'] || target['lid']
+      for (let store of stores) {
+        const rel = get(store, [
+          target['type'],
+          targetId,
+          jvtag,
+          'relationships',
+          relName,
+        ])
+        if (!rel || !hasProperty(rel, 'data')) {
+          continue
+        }
+        const data = rel['data']
+        if (Array.isArray(data)) {
+          const i = data.findIndex(sameItem(self))
+          if (add && i === -1) {
+            data.push({ ...self })
+          } else if (!add && i !== -1) {
+            data.splice(i, 1)
+          }
+        } else if (add) {
+          Vue.set(rel, 'data', { ...self })
+        } else if (sameItem(self)(data)) {
+          Vue.set(rel, 'data', null)
+        }
+      }
+    }
+    for (let [relName, inverse] of Object.entries(
+      typeOption(type, 'inverses')
+    )) {
+      if (!hasProperty(newLinkage, relName)) {
+        // Linkage unknown, so leave the inverse alone
+        continue
+      }
+      const oldItems = oldLinkage[relName] || []
+      const newItems = newLinkage[relName]
+      oldItems
+        .filter((item) => !newItems.some(sameItem(item)))
+        .forEach((item) => setInverse(item, inverse, false))
+      newItems
+        .filter((item) => !oldItems.some(sameItem(item)))
+        .forEach((item) => setInverse(item, inverse, true))
+    }
+  }
+
+  /**
+   * Find the records to delete along with a record - the record itself, and those (recursively) related through
+   * the relationships listed in the `cascade` config for each type.
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} state - Vuex state object
+   * @param {string} type - The record's type
+   * @param {string} id - The record's id
+   * @return {array} Resource identifiers (`{ type, id }`) of the records to delete
+   */
+  const cascadeRecords = (state, type, id) => {
+    const found = []
+    const visit = (type, id) => {
+      if (found.some((item) => item['type'] === type && item['id'] === id)) {
+        return
+      }
+      found.push({ type: type, id: id })
+      const relationships = get(state, [type, id, jvtag, 'relationships'], {})
+      for (let relName of typeOption(type, 'cascade')) {
+        const data = get(relationships, [relName, 'data']) || []
+        for (let item of Array.isArray(data) ? data : [data]) {
+          visit(item['type'], item['id'] || item['lid'])
+        }
+      }
+    }
+    visit(type, id)
+    return found
+  }
+
+  /**
+   * Find the records whose relationships refer to any of a list of records
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} state - Vuex state object (or the pristine records)
+   * @param {array} identifiers - Resource identifiers (`{ type, id }`) of the records
+   * @return {array} The referring records
+   */
+  const referringRecords = (state, identifiers) => {
+    const referring = []
+    if (!identifiers.length) {
+      return referring
+    }
+    for (let [key, records] of Object.entries(state)) {
+      if (key.startsWith(jvtag)) {
+        continue
+      }
+      for (let record of Object.values(records)) {
+        const relationships = get(record, [jvtag, 'relationships'], {})
+        const refers = Object.values(relationships).some((rel) =>
+          [].concat(get(rel, ['data']) || []).some(isIdentifier(identifiers))
+        )
+        if (refers) {
+          referring.push(record)
+        }
+      }
+    }
+    return referring
+  }
+
+  /**
+   * Return a function which tests whether a resource identifier is in a list of identifiers
+   * @memberof module:jsonapi-vuex._internal
+   * @param {array} identifiers - Resource identifiers (`{ type, id }`)
+   * @return {function} A function which takes a resource identifier (or null) and returns true if it is in the list
+   */
+  const isIdentifier = (identifiers) => (item) =>
+    Boolean(item) &&
+    identifiers.some(
+      ({ type, id }) =>
+        item['type'] === type && (item['id'] || item['lid']) === id
+    )
+
+  /**
+   * Delete records (and their pristine copies) from the store.
+   *
+   * For types with `removeDangling` set, references to the deleted records are also removed from the
+   * relationships of other records (to-one relationships are set to `null`).
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} state - Vuex state object
+   * @param {array} identifiers - Resource identifiers (`{ type, id }`) of the records to delete
+   */
+  const removeRecords = (state, identifiers) => {
+    for (let { type, id } of identifiers) {
+      if (hasProperty(get(state, [type], {}), id)) {
+        // Remove the record from the inverse relationships of the records it is linked to
+        const record = state[type][id]
+        const linkage = inverseLinkage(record)
+        const unlinked = {}
+        for (let relName of Object.keys(linkage)) {
+          unlinked[relName] = []
+        }
+        updateInverses(state, record, linkage, unlinked)
+        Vue.delete(state[type], id)
+      }
+      deletePristine(state, type, id)
+      deleteDocuments(state, type, id)
+    }
+    const dangling = identifiers.filter(({ type }) =>
+      typeOption(type, 'removeDangling')
+    )
+    if (!dangling.length) {
+      return
+    }
+    const matches = isIdentifier(dangling)
+    const pristines = get(state, [jvtag + 'Pristine'], {})
+    for (let store of [state, pristines]) {
+      for (let record of referringRecords(store, dangling)) {
+        for (let rel of Object.values(record[jvtag]['relationships'])) {
+          const data = rel['data']
+          if (Array.isArray(data)) {
+            for (let i = data.length - 1; i >= 0; i--) {
+              if (matches(data[i])) {
+                data.splice(i, 1)
+              }
+            }
+          } else if (matches(data)) {
+            Vue.set(rel, 'data', null)
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Delete the stored documents (meta, links etc) of a record (see {@link module:jsonapi-vuex._internal.recordDocument})
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} state - Vuex state object
+   * @param {string} type - The record's type
+   * @param {string} id - The record's id
+   */
+  const deleteDocuments = (state, type, id) => {
+    const documents = get(state, [jvtag + 'Documents'], {})
+    for (let [query, document] of Object.entries(documents)) {
+      const data = document['data']
+      if (data && data['type'] === type && data['id'] === id) {
+        Vue.delete(documents, query)
+      }
+    }
+  }
+
+  /**
+   * Delete the pristine copy of a record (see {@link module:jsonapi-vuex._internal.updateRecords})
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} state - Vuex state object
+   * @param {string} type - The record's type
+   * @param {string} id - The record's id
+   */
+  const deletePristine = (state, type, id) => {
+    const pristines = get(state, [jvtag + 'Pristine', type])
+    if (pristines && hasProperty(pristines, id)) {
+      Vue.delete(pristines, id)
+    }
+  }
+
+  /**
+   * A single function to encapsulate the different approaches of the relationships mutations.
+   * See {@link module:jsonapi-vuex.jsonapiModule.mutations} to see the mutations that use this function.
+   *
+   * Records which aren't in the store are ignored.
+   *
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} state - Vuex state object
+   * @param {object} record - Restructured record, with the resource linkage to apply in `_jv.relationships`
+   * @param {string} op - One of `add`, `remove` or `replace`
+   */
+  const updateRelationships = (state, record, op) => {
+    const { type, id, relationships = {} } = record[jvtag]
+    const storeRecord = get(state, [type, id])
+    if (!storeRecord) {
+      return
+    }
+    if (!hasProperty(storeRecord[jvtag], 'relationships')) {
+      Vue.set(storeRecord[jvtag], 'relationships', {})
+    }
+    const storeRels = storeRecord[jvtag]['relationships']
+    const oldLinkage = inverseLinkage(storeRecord)
+    const sameItem = (a) => (b) =>
+      a['type'] === b['type'] && (a['id'] || a['lid']) === (b['id'] || b['lid'])
+
+    for (let [relName, rel] of Object.entries(relationships)) {
+      let relData = get(rel, ['data'], null)
+      if (op !== 'replace') {
+        // add/remove only apply to to-many relationships, so treat both as arrays
+        let current = get(storeRels, [relName, 'data']) || []
+        current = Array.isArray(current) ? current : [current]
+        const items = Array.isArray(relData) ? relData : [relData]
+        if (op === 'add') {
+          relData = current.concat(
+            items.filter((item) => !current.some(sameItem(item)))
+          )
+        } else {
+          relData = current.filter((item) => !items.some(sameItem(item)))
+        }
+      }
+      if (!hasProperty(storeRels, relName)) {
+        Vue.set(storeRels, relName, {})
+      }
+      Vue.set(storeRels[relName], 'data', relData)
+    }
+    updateInverses(state, storeRecord, oldLinkage, inverseLinkage(storeRecord))
+  }
+
+  /**
+   * Helper methods added to `_jv` by {@link module:jsonapi-vuex.utils.addJvHelpers}
+   * @namespace helpers
+   * @memberof module:jsonapi-vuex.jsonapiModule
+   */
 
-      // Filter by jsonpath
-      if (jsonpath) {
-        const filtered = jp.query(result, jsonpath)
-        if (Array.isArray(filtered)) {
-          result = {}
-          for (let item of filtered) {
-            result[item[jvtag]['id']] = item
-          }
+  /**
+   * Add helper functions and getters to a restructured object
+   * @memberof module:jsonapi-vuex.utils
+   * @param {object} obj - An object to assign helpers to
+   * @return {object} A copy of the object with added helper functions/getters
+   */
+  const addJvHelpers = (obj) => {
+    if (
+      obj[jvtag] &&
+      !hasProperty(obj[jvtag], 'isRel') &&
+      !hasProperty(obj[jvtag], 'isAttr')
+    ) {
+      Object.assign(obj[jvtag], {
+        /**
+         * @memberof module:jsonapi-vuex.jsonapiModule.helpers
+         * @param {string} name - Name of a (potential) relationship
+         * returns {boolean} true if the name given is a relationship of this object
+         */
+        isRel(name) {
+          return hasProperty(get(obj, [jvtag, 'relationships'], {}), name)
+        },
+        /**
+         * @memberof module:jsonapi-vuex.jsonapiModule.helpers
+         * @param {string} name - Name of a (potential) attribute
+         * returns {boolean} true if the name given is an attribute of this object
+         */
+        isAttr(name) {
+          return name !== jvtag && hasProperty(obj, name) && !this.isRel(name)
+        },
+      })
+    }
+
+    /**
+     * @memberof module:jsonapi-vuex.jsonapiModule.helpers
+     * @name rels
+     * @property {object} - An object containing all relationships for this object
+     */
+    Object.defineProperty(obj[jvtag], 'rels', {
+      get() {
+        const rel = {}
+        for (let key of Object.keys(get(obj, [jvtag, 'relationships'], {}))) {
+          rel[key] = obj[key]
         }
-      }
-      return result
-    },
+        return rel
+      },
+      // Allow to be redefined
+      configurable: true,
+    })
     /**
-     * Get the related record(s) of a record from the store
-     *
-     * @memberof module:jsonapi-vuex.jsonapiModule.getters
-     * @param {(string|object)} data
-     * @param {string}  - A URL path to an item - e.g. `endpoint/1`
-     * @param {object}  - A restructured object  - e.g. `{ _jv: { type: "endpoint", id: "1" } }`
-     * @return {object} Restructured representation of the record(s)
+     * @memberof module:jsonapi-vuex.jsonapiModule.helpers
+     * @name attrs
+     * @property {object} - An object containing all attributes for this object
      */
-    getRelated: (state, getters) => (data, seen) => {
-      const [type, id] = getTypeId(data)
-      if (!type || !id) {
-        throw 'No type/id specified'
+    Object.defineProperty(obj[jvtag], 'attrs', {
+      get() {
+        const att = {}
+        for (let [key, val] of Object.entries(obj)) {
+          if (this.isAttr(key)) {
+            att[key] = val
+          }
+        }
+        return att
+      },
+      // Allow to be redefined
+      configurable: true,
+    })
+    return obj
+  }
+
+  /**
+   * An incrementing counter, returning a new id to be used for action statuses.
+   * If `actionStatusCleanAge` is set, also sets up a timer to call deleetStatus for
+   * this id when the timeout is reached.
+   * See {@link module:jsonapi-vuex~Configuration|Configuration}
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} context - Vuex actions context object
+   * @return {integer} A new status id
+   */
+  const actionSequence = (context) => {
+    // Increment the global action id, set up a cleanup timeout and return it
+    let id = ++actionSequenceCounter
+    if (jvConfig.actionStatusCleanAge > 0) {
+      setTimeout(
+        context.commit,
+        jvConfig.actionStatusCleanAge * 1000,
+        'deleteStatus',
+        id
+      )
+    }
+    return id
+  }
+
+  /**
+   * If `preserveJSON` is set (for the type), add the returned JSONAPI in a get action to _jv.json
+   * See {@link module:jsonapi-vuex~Configuration|Configuration}
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} data - Restructured record
+   * @param {object} json - JSONAPI record
+   * @return {object} data record, with JSONAPI added in _jv.json
+   */
+  const preserveJSON = (data, json) => {
+    if (data && typeOption(recordType(data), 'preserveJson')) {
+      if (!hasProperty(data, jvtag)) {
+        data[jvtag] = {}
       }
-      let parent = get(state, [type, id])
-      if (parent) {
-        return getRelationships(getters, parent, seen)
+      // Store a copy of the original json (without the data section) in _jv
+      data[jvtag]['json'] = Object.assign({}, json)
+      delete data[jvtag]['json']['data']
+    }
+    return data
+  }
+
+  /**
+   * If `followRelationshipData` is set (for the type), call `followRelationships` for either an item or a collection
+   * See {@link module:jsonapi-vuex~Configuration|Configuration}
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} state - Vuex state object
+   * @param {object} getters - Vuex getters object
+   * @param {object} records - Record(s) to follow relationships for.
+   * @param {array} seen - internal recursion state-tracking
+   * @return {object} records with relationships followed
+   */
+  const checkAndFollowRelationships = (state, getters, records, seen) => {
+    const follow = (item) =>
+      typeOption(item[jvtag]['type'], 'followRelationshipsData')
+    if (hasProperty(records, jvtag)) {
+      // single item
+      if (follow(records)) {
+        return followRelationships(state, getters, records, seen)
       }
-      return {}
-    },
-    /**
-     * Get the status of an action
-     *
-     * @memberof module:jsonapi-vuex.jsonapiModule.getters
-     * @param {integer} id - A status action id
-     * @return {string} A string representing the state of the action (LOADING|SUCCESS|ERROR)
-     */
-    status: (state) => (id) => {
-      // If id is an object (promise), extract id
-      if (typeof id === 'object') {
-        id = id[jvtag + 'Id']
+    } else if (Object.values(records).some(follow)) {
+      // multiple items
+      let resData = {}
+      for (let [key, item] of Object.entries(records)) {
+        resData[key] = follow(item)
+          ? followRelationships(state, getters, item, seen)
+          : item
+      }
+      return resData
+    }
+    return records
+  }
+
+  /**
+   * A thin wrapper around `getRelationships, making a copy of the object.
+   * We can't add rels to the original object, otherwise Vue's watchers
+   * spot the potential for loops (which we are guarding against) and throw an error
+   *
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} state - Vuex state object
+   * @param {object} getters - Vuex getters object
+   * @param {object} record - Record to get relationships for.
+   * @param {array} seen - internal recursion state-tracking
+   * @return {object} records with relationships followed and helper functions added (see {@link module:jsonapi-vuex.utils.addJvHelpers})
+   */
+  const followRelationships = (state, getters, record, seen) => {
+    let data = {}
+
+    Object.defineProperties(data, Object.getOwnPropertyDescriptors(record))
+
+    let relationships = getRelationships(getters, data, seen)
+    Object.defineProperties(
+      data,
+      Object.getOwnPropertyDescriptors(relationships)
+    )
+
+    return addJvHelpers(data)
+  }
+
+  /**
+   * Transform args to always be an array (data and config options).
+   * See {@link module:jsonapi-vuex.jsonapiModule.actions} for an explanation of why this function is needed.
+   *
+   * @memberof module:jsonapi-vuex._internal
+   * @param {(string|array)} args - Array of data and configuration info
+   * @return {array} Array of data and config options
+   */
+  const unpackArgs = (args) => {
+    if (Array.isArray(args)) {
+      return args
+    }
+    return [args, {}]
+  }
+
+  /**
+   * Split the jsonapi-vuex options (in the `jvtag` key) out from an axios config object.
+   *
+   * Any query description in the options (see {@link module:jsonapi-vuex.utils.queryParams})
+   * is added to the axios `params`.
+   *
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} config={} - axios config, with optional jsonapi-vuex options
+   * @return {array} A copy of the axios config, and the jsonapi-vuex options
+   */
+  const splitConfig = (config = {}) => {
+    const { [jvtag]: jvOpts = {}, ...apiConf } = config
+    const params = queryParams(jvOpts)
+    if (Object.keys(params).length) {
+      apiConf['params'] = Object.assign({}, apiConf['params'], params)
+    }
+    return [apiConf, jvOpts]
+  }
+
+  /**
+   * Convert a query description to JSONAPI query parameters.
+   *
+   * For example `{ include: ['author'], fields: { widget: ['name', 'color'] }, page: { number: 2 } }`
+   * becomes `{ include: 'author', 'fields[widget]': 'name,color', 'page[number]': 2 }`
+   *
+   * @memberof module:jsonapi-vuex.utils
+   * @param {object} query - An object containing any of `include`, `fields`, `sort`, `filter` and `page`
+   * @return {object} Query parameters, suitable for the axios `params` config option
+   */
+  const queryParams = (query = {}) => {
+    const params = {}
+    // Lists are comma-separated
+    const list = (value) => (Array.isArray(value) ? value.join(',') : value)
+    // Nested objects become 'family' parameters, e.g. filter[author][name]
+    const addParams = (name, value) => {
+      if (
+        value !== null &&
+        typeof value === 'object' &&
+        !Array.isArray(value)
+      ) {
+        for (let [key, val] of Object.entries(value)) {
+          addParams(`${name}[${key}]`, val)
+        }
+      } else {
+        params[name] = list(value)
       }
-      if (hasProperty(state[jvtag], id)) {
-        return state[jvtag][id]['status']
+    }
+    for (let member of ['include', 'fields', 'sort', 'filter', 'page']) {
+      if (query[member] !== undefined) {
+        addParams(member, query[member])
       }
-    },
+    }
+    return params
   }
-}
 
-/**
- * jsonapi-vuex store module
- * @namespace
- * @memberof module:jsonapi-vuex
- * @param {axios} api - an axios instance
- * @param {object} [conf={}] - jsonapi-vuex configuation
- * @return {object} A Vuex store object
- */
-const jsonapiModule = (api, conf = {}) => {
-  Object.assign(jvConfig, conf)
-  jvtag = jvConfig['jvtag']
-  let state = { [jvtag]: {} }
+  /**
+   * Convert query parameters to a query string, encoded in the same way as axios
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} params - Query parameters
+   * @return {string} A query string
+   */
+  const queryString = (params) => {
+    const encode = (val) =>
+      encodeURIComponent(val)
+        .replace(/%2C/gi, ',')
+        .replace(/%5B/gi, '[')
+        .replace(/%5D/gi, ']')
+    return Object.entries(params)
+      .map(([key, val]) => `${encode(key)}=${encode(val)}`)
+      .join('&')
+  }
 
-  return {
-    namespaced: true,
+  /**
+   * Get the type, id and relationships from a restructured object
+   *
+   * Records without an id (which have not yet been created on the server) are identified by their local id (`lid`).
+   * @memberof module:jsonapi-vuex.utils
+   * @param {object} data - A restructured object
+   * @return {array} An array (optionally) containing type, id and rels
+   */
+  const getTypeId = (data) => {
+    let type, id, rel
+    if (typeof data === 'string') {
+      // Ignore any query string or fragment
+      ;[type, id, rel] = data
+        .replace(/^\//, '')
+        .split(/[?#]/)[0]
+        .split('/')
+    } else {
+      const { lid } = data[jvtag]
+      ;({ type, id } = data[jvtag])
+      id = id || lid
+    }
 
-    state: state,
+    // Spec: The values of the id and type members MUST be strings.
+    // uri encode to prevent mis-interpretation as url parts.
+    // Strip any empty strings (falsey items)
+    return [
+      type && encodeURIComponent(type),
+      id && encodeURIComponent(id),
+      rel && encodeURIComponent(rel),
+    ].filter(Boolean)
+  }
 
-    mutations: mutations(),
-    actions: actions(api),
-    getters: getters(),
+  /**
+   * Get the collection endpoint for a record's type, from the `endpoint` and `pluralize` config.
+   *
+   * Placeholders in an endpoint template (e.g. `:order` in `orders/:order/items`) are replaced with
+   * the matching value in `params`, or else the id of the record's (to-one) relationship of that name.
+   * @memberof module:jsonapi-vuex.utils
+   * @param {object} data - A restructured object
+   * @param {object} params={} - Values for placeholders in the endpoint template
+   * @return {string} The endpoint path
+   */
+  const getEndpoint = (data, params = {}) => {
+    const type = data[jvtag]['type']
+    const endpoint = typeOption(type, 'endpoint')
+    if (typeof endpoint === 'function') {
+      return endpoint(data, params)
+    }
+    if (!endpoint) {
+      const plural = typeOption(type, 'pluralize')
+      if (typeof plural === 'function') {
+        return plural(type)
+      }
+      return plural ? pluralize(type) : type
+    }
+    return endpoint.replace(/:([a-zA-Z_]\w*)/g, (match, name) => {
+      const value = hasProperty(params, name)
+        ? params[name]
+        : get(data, [jvtag, 'relationships', name, 'data', 'id'])
+      if (value === undefined || value === null) {
+        throw new RecordError(`No value for endpoint parameter: ${name}`, data)
+      }
+      return encodeURIComponent(value)
+    })
   }
-}
 
-// Helper functions
-/**
- * Documentation for internal functions etc.
- * These are not available when the module is imported,
- * and are documented for module developers only.
- * @namespace _internal
- * @memberof module:jsonapi-vuex
- */
+  /**
+   * Return the URL path for a record's relationship (its 'self' link)
+   * @memberof module:jsonapi-vuex._internal
+   * @param {(string|object)} data - A URL path or restructured object
+   * @param {string} relName - The name of the relationship
+   * @param {object} params - Values for placeholders in the endpoint (see {@link module:jsonapi-vuex.utils.getEndpoint})
+   * @return {string} The relationship's URL path
+   */
+  const relationshipURL = (data, relName, params) => {
+    const path =
+      typeof data === 'string'
+        ? getTypeId(data)
+            .slice(0, 2)
+            .join('/')
+        : getURL(data, false, undefined, params)
+    return `${path}/relationships/${encodeURIComponent(relName)}`
+  }
 
-/**
- * Make a copy of a restructured object, adding (js) getters for its relationships
- * That call the (vuex) get getter to fecth that record from the store
- *
- * Already seen objects are tracked using the 'seen' param to avoid loops.
- *
- * @memberof module:jsonapi-vuex._internal
- * @param {object} getters - Vuex getters object
- * @param {object} parent - The object whose relationships should be fetched
- * @param {array} seen - Internal recursion state tracking
- * @returns {object} A copy of the object with getter relationships added
- */
-const getRelationships = (getters, parent, seen = []) => {
-  let relationships = get(parent, [jvtag, 'relationships'], {})
-  let relationshipsData = {}
-  for (let relName of Object.keys(relationships)) {
-    let relations = get(relationships, [relName, 'data'])
-    relationshipsData[relName] = {}
-    if (relations) {
-      let isItem = !Array.isArray(relations)
-      let relationsData = {}
-
-      for (let relation of isItem ? Array.of(relations) : relations) {
-        let relType = relation['type']
-        let relId = relation['id']
-
-        if (!hasProperty(relationsData, relId)) {
-          Object.defineProperty(relationsData, relId, {
-            get() {
-              let current = [relName, relType, relId]
-              // Stop if seen contains an array which matches 'current'
-              if (
-                !jvConfig.recurseRelationships &&
-                seen.some((a) => a.every((v, i) => v === current[i]))
-              ) {
-                return { [jvtag]: { type: relType, id: relId } }
-              } else {
-                // prettier-ignore
-                return getters.get(
-                    `${relType}/${relId}`,
-                    undefined,
-                    [...seen, [relName, relType, relId]]
-                  )
-              }
-            },
-            enumerable: true,
-          })
+  /**
+   * Return the URL path (links.self) or construct from the type's endpoint and id
+   * @memberof module:jsonapi-vuex.utils
+   * @param {object} data - A restructured object
+   * @param {boolean} post=false - Return the collection (POST) URL, without the id
+   * @param {object} query - A query description (see {@link module:jsonapi-vuex.utils.queryParams}) to add to the URL
+   * @param {object} params - Values for placeholders in the endpoint (see {@link module:jsonapi-vuex.utils.getEndpoint})
+   * @return {string} The record's URL path
+   */
+  const getURL = (data, post = false, query, params) => {
+    let path = data
+    if (typeof data === 'object') {
+      if (get(data, [jvtag, 'links', 'self']) && !post) {
+        path = data[jvtag]['links']['self']
+      } else {
+        const id = data[jvtag]['id']
+        path = getEndpoint(data, params)
+        // POST endpoints are always to collections, not items
+        if (id && !post) {
+          path += '/' + id
         }
       }
-      if (isItem) {
-        Object.defineProperty(
-          relationshipsData,
-          relName,
-          Object.getOwnPropertyDescriptor(
-            relationsData,
-            Object.keys(relationsData)[0]
-          )
-        )
+    }
+    if (query) {
+      const qs = queryString(queryParams(query))
+      if (qs) {
+        path += (path.includes('?') ? '&' : '?') + qs
+      }
+    }
+    return path
+  }
+
+  /**
+   * Restructure a single jsonapi item. Used internally by {@link module:jsonapi-vuex.utils.jsonapiToNorm}
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} data - JSONAPI record
+   * @return {object} Restructured data
+   */
+  const jsonapiToNormItem = (data) => {
+    if (!data) {
+      return {}
+    }
+    // Move attributes to top-level, nest original jsonapi under _jv
+    const norm = Object.assign({ [jvtag]: data }, data['attributes'])
+    // Create a new object omitting attributes
+    const { attributes, ...normNoAttrs } = norm[jvtag] // eslint-disable-line no-unused-vars
+    norm[jvtag] = normNoAttrs
+    return norm
+  }
+
+  /**
+   * Convert JSONAPI record(s) to restructured data
+   * @memberof module:jsonapi-vuex.utils
+   * @param {object} data - The `data` object from a JSONAPI record
+   * @return {object} Restructured data
+   */
+  const jsonapiToNorm = (data) => {
+    const norm = {}
+    if (Array.isArray(data)) {
+      data.forEach((item) => {
+        let { id } = item
+        if (!hasProperty(norm, id)) {
+          norm[id] = {}
+        }
+        Object.assign(norm[id], jsonapiToNormItem(item))
+      })
+    } else {
+      Object.assign(norm, jsonapiToNormItem(data))
+    }
+    return norm
+  }
+
+  /**
+   * Convert a single restructured item to JSONAPI. Used internally by {@link module:jsonapi-vuex.utils.normToJsonapi}
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} data - Restructured data
+   * @return {object}  JSONAPI record
+   */
+  const normToJsonapiItem = (data) => {
+    const jsonapi = {}
+    //Pick out expected resource members, if they exist
+    for (let member of [
+      'id',
+      'lid',
+      'type',
+      'relationships',
+      'meta',
+      'links',
+    ]) {
+      if (hasProperty(data[jvtag], member)) {
+        jsonapi[member] = data[jvtag][member]
+      }
+    }
+    // User-generated data (e.g. post) has no helper functions
+    if (hasProperty(data[jvtag], 'attrs')) {
+      jsonapi['attributes'] = data[jvtag].attrs
+    } else {
+      jsonapi['attributes'] = Object.assign({}, data)
+      delete jsonapi['attributes'][jvtag]
+    }
+    return jsonapi
+  }
+
+  /**
+   * Convert one or more restructured records to jsonapi
+   * @memberof module:jsonapi-vuex.utils
+   * @param {object} record - A restructured record to be convert to JSONAPI
+   * @return {object} JSONAPI record
+   */
+  const normToJsonapi = (record) => {
+    const jsonapi = []
+    if (!hasProperty(record, jvtag)) {
+      // Collection of id-indexed records
+      for (let item of Object.values(record)) {
+        jsonapi.push(normToJsonapiItem(item))
+      }
+    } else {
+      jsonapi.push(normToJsonapiItem(record))
+    }
+    if (jsonapi.length === 1) {
+      return { data: jsonapi[0] }
+    } else {
+      return { data: jsonapi }
+    }
+  }
+
+  /**
+   * Convert one or more restructured records to nested (type & id) 'store' object
+   * @memberof module:jsonapi-vuex.utils
+   * @param {object} record - A restructured record to be convert to JSONAPI
+   * @return {object} Structured 'store' object
+   */
+  const normToStore = (record) => {
+    let store = {}
+    if (hasProperty(record, jvtag)) {
+      // Convert item to look like a collection
+      record = { [record[jvtag]['id'] || record[jvtag]['lid']]: record }
+    }
+    for (let item of Object.values(record)) {
+      const { type, id, lid } = item[jvtag]
+      if (!hasProperty(store, type)) {
+        store[type] = {}
+      }
+      if (typeOption(type, 'followRelationshipsData')) {
+        for (let rel in item[jvtag].rels) {
+          delete item[rel]
+        }
+      }
+      store[type][id || lid] = item
+    }
+    return store
+  }
+
+  /**
+   * Store the validation errors from a failed request against a record.
+   * Only 422 (Unprocessable Entity) responses are treated as validation errors.
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} context - Vuex actions context object
+   * @param {object} record - The record the request was for
+   * @param {Error} error - The error the request was rejected with
+   */
+  const storeErrors = (context, record, error) => {
+    if (error instanceof JsonApiError && error.status === 422) {
+      context.commit('setErrors', { record: record, errors: error.errors })
+    }
+  }
+
+  /**
+   * Create a draft of a record. See {@link module:jsonapi-vuex.jsonapiModule.getters.createDraft}
+   *
+   * The record the draft was created from (or last saved as) is kept in `_jv.original` (not enumerable),
+   * to work out what has changed when the draft is saved.
+   *
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} state - Vuex state object
+   * @param {(string|object)} data - A record in the store, or a new restructured object
+   * @param {string[]} related - Relationships to create related drafts for
+   * @return {object} The draft
+   */
+  const createDraft = (state, data, related) => {
+    const [type, id] = getTypeId(data)
+    let record = get(state, [type, id])
+    if (!record) {
+      if (typeof data === 'string') {
+        throw new RecordError(`createDraft: No such record '${data}'`, data)
+      }
+      record = data
+    }
+    const draft = addJvHelpers(_copy(record))
+    setDraftOriginal(draft)
+    for (let relName of related) {
+      const relData = get(record, [jvtag, 'relationships', relName, 'data'])
+      const relDraft = (item) => createDraft(state, { [jvtag]: item }, [])
+      if (Array.isArray(relData)) {
+        // to-many relationships are indexed by id (as in getRelationships)
+        draft[relName] = {}
+        for (let item of relData) {
+          draft[relName][item['id'] || item['lid']] = relDraft(item)
+        }
       } else {
-        Object.defineProperties(
-          relationshipsData[relName],
-          Object.getOwnPropertyDescriptors(relationsData)
-        )
+        draft[relName] = relData ? relDraft(relData) : null
       }
     }
+    return draft
   }
-  return relationshipsData
-}
 
-/**
- * Deep copy a normalised object, then re-add helper nethods
- * @memberof module:jsonapi-vuex.utils
- * @param {object} obj - An object to be deep copied
- * @return {object} A deep copied object, with Helper functions added
- */
-const deepCopy = (obj) => {
-  const copyObj = _copy(obj)
-  if (Object.entries(copyObj).length) {
-    return addJvHelpers(copyObj)
+  /**
+   * Record the current state of a draft as its 'original' state (i.e. when created, or after saving)
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} draft - The draft
+   */
+  const setDraftOriginal = (draft) => {
+    Object.defineProperty(draft[jvtag], 'original', {
+      value: {
+        attrs: _copy(draft[jvtag].attrs),
+        relationships: _copy(get(draft, [jvtag, 'relationships'], {})),
+      },
+      configurable: true,
+    })
   }
-  return obj
-}
 
-/**
- * @memberof module:jsonapi-vuex._internal
- * @param {object} data - An object to be deep copied
- * @return {object} A deep copied object
- */
-const _copy = (data) => {
-  // Recursive object copying function (for 'simple' objects)
-  let out = Array.isArray(data) ? [] : {}
-  for (let key in data) {
-    // null is typeof 'object'
-    if (typeof data[key] === 'object' && data[key] !== null) {
-      out[key] = _copy(data[key])
+  /**
+   * Get the related drafts of a draft, as arrays indexed by relationship name
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} draft - The draft
+   * @return {object} The related drafts
+   */
+  const draftRelated = (draft) => {
+    const isDraft = (item) =>
+      Boolean(item && item[jvtag] && hasProperty(item[jvtag], 'original'))
+    const related = {}
+    for (let relName of Object.keys(get(draft, [jvtag, 'relationships'], {}))) {
+      const value = draft[relName]
+      const drafts = isDraft(value) ? [value] : Object.values(value || {})
+      if (drafts.length && drafts.every(isDraft)) {
+        related[relName] = drafts
+      }
+    }
+    return related
+  }
+
+  /**
+   * Get the changes to be saved for a draft - the whole record if it is new,
+   * otherwise only the attributes and relationships which have changed.
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} draft - The draft
+   * @return {object} A restructured record to be posted/patched (or null if nothing has changed)
+   */
+  const draftChanges = (draft) => {
+    const { type, id, lid } = draft[jvtag]
+    const { attrs, relationships } = draft[jvtag]['original']
+    const current = get(draft, [jvtag, 'relationships'], {})
+    const record = { [jvtag]: { type: type } }
+    if (!id) {
+      Object.assign(record, draft[jvtag].attrs)
+      if (lid) {
+        record[jvtag]['lid'] = lid
+      }
+      if (Object.keys(current).length) {
+        record[jvtag]['relationships'] = _copy(current)
+      }
+      return record
+    }
+    record[jvtag]['id'] = id
+    let changed = false
+    for (let [key, value] of Object.entries(draft[jvtag].attrs)) {
+      if (!isEqual(attrs[key], value)) {
+        record[key] = value
+        changed = true
+      }
+    }
+    const changedRels = {}
+    for (let [relName, { data }] of Object.entries(current)) {
+      if (!isEqual(get(relationships, [relName, 'data']), data)) {
+        changedRels[relName] = { data: data && _copy(data) }
+        changed = true
+      }
+    }
+    if (Object.keys(changedRels).length) {
+      record[jvtag]['relationships'] = changedRels
+    }
+    return changed ? record : null
+  }
+
+  /**
+   * Get the name of the attribute or relationship that a JSON pointer (from an error's `source`) refers to.
+   * Nested attributes are joined with dots, e.g. `/data/attributes/address/city` becomes `address.city`.
+   * @memberof module:jsonapi-vuex._internal
+   * @param {string} pointer - A JSON pointer, e.g. `/data/attributes/name`
+   * @return {string} The field name (or undefined if the pointer is not to an attribute or relationship)
+   */
+  const pointerField = (pointer) => {
+    if (typeof pointer !== 'string') {
+      return
+    }
+    const parts = pointer
+      .split('/')
+      .slice(1)
+      .map((part) => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+    const i = parts.findIndex((part) =>
+      ['attributes', 'relationships'].includes(part)
+    )
+    if (i !== -1 && i < parts.length - 1) {
+      return parts.slice(i + 1).join('.')
+    }
+  }
+
+  /**
+   * Convert the error from a failed request to a {@link module:jsonapi-vuex.JsonApiError}
+   * @memberof module:jsonapi-vuex._internal
+   * @param {Error} error - The (axios) error
+   * @return {JsonApiError} The error, with any JSONAPI error objects parsed
+   */
+  const toJsonApiError = (error) => {
+    if (error instanceof JsonApiError) {
+      return error
+    }
+    const response = get(error, ['response'])
+    const body = get(response, ['data'])
+    const status = get(response, ['status'])
+    let errors = get(body, ['errors'])
+    if (Array.isArray(errors)) {
+      errors = errors.map((item = {}) => {
+        const pointer = get(item, ['source', 'pointer'])
+        return {
+          status: item['status'] || (status && String(status)),
+          code: item['code'],
+          title: item['title'],
+          detail: item['detail'],
+          meta: item['meta'],
+          pointer: pointer,
+          parameter: get(item, ['source', 'parameter']),
+          field: pointerField(pointer),
+        }
+      })
     } else {
-      out[key] = data[key]
+      // Not JSONAPI (e.g. a network error, or an HTML/text error page)
+      errors = [
+        {
+          status: status && String(status),
+          title: get(response, ['statusText']) || get(error, ['message']),
+          detail: typeof body === 'string' && body ? body : undefined,
+        },
+      ]
+    }
+    const first = errors[0] || {}
+    const message = first['detail'] || first['title'] || get(error, ['message'])
+    return new JsonApiError(message, error, errors)
+  }
+
+  /**
+   * Re-key a record from its local id (`lid`) to its id, rewriting all references to it.
+   * Used by {@link module:jsonapi-vuex.jsonapiModule.mutations.rekeyRecord}
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} state - Vuex state object
+   * @param {string} type - The record's type
+   * @param {string} lid - The record's local id
+   * @param {string} id - The record's new id
+   */
+  const rekeyRecord = (state, type, lid, id) => {
+    const record = get(state, [type, lid])
+    if (record) {
+      Vue.delete(state[type], lid)
+      Vue.set(record[jvtag], 'id', id)
+      Vue.delete(record[jvtag], 'lid')
+      Vue.set(state[type], id, record)
+      deletePristine(state, type, lid)
+    }
+    const isLocal = (item) =>
+      item && item['type'] === type && item['lid'] === lid && !item['id']
+    const newItem = { type: type, id: id }
+    // Replace local identifiers in a resource linkage object (with a data key)
+    const rewrite = (linkage) => {
+      const data = linkage['data']
+      if (Array.isArray(data)) {
+        data.forEach((item, i) => {
+          if (isLocal(item)) {
+            Vue.set(data, i, newItem)
+          }
+        })
+      } else if (isLocal(data)) {
+        Vue.set(linkage, 'data', newItem)
+      }
+    }
+    // Pristine copies may also refer to the record (e.g. through inverse relationships)
+    for (let store of [state, get(state, [jvtag + 'Pristine'], {})]) {
+      for (let [key, records] of Object.entries(store)) {
+        if (key.startsWith(jvtag)) {
+          continue
+        }
+        for (let item of Object.values(records)) {
+          const relationships = get(item, [jvtag, 'relationships'], {})
+          Object.values(relationships).forEach(rewrite)
+        }
+      }
+    }
+    Object.values(state[jvtag + 'Queries']).forEach(rewrite)
+  }
+
+  /**
+   * Generate a (version 4) UUID, e.g. for client-generated ids.
+   * @memberof module:jsonapi-vuex.utils
+   * @return {string} A new UUID
+   */
+  const uuid = () => {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+      return crypto.randomUUID()
+    }
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+      const r = (Math.random() * 16) | 0
+      return (c === 'x' ? r : (r & 0x3) | 0x8).toString(16)
+    })
+  }
+
+  /**
+   * Restructure all records in 'included' (using {@link module:jsonapi-vuex._internal.jsonapiToNormItem})
+   * and add to the store.
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} context - Vuex actions context object
+   * @param {object} results - JSONAPI record
+   */
+  const processIncludedRecords = (context, results) => {
+    const fields = sparseFields(results.config)
+    for (let item of get(results, ['data', 'included'], [])) {
+      const includedItem = markSparse(jsonapiToNormItem(item), fields)
+      context.commit('addRecords', includedItem)
+    }
+  }
+
+  /**
+   * Get the query parameters of an axios config, from both `params` and the url's query string.
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} apiConf={} - axios request config
+   * @return {object} The query parameters
+   */
+  const requestParams = (apiConf = {}) => {
+    const params = Object.assign({}, apiConf['params'])
+    const query = (apiConf['url'] || '').split('?')[1]
+    if (query) {
+      for (let param of query.split('#')[0].split('&')) {
+        const [key, val = ''] = param.split('=').map(decodeURIComponent)
+        params[key] = val
+      }
+    }
+    return params
+  }
+
+  /**
+   * Get the sparse fieldsets (`fields[type]` query parameters) requested in an axios config.
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} apiConf={} - axios request config
+   * @return {object} An object of `type: [fields]`
+   */
+  const sparseFields = (apiConf = {}) => {
+    const params = requestParams(apiConf)
+    const fields = {}
+    for (let [key, val] of Object.entries(params)) {
+      const match = key.match(/^fields\[(.+)\]$/)
+      if (match) {
+        fields[match[1]] = String(val)
+          .split(',')
+          .filter(Boolean)
+      }
+    }
+    return fields
+  }
+
+  /**
+   * Get the relationship paths (`include` query parameter) requested in an axios config.
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} apiConf={} - axios request config
+   * @return {string[]} The relationship paths - e.g. `['author', 'comments.author']`
+   */
+  const includePaths = (apiConf = {}) => {
+    return String(get(requestParams(apiConf), ['include'], ''))
+      .split(',')
+      .filter(Boolean)
+  }
+
+  /**
+   * Check if a record has been loaded with all of the given fields (see {@link module:jsonapi-vuex.jsonapiModule.getters.isComplete})
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} record - A restructured record
+   * @param {string[]} [fields] - The fields required (if omitted, all fields are required)
+   * @return {boolean} true if the record has all of the fields loaded
+   */
+  const hasFields = (record, fields) => {
+    const loaded = get(record, [jvtag, 'fields'])
+    if (!loaded) {
+      return true
     }
+    return Boolean(fields) && fields.every((field) => loaded.includes(field))
   }
-  return out
-}
 
-/**
- * A function that cleans up a patch object, so that it doesn't introeuce unexpected chanegs when sent to the API
- * It removes any attributes which are unchanged from the store, to minimise accidental reversions.
- * It also strips out any of links, relationships and meta from `_jv` - See {@link module:jsonapi-vuex~Configuration|Configuration}
- * @memberof module:jsonapi-vuex.utils
- * @param {object} patch - A restructured object to be cleaned
- * @param {object} state={} - Vuex state object (for patch comparison)
- * @param {array} jvProps='[]' - _jv Properties to be kept
- * @return {object} A cleaned copy of the patch object
- */
-const cleanPatch = (patch, state = {}, jvProps = []) => {
-  // Add helper properties (use a copy to prevent side-effects)
-  const modPatch = deepCopy(patch)
-  const attrs = get(modPatch, [jvtag, 'attrs'])
-  const clean = { [jvtag]: {} }
-  // Only try to clean the patch if it exists in the store
-  const stateRecord = get(state, [
-    modPatch[jvtag]['type'],
-    modPatch[jvtag]['id'],
-  ])
-  if (stateRecord) {
-    for (let [k, v] of Object.entries(attrs)) {
-      if (!hasProperty(stateRecord, k) || !isEqual(stateRecord[k], v)) {
-        clean[k] = v
+  /**
+   * Set `_jv.fields` on restructured record(s) whose type was fetched using a sparse fieldset
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} records - Restructured record(s)
+   * @param {object} fields - Sparse fieldsets - see {@link module:jsonapi-vuex._internal.sparseFields}
+   * @return {object} The record(s), modified in-place
+   */
+  const markSparse = (records, fields) => {
+    const items = hasProperty(records, jvtag)
+      ? [records]
+      : Object.values(records)
+    for (let item of items) {
+      const type = get(item, [jvtag, 'type'])
+      if (hasProperty(fields, type)) {
+        item[jvtag]['fields'] = [...fields[type]]
       }
     }
-  } else {
-    Object.assign(clean, attrs)
+    return records
   }
 
-  // Add _jv data, as required
-  clean[jvtag]['type'] = patch[jvtag]['type']
-  clean[jvtag]['id'] = patch[jvtag]['id']
-  for (let prop of jvProps) {
-    let propVal = get(patch, [jvtag, prop])
-    if (propVal) {
-      clean[jvtag][prop] = propVal
+  /**
+   * Create an AbortController, which is also aborted if the (optional) signal passed in is aborted
+   * @memberof module:jsonapi-vuex._internal
+   * @param {AbortSignal} [signal] - A signal to follow (e.g. from the axios config, or a parent action)
+   * @return {AbortController} The new AbortController
+   */
+  const linkedController = (signal) => {
+    const controller = new AbortController()
+    if (signal) {
+      if (signal.aborted) {
+        controller.abort()
+      } else {
+        signal.addEventListener('abort', () => controller.abort())
+      }
     }
+    return controller
   }
 
-  return clean
-}
-
-/**
- * A single function to encapsulate the different merge approaches of the record mutations.
- * See {@link module:jsonapi-vuex.jsonapiModule.mutations} to see the mutations that use this function.
- *
- * @memberof module:jsonapi-vuex._internal
- * @param {object} state - Vuex state object
- * @param {object} records - Restructured records to be updated
- * @param {boolean} merging - Whether or not to merge or overwrite records
- */
-const updateRecords = (state, records, merging = jvConfig.mergeRecords) => {
-  const storeRecords = normToStore(records)
-  for (let [type, item] of Object.entries(storeRecords)) {
-    if (!hasProperty(state, type)) {
-      Vue.set(state, type, {})
-      // If there's no type, then there are no existing records to merge
-      merging = false
-    }
-    for (let [id, data] of Object.entries(item)) {
-      if (merging) {
-        const oldRecord = get(state, [type, id])
-        if (oldRecord) {
-          data = merge(oldRecord, data)
+  /**
+   * Create an AbortController for a request shared by several callers (see the `get` action),
+   * which is only aborted once every caller has aborted.
+   * Callers without a signal never abort, so the request is never aborted (except by its own action id).
+   * @memberof module:jsonapi-vuex._internal
+   * @return {object} The controller's `signal`, and `join(signal)` to add a caller
+   */
+  const sharedController = () => {
+    const controller = new AbortController()
+    let waiting = 0
+    const join = (signal) => {
+      waiting++
+      if (signal) {
+        const leave = () => {
+          if (--waiting === 0) {
+            controller.abort()
+          }
+        }
+        if (signal.aborted) {
+          leave()
+        } else {
+          signal.addEventListener('abort', leave)
         }
       }
-      Vue.set(state[type], id, data)
     }
+    return { signal: controller.signal, join: join }
   }
-}
 
-/**
- * Helper methods added to `_jv` by {@link module:jsonapi-vuex.utils.addJvHelpers}
- * @namespace helpers
- * @memberof module:jsonapi-vuex.jsonapiModule
- */
+  /**
+   * Cancel an action which is in progress
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} controllers - AbortControllers for cancellable actions, indexed by action id
+   * @param {number} actionId - The action id
+   * @return {boolean} true if the action was in progress (and has been cancelled)
+   */
+  const cancelAction = (controllers, actionId) => {
+    const controller = controllers[actionId]
+    if (!controller) {
+      return false
+    }
+    controller.abort()
+    return true
+  }
 
-/**
- * Add helper functions and getters to a restructured object
- * @memberof module:jsonapi-vuex.utils
- * @param {object} obj - An object to assign helpers to
- * @return {object} A copy of the object with added helper functions/getters
- */
-const addJvHelpers = (obj) => {
-  if (
-    obj[jvtag] &&
-    !hasProperty(obj[jvtag], 'isRel') &&
-    !hasProperty(obj[jvtag], 'isAttr')
-  ) {
-    Object.assign(obj[jvtag], {
-      /**
-       * @memberof module:jsonapi-vuex.jsonapiModule.helpers
-       * @param {string} name - Name of a (potential) relationship
-       * returns {boolean} true if the name given is a relationship of this object
-       */
-      isRel(name) {
-        return hasProperty(get(obj, [jvtag, 'relationships'], {}), name)
+  /**
+   * Create an object implementing the axios `CancelToken` interface, which is cancelled when a signal is aborted.
+   * axios only supports `signal` from 0.22, so this is passed to axios as `cancelToken` too, to abort requests in older versions.
+   * @memberof module:jsonapi-vuex._internal
+   * @param {AbortSignal} signal - The signal to follow
+   * @return {object} The cancel token (`promise`, `reason`, `throwIfRequested`, `subscribe` and `unsubscribe`)
+   */
+  const signalCancelToken = (signal) => {
+    let listeners = []
+    const token = {
+      throwIfRequested: () => {
+        if (token.reason) {
+          throw token.reason
+        }
       },
-      /**
-       * @memberof module:jsonapi-vuex.jsonapiModule.helpers
-       * @param {string} name - Name of a (potential) attribute
-       * returns {boolean} true if the name given is an attribute of this object
-       */
-      isAttr(name) {
-        return name !== jvtag && hasProperty(obj, name) && !this.isRel(name)
+      subscribe: (listener) => {
+        if (token.reason) {
+          listener(token.reason)
+        } else {
+          listeners.push(listener)
+        }
       },
+      unsubscribe: (listener) => {
+        listeners = listeners.filter((item) => item !== listener)
+      },
+    }
+    token.promise = new Promise((resolve) => {
+      const cancel = () => {
+        token.reason = new CancelError('Action cancelled')
+        listeners.forEach((listener) => listener(token.reason))
+        resolve(token.reason)
+      }
+      if (signal.aborted) {
+        cancel()
+      } else {
+        signal.addEventListener('abort', cancel)
+      }
     })
+    return token
   }
 
   /**
-   * @memberof module:jsonapi-vuex.jsonapiModule.helpers
-   * @name rels
-   * @property {object} - An object containing all relationships for this object
+   * Reject a promise as soon as a signal is aborted (e.g. so that an action is rejected while waiting to retry,
+   * or if the axios adapter doesn't support cancellation).
+   * @memberof module:jsonapi-vuex._internal
+   * @param {Promise} promise - The promise (e.g. an axios request)
+   * @param {AbortSignal} signal - The signal to follow
+   * @return {Promise} A promise which resolves/rejects with the original promise, or rejects when aborted
    */
-  Object.defineProperty(obj[jvtag], 'rels', {
-    get() {
-      const rel = {}
-      for (let key of Object.keys(get(obj, [jvtag, 'relationships'], {}))) {
-        rel[key] = obj[key]
+  const abortable = (promise, signal) => {
+    const aborted = new Promise((resolve, reject) => {
+      const abort = () => reject(new CancelError('Action cancelled'))
+      if (signal.aborted) {
+        abort()
+      } else {
+        signal.addEventListener('abort', abort)
       }
-      return rel
-    },
-    // Allow to be redefined
-    configurable: true,
-  })
+    })
+    return Promise.race([promise, aborted])
+  }
+
   /**
-   * @memberof module:jsonapi-vuex.jsonapiModule.helpers
-   * @name attrs
-   * @property {object} - An object containing all attributes for this object
+   * Apply a patch to a record in the store before the request has completed.
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} context - Vuex actions context object
+   * @param {object} data - The restructured patch
+   * @return {function} A function which restores the record to its previous state.
+   * The record is left alone if it has been updated again since the patch was applied (e.g. by a later request).
    */
-  Object.defineProperty(obj[jvtag], 'attrs', {
-    get() {
-      const att = {}
-      for (let [key, val] of Object.entries(obj)) {
-        if (this.isAttr(key)) {
-          att[key] = val
-        }
+  const optimisticPatch = (context, data) => {
+    const [type, id] = getTypeId(data)
+    const record = get(context.state, [type, id])
+    const snapshot = record ? _copy(record) : undefined
+    // Local changes - the pristine copy is left as the server last saw it
+    context.commit('mergeRecords', [data, { pristine: false }])
+    const guess = _copy(get(context.state, [type, id]))
+    return () => {
+      if (!isEqual(_copy(get(context.state, [type, id])), guess)) {
+        return
       }
-      return att
-    },
-    // Allow to be redefined
-    configurable: true,
-  })
-  return obj
-}
+      if (snapshot) {
+        context.commit('replaceRecords', [snapshot, { pristine: false }])
+      } else {
+        // Evict rather than delete, so that no other records are affected
+        context.commit('evictRecords', [{ type: type, id: id }])
+      }
+    }
+  }
 
-/**
- * An incrementing counter, returning a new id to be used for action statuses.
- * If `actionStatusCleanAge` is set, also sets up a timer to call deleetStatus for
- * this id when the timeout is reached.
- * See {@link module:jsonapi-vuex~Configuration|Configuration}
- * @memberof module:jsonapi-vuex._internal
- * @param {object} context - Vuex actions context object
- * @return {integer} A new status id
- */
-const actionSequence = (context) => {
-  // Increment the global action id, set up a cleanup timeout and return it
-  let id = ++actionSequenceCounter
-  if (jvConfig.actionStatusCleanAge > 0) {
-    setTimeout(
-      context.commit,
-      jvConfig.actionStatusCleanAge * 1000,
-      'deleteStatus',
-      id
+  /**
+   * Remove a record from the store before the request to delete it has completed.
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} context - Vuex actions context object
+   * @param {(string|object)} data - The record to be deleted
+   * @return {function} A function which restores the record (including its relationships), any cascaded records,
+   * and any references to them which were removed. Records are left alone if they have been added to the store
+   * again since (e.g. by a later request).
+   */
+  const optimisticDelete = (context, data) => {
+    const [type, id] = getTypeId(data)
+    // Snapshot the record (and any cascaded records), and the relationships of records referring to them
+    const identifiers = cascadeRecords(context.state, type, id)
+    const snapshots = identifiers
+      .filter(({ type, id }) => get(context.state, [type, id]))
+      .map(({ type, id }) => {
+        const pristine = get(context.state, [jvtag + 'Pristine', type, id])
+        return [_copy(context.state[type][id]), pristine && _copy(pristine)]
+      })
+    const dangling = identifiers.filter(({ type }) =>
+      typeOption(type, 'removeDangling')
     )
+    const referring = referringRecords(context.state, dangling).map(
+      (record) => ({
+        [jvtag]: {
+          type: record[jvtag]['type'],
+          id: record[jvtag]['id'],
+          relationships: _copy(record[jvtag]['relationships']),
+        },
+      })
+    )
+    context.commit('deleteRecord', data)
+    return () => {
+      for (let [snapshot, pristine] of snapshots) {
+        const { type, id } = snapshot[jvtag]
+        if (!get(context.state, [type, id])) {
+          // Restore the pristine copy (if any) first, then any local changes on top
+          if (pristine) {
+            context.commit('addRecords', pristine)
+          }
+          context.commit('replaceRecords', [snapshot, { pristine: false }])
+        }
+      }
+      for (let record of referring) {
+        context.commit('replaceRelationships', record)
+      }
+    }
   }
-  return id
-}
 
-/**
- * If `preserveJSON` is set, add the returned JSONAPI in a get action to _jv.json
- * See {@link module:jsonapi-vuex~Configuration|Configuration}
- * @memberof module:jsonapi-vuex._internal
- * @param {object} data - Restructured record
- * @param {object} json - JSONAPI record
- * @return {object} data record, with JSONAPI added in _jv.json
- */
-const preserveJSON = (data, json) => {
-  if (jvConfig.preserveJson && data) {
-    if (!hasProperty(data, jvtag)) {
-      data[jvtag] = {}
+  /**
+   * Get the time to wait before retrying a failed request (ms).
+   * This is taken from the response's `Retry-After` header (if any), or else uses exponential backoff with jitter.
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} error - The axios error
+   * @param {integer} attempts - The number of attempts made so far
+   * @param {integer} retryDelay - The delay before the first retry (ms)
+   * @param {integer} retryMaxDelay - The maximum delay (ms) (not applied to `Retry-After`)
+   * @return {number} The time to wait (ms)
+   */
+  const retryWait = (error, attempts, retryDelay, retryMaxDelay) => {
+    const retryAfter = get(error, ['response', 'headers', 'retry-after'])
+    if (retryAfter !== undefined) {
+      // Either a number of seconds, or an HTTP date
+      const seconds = Number(retryAfter)
+      if (!isNaN(seconds)) {
+        return seconds * 1000
+      }
+      const date = Date.parse(retryAfter)
+      if (!isNaN(date)) {
+        return Math.max(0, date - Date.now())
+      }
     }
-    // Store original json in _jv, then delete data section
-    data[jvtag]['json'] = json
-    delete data[jvtag]['json']['data']
+    const wait = Math.min(retryMaxDelay, retryDelay * 2 ** (attempts - 1))
+    // Random jitter, so that many clients don't all retry at once
+    return wait / 2 + (Math.random() * wait) / 2
   }
-  return data
-}
 
-/**
- * If `followRelationshipData` is set, call `followRelationships` for either an item or a collection
- * See {@link module:jsonapi-vuex~Configuration|Configuration}
- * @memberof module:jsonapi-vuex._internal
- * @param {object} state - Vuex state object
- * @param {object} getters - Vuex getters object
- * @param {object} records - Record(s) to follow relationships for.
- * @param {array} seen - internal recursion state-tracking
- * @return {object} records with relationships followed
- */
-const checkAndFollowRelationships = (state, getters, records, seen) => {
-  if (jvConfig.followRelationshipsData) {
-    let resData = {}
-    if (hasProperty(records, jvtag)) {
-      // single item
-      resData = followRelationships(state, getters, records, seen)
+  /**
+   * Make an API request, retrying it if it fails with a network error or a retryable status.
+   *
+   * The retry options (`retries`, `retryDelay`, `retryMaxDelay`, `retryStatuses` and `retryMethods`)
+   * are taken from the request's jsonapi-vuex options, or else the module config.
+   *
+   * @memberof module:jsonapi-vuex._internal
+   * @param {axios} api - an axios api instance
+   * @param {object} apiConf - The axios config for the request
+   * @param {object} jvOpts - jsonapi-vuex options for the request
+   * @param {function} [onRetry] - Called with the number of attempts made so far, before each retry
+   * @return {Promise} The axios response
+   */
+  const retryRequest = (api, apiConf, jvOpts, onRetry = () => {}) => {
+    const {
+      retries = jvConfig.retries,
+      retryDelay = jvConfig.retryDelay,
+      retryMaxDelay = jvConfig.retryMaxDelay,
+      retryStatuses = jvConfig.retryStatuses,
+      retryMethods = jvConfig.retryMethods,
+    } = jvOpts
+    const signal = apiConf['signal']
+    const attempt = (attempts) => {
+      return api(apiConf).catch((error) => {
+        const status = get(error, ['response', 'status'])
+        if (
+          attempts > retries ||
+          !retryMethods.includes(apiConf['method']) ||
+          (signal && signal.aborted) ||
+          (status !== undefined && !retryStatuses.includes(status))
+        ) {
+          throw error
+        }
+        onRetry(attempts)
+        const wait = retryWait(error, attempts, retryDelay, retryMaxDelay)
+        const sleep = new Promise((resolve) => setTimeout(resolve, wait))
+        return (signal ? abortable(sleep, signal) : sleep).then(() =>
+          attempt(attempts + 1)
+        )
+      })
+    }
+    return attempt(1)
+  }
+
+  /**
+   * Get related items from the API, for the `getRelated` action
+   * @memberof module:jsonapi-vuex._internal
+   * @param {axios} api - an axios api instance
+   * @param {object} context - Vuex actions context object
+   * @param {(string|object|array)} args - See {@link module:jsonapi-vuex.jsonapiModule.actions} for a summary of args
+   * @param {object} controllers - AbortControllers for cancellable actions, indexed by action id
+   * @param {AbortController} controller - The AbortController for this action (and its child requests)
+   * @return {object} Restructured representation of the requested item(s)
+   */
+  const fetchRelated = async (api, context, args, controllers, controller) => {
+    const [data, config = {}] = unpackArgs(args)
+    let [type, id, relName] = getTypeId(data)
+    if (!type || !id) {
+      throw new RecordError('getRelated: No type/id specified', data)
+    }
+    const actionId = actionSequence(context)
+    context.commit('setStatus', { id: actionId, status: STATUS_LOAD })
+    controllers[actionId] = controller
+    const signal = controller.signal
+    // Set the status, and remove the controller, once the action has finished
+    const done = (status) => {
+      delete controllers[actionId]
+      context.commit('setStatus', {
+        id: actionId,
+        status: signal.aborted ? STATUS_CANCELLED : status,
+      })
+    }
+
+    let rels
+    if (typeof data === 'object' && hasProperty(data[jvtag], 'relationships')) {
+      rels = data[jvtag]['relationships']
     } else {
-      // multiple items
-      for (let [key, item] of Object.entries(records)) {
-        resData[key] = followRelationships(state, getters, item, seen)
+      try {
+        // The caller's signal is followed by this action's signal
+        const { signal: callerSignal, ...getConfig } = config // eslint-disable-line no-unused-vars
+        let record = await context.dispatch('get', [
+          data,
+          {
+            ...getConfig,
+            [jvtag]: { ...getConfig[jvtag], parentSignal: signal },
+          },
+        ])
+
+        rels = get(record, [jvtag, 'relationships'], {})
+        if (relName && hasProperty(rels, relName)) {
+          // Only process requested relname
+          rels = { [relName]: rels[relName] }
+        }
+      } catch (error) {
+        // Log and re-throw if 'get' action fails
+        done(STATUS_ERROR)
+        throw error
       }
     }
-    if (resData) {
-      return resData
+
+    // We can't pass multiple/non-promise vars in a promise chain,
+    // so must define such vars in a higher scope
+    let relNames = []
+    let relPromises = []
+
+    // Iterate over all records in rels
+    for (let [relName, relItems] of Object.entries(rels)) {
+      let relData
+      // relationships value might be empty if user-constructed
+      // so fetch relationships resource linkage for these
+      if (!relItems) {
+        try {
+          const linkConf = {
+            method: 'get',
+            url: relationshipURL(
+              data,
+              relName,
+              splitConfig(config)[1].routeParams
+            ),
+            signal: signal,
+          }
+          const onRetry = (attempts) => {
+            context.commit('setStatus', {
+              id: actionId,
+              status: STATUS_RETRY,
+              attempts: attempts,
+            })
+          }
+          const resLink = await abortable(
+            retryRequest(api, linkConf, splitConfig(config)[1], onRetry),
+            signal
+          )
+          relItems = resLink.data
+        } catch (error) {
+          // e.g. a JsonApiError (404) for an unknown relationship
+          done(STATUS_ERROR)
+          throw error
+        }
+      }
+      // Extract relationships from 'data' (type/id)
+      // empty to-one rels (null) are special-cased
+      if (hasProperty(relItems, 'data') && relItems['data'] !== null) {
+        relData = relItems['data']
+        if (!Array.isArray(relData)) {
+          // Treat as if always an array
+          relData = [relData]
+        }
+        // Or from 'links/related'
+      } else if (hasProperty(relItems, 'links')) {
+        relData = relItems['links']['related']
+        if (!(typeof relData === 'string')) {
+          relData = relData['href']
+        }
+        relData = [relData]
+      }
+      if (relData) {
+        for (let entry of relData) {
+          // Rewrite 'data' objects to normalised form
+          if (!(typeof entry === 'string')) {
+            entry = { [jvtag]: entry }
+          }
+          relNames.push(relName)
+          relPromises.push(
+            context.dispatch('get', [
+              entry,
+              { [jvtag]: { parentSignal: signal } },
+            ])
+          )
+        }
+      } else {
+        // Empty to-one rels should have a relName but no data
+        relNames.push(relName)
+        // prettier-ignore
+        relPromises.push(new Promise((resolve) => { resolve({}) }))
+      }
     }
+    // 'Merge' all promise resolution/rejection
+    let action = abortable(Promise.all(relPromises), signal)
+      .then((results) => {
+        let related = {}
+        results.forEach((result, i) => {
+          // Get the relName from the same array position as the result item
+          let relName = relNames[i]
+          let normItem = { [relName]: {} }
+          if (hasProperty(result, jvtag)) {
+            normItem[relName][result[jvtag]['type']] = {
+              [result[jvtag]['id']]: result,
+            }
+          }
+          merge(related, normItem)
+        })
+        done(STATUS_SUCCESS)
+        return related
+      })
+      .catch((error) => {
+        done(STATUS_ERROR)
+        throw error
+      })
+    action[jvtag + 'Id'] = actionId
+    return action
   }
-  return records
-}
 
-/**
- * A thin wrapper around `getRelationships, making a copy of the object.
- * We can't add rels to the original object, otherwise Vue's watchers
- * spot the potential for loops (which we are guarding against) and throw an error
- *
- * @memberof module:jsonapi-vuex._internal
- * @param {object} state - Vuex state object
- * @param {object} getters - Vuex getters object
- * @param {object} record - Record to get relationships for.
- * @param {array} seen - internal recursion state-tracking
- * @return {object} records with relationships followed and helper functions added (see {@link module:jsonapi-vuex.utils.addJvHelpers})
- */
-const followRelationships = (state, getters, record, seen) => {
-  let data = {}
+  /**
+   * Track an in-flight request, so that identical requests can share it until it has completed
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} inFlight - In-flight requests, indexed by key
+   * @param {string} key - A key identifying the request
+   * @param {Promise} action - The request's promise
+   * @return {Promise} The request's promise
+   */
+  const addInFlight = (inFlight, key, action) => {
+    inFlight[key] = action
+    const done = () => {
+      delete inFlight[key]
+    }
+    action.then(done, done)
+    return action
+  }
 
-  Object.defineProperties(data, Object.getOwnPropertyDescriptors(record))
+  /**
+   * Make the API request for the `get` action, adding the results to the store
+   * @memberof module:jsonapi-vuex._internal
+   * @param {axios} api - an axios api instance
+   * @param {object} context - Vuex actions context object
+   * @param {object} apiConf - The axios config for the request
+   * @param {object} jvOpts - jsonapi-vuex options for the request
+   * @param {number} actionId - The action id to set the status of
+   * @param {object} controllers - AbortControllers for cancellable actions, indexed by action id
+   * @return {object} Restructured representation of the requested item(s)
+   */
+  const fetchGet = (api, context, apiConf, jvOpts, actionId, controllers) => {
+    const controller = linkedController(apiConf['signal'])
+    controllers[actionId] = controller
+    apiConf['signal'] = controller.signal
+    const onRetry = (attempts) => {
+      context.commit('setStatus', {
+        id: actionId,
+        status: STATUS_RETRY,
+        attempts: attempts,
+      })
+    }
+    const action = abortable(
+      retryRequest(api, apiConf, jvOpts, onRetry),
+      controller.signal
+    )
+      .then((results) => {
+        processIncludedRecords(context, results)
+        context.commit('setFetched', {
+          records: []
+            .concat(results.data.data, get(results, ['data', 'included'], []))
+            .filter(Boolean),
+          time: Date.now(),
+        })
 
-  let relationships = getRelationships(getters, data, seen)
-  Object.defineProperties(data, Object.getOwnPropertyDescriptors(relationships))
+        let resData = markSparse(
+          jsonapiToNorm(results.data.data),
+          sparseFields(apiConf)
+        )
+        context.commit('addRecords', resData)
+        clearOnUpdate(context, resData)
+        if (Array.isArray(results.data.data)) {
+          recordQuery(context, apiConf, results.data, jvOpts)
+        } else {
+          recordDocument(context, apiConf, results.data, jvOpts)
+        }
+        if (gcEnabled()) {
+          collectGarbage(context)
+        }
+        resData = checkAndFollowRelationships(
+          context.state,
+          context.getters,
+          resData
+        )
+        resData = preserveJSON(resData, results.data)
+        context.commit('setStatus', {
+          id: actionId,
+          status: STATUS_SUCCESS,
+        })
+        return resData
+      })
+      .catch((error) => {
+        if (controller.signal.aborted) {
+          context.commit('setStatus', {
+            id: actionId,
+            status: STATUS_CANCELLED,
+          })
+          throw new CancelError('get: Action cancelled', actionId)
+        }
+        context.commit('setStatus', { id: actionId, status: STATUS_ERROR })
+        throw error
+      })
+    const done = () => {
+      delete controllers[actionId]
+    }
+    action.then(done, done)
+    return action
+  }
 
-  return addJvHelpers(data)
-}
+  /**
+   * Check if a record from the store can be returned in place of fetching it.
+   * It must have the requested sparse fieldsets loaded, and the related records for any `include` paths must be
+   * in the store too (with their requested fields).
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} getters - Vuex getters object
+   * @param {object} record - The restructured record (from the `get` getter)
+   * @param {object} fields - The requested sparse fieldsets - see {@link module:jsonapi-vuex._internal.sparseFields}
+   * @param {string[]} include - The requested `include` paths - see {@link module:jsonapi-vuex._internal.includePaths}
+   * @return {boolean} true if the record (and its included records) are cached
+   */
+  const isCached = (getters, record, fields, include) => {
+    const type = get(record, [jvtag, 'type'])
+    if (!type || !hasFields(record, fields[type])) {
+      return false
+    }
+    return include.every((path) => {
+      const [name, ...rest] = path.split('.')
+      const linkage = get(record, [jvtag, 'relationships', name, 'data'])
+      if (linkage === undefined) {
+        // The linkage is unknown, so the related records weren't included
+        return false
+      }
+      const nested = rest.length ? [rest.join('.')] : []
+      return []
+        .concat(linkage || [])
+        .every(({ type, id }) =>
+          isCached(getters, getters.get(`${type}/${id}`), fields, nested)
+        )
+    })
+  }
 
-/**
- * Transform args to always be an array (data and config options).
- * See {@link module:jsonapi-vuex.jsonapiModule.actions} for an explanation of why this function is needed.
- *
- * @memberof module:jsonapi-vuex._internal
- * @param {(string|array)} args - Array of data and configuration info
- * @return {array} Array of data and config options
- */
-const unpackArgs = (args) => {
-  if (Array.isArray(args)) {
-    return args
+  /**
+   * Get requested item(s) from the store, if they were fetched by the `get` action and are all still present.
+   * Single items are found by their type/id, and collections by their query.
+   * Records are only returned if they (and any included records) have all of the requested fields - see
+   * {@link module:jsonapi-vuex._internal.isCached}.
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} context - Vuex actions context object
+   * @param {(string|object)} data - The item(s) requested
+   * @param {object} apiConf - The axios config for the request
+   * @param {object} jvOpts - jsonapi-vuex options for the request
+   * @return {object} `{ age, data }` - the time since the item(s) were fetched (ms) and the restructured item(s), or undefined
+   */
+  const getCached = (context, data, apiConf, jvOpts) => {
+    const [type, id] = getTypeId(data)
+    const fields = sparseFields(apiConf)
+    const include = includePaths(apiConf)
+    const cached = (record) =>
+      isCached(context.getters, record, fields, include)
+    let time, records
+    if (id) {
+      time = get(context.state, [jvtag + 'Fetched', type, id])
+      records = context.getters.get(`${type}/${id}`)
+      if (!cached(records)) {
+        return
+      }
+    } else {
+      const query = queryKey(apiConf, jvOpts)
+      const entry = get(context.state, [jvtag + 'Queries', query], {})
+      if (!entry['fetched']) {
+        return
+      }
+      const items = context.getters.query(query)
+      if (items.length !== entry['data'].length || !items.every(cached)) {
+        return
+      }
+      time = entry['fetched']
+      records = {}
+      for (let item of items) {
+        records[item[jvtag]['id']] = item
+      }
+    }
+    if (time) {
+      return { age: Date.now() - time, data: records }
+    }
   }
-  return [args, {}]
-}
 
-/**
- * Get the type, id and relationships from a restructured object
- * @memberof module:jsonapi-vuex.utils
- * @param {object} data - A restructured object
- * @return {array} An array (optionally) containing type, id and rels
- */
-const getTypeId = (data) => {
-  let type, id, rel
-  if (typeof data === 'string') {
-    ;[type, id, rel] = data.replace(/^\//, '').split('/')
-  } else {
-    ;({ type, id } = data[jvtag])
-  }
-
-  // Spec: The values of the id and type members MUST be strings.
-  // uri encode to prevent mis-interpretation as url parts.
-  // Strip any empty strings (falsey items)
-  return [
-    type && encodeURIComponent(type),
-    id && encodeURIComponent(id),
-    rel && encodeURIComponent(rel),
-  ].filter(Boolean)
-}
+  /**
+   * Get the name of a query - the `query` option, if given, or else the request URL (including query parameters)
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} apiConf - The axios config for the request
+   * @param {object} jvOpts - jsonapi-vuex options for the request
+   * @return {string} The query name
+   */
+  const queryKey = (apiConf, jvOpts) => {
+    if (jvOpts['query']) {
+      return jvOpts['query']
+    }
+    const params = queryString(get(apiConf, ['params'], {}))
+    const url = apiConf['url']
+    return params ? `${url}${url.includes('?') ? '&' : '?'}${params}` : url
+  }
 
-/**
- * Return the URL path (links.self) or construct from type/id
- * @memberof module:jsonapi-vuex.utils
- * @param {object} data - A restructured object
- * @return {string} The record's URL path
- */
-const getURL = (data, post = false) => {
-  let path = data
-  if (typeof data === 'object') {
-    if (get(data, [jvtag, 'links', 'self']) && !post) {
-      path = data[jvtag]['links']['self']
+  /**
+   * Record a query's links, meta, jsonapi and (ordered) record identifiers in the store.
+   *
+   * Queries are stored under the `query` name (if given), or else the request URL (including query parameters).
+   *
+   * When following page links (`getPage`), the original request is kept, and if the query is
+   * accumulating, the new records are added to the end (`next`) or start (`prev`) of the list.
+   *
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} context - Vuex actions context object
+   * @param {object} apiConf - The axios config used for the request
+   * @param {object} json - JSONAPI document returned by the API
+   * @param {object} jvOpts - jsonapi-vuex options for the request (`query`, `accumulate` & `followPage`)
+   */
+  const recordQuery = (context, apiConf, json, jvOpts) => {
+    const query = queryKey(apiConf, jvOpts)
+    const { accumulate = false, followPage } = jvOpts
+    const ids = json['data'].map(({ type, id }) => ({ type: type, id: id }))
+    let entry
+    if (followPage) {
+      entry = Object.assign({}, get(context.state, [jvtag + 'Queries', query]))
+      let data = ids
+      if (entry['accumulate'] && followPage === 'next') {
+        data = entry['data'].concat(ids)
+      } else if (entry['accumulate'] && followPage === 'prev') {
+        data = ids.concat(entry['data'])
+      }
+      // Pages may overlap if records have been added, so drop any duplicates
+      entry['data'] = data.filter(
+        (item, i) =>
+          data.findIndex((d) => d.type === item.type && d.id === item.id) === i
+      )
     } else {
-      let { type, id } = data[jvtag]
-      path = type
-      // POST endpoints are always to collections, not items
-      if (id && !post) {
-        path += '/' + id
+      entry = {
+        url: apiConf['url'],
+        params: Object.assign({}, apiConf['params']),
+        accumulate: accumulate,
+        data: ids,
       }
     }
+    entry['links'] = get(json, ['links'], {})
+    entry['meta'] = get(json, ['meta'], {})
+    entry['jsonapi'] = get(json, ['jsonapi'], {})
+    entry['fetched'] = Date.now()
+    context.commit('setQuery', { query: query, ...entry })
   }
-  return path
-}
 
-/**
- * Restructure a single jsonapi item. Used internally by {@link module:jsonapi-vuex.utils.jsonapiToNorm}
- * @memberof module:jsonapi-vuex._internal
- * @param {object} data - JSONAPI record
- * @return {object} Restructured data
- */
-const jsonapiToNormItem = (data) => {
-  if (!data) {
-    return {}
-  }
-  // Move attributes to top-level, nest original jsonapi under _jv
-  const norm = Object.assign({ [jvtag]: data }, data['attributes'])
-  // Create a new object omitting attributes
-  const { attributes, ...normNoAttrs } = norm[jvtag] // eslint-disable-line no-unused-vars
-  norm[jvtag] = normNoAttrs
-  return norm
-}
-
-/**
- * Convert JSONAPI record(s) to restructured data
- * @memberof module:jsonapi-vuex.utils
- * @param {object} data - The `data` object from a JSONAPI record
- * @return {object} Restructured data
- */
-const jsonapiToNorm = (data) => {
-  const norm = {}
-  if (Array.isArray(data)) {
-    data.forEach((item) => {
-      let { id } = item
-      if (!hasProperty(norm, id)) {
-        norm[id] = {}
-      }
-      Object.assign(norm[id], jsonapiToNormItem(item))
+  /**
+   * Record the top-level `meta`, `links` and `jsonapi` members of a single record document in the store.
+   *
+   * These are stored under the same name as queries (see {@link module:jsonapi-vuex._internal.queryKey}),
+   * along with the record's identifier, so they can be deleted with the record.
+   * Collections store these in their query instead (see {@link module:jsonapi-vuex._internal.recordQuery}).
+   *
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} context - Vuex actions context object
+   * @param {object} apiConf - The axios config used for the request
+   * @param {object} json - JSONAPI document returned by the API
+   * @param {object} jvOpts - jsonapi-vuex options for the request
+   */
+  const recordDocument = (context, apiConf, json, jvOpts) => {
+    context.commit('setDocument', {
+      query: queryKey(apiConf, jvOpts),
+      meta: get(json, ['meta'], {}),
+      links: get(json, ['links'], {}),
+      jsonapi: get(json, ['jsonapi'], {}),
+      data: json['data']
+        ? { type: json['data']['type'], id: json['data']['id'] }
+        : null,
+      fetched: Date.now(),
     })
-  } else {
-    Object.assign(norm, jsonapiToNormItem(data))
   }
-  return norm
-}
 
-/**
- * Convert a single restructured item to JSONAPI. Used internally by {@link module:jsonapi-vuex.utils.normToJsonapi}
- * @memberof module:jsonapi-vuex._internal
- * @param {object} data - Restructured data
- * @return {object}  JSONAPI record
- */
-const normToJsonapiItem = (data) => {
-  const jsonapi = {}
-  //Pick out expected resource members, if they exist
-  for (let member of ['id', 'type', 'relationships', 'meta', 'links']) {
-    if (hasProperty(data[jvtag], member)) {
-      jsonapi[member] = data[jvtag][member]
-    }
-  }
-  // User-generated data (e.g. post) has no helper functions
-  if (hasProperty(data[jvtag], 'attrs')) {
-    jsonapi['attributes'] = data[jvtag].attrs
-  } else {
-    jsonapi['attributes'] = Object.assign({}, data)
-    delete jsonapi['attributes'][jvtag]
-  }
-  return jsonapi
-}
+  /**
+   * Get the stored query (for collections) or document (for single records) for a query name or request URL
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} state - Vuex state object
+   * @param {string} query - The name of the query (or the request URL)
+   * @return {object} The query or document entry, including its `meta`, `links` and `jsonapi` (or undefined)
+   */
+  const queryDocument = (state, query) => {
+    return (
+      get(state, [jvtag + 'Queries', query]) ||
+      get(state, [jvtag + 'Documents', query])
+    )
+  }
 
-/**
- * Convert one or more restructured records to jsonapi
- * @memberof module:jsonapi-vuex.utils
- * @param {object} record - A restructured record to be convert to JSONAPI
- * @return {object} JSONAPI record
- */
-const normToJsonapi = (record) => {
-  const jsonapi = []
-  if (!hasProperty(record, jvtag)) {
-    // Collection of id-indexed records
-    for (let item of Object.values(record)) {
-      jsonapi.push(normToJsonapiItem(item))
+  /**
+   * Convert a restructured operation to an Atomic Operations extension operation object.
+   * Used internally by {@link module:jsonapi-vuex.jsonapiModule.actions.atomic}
+   * @memberof module:jsonapi-vuex._internal
+   * @param {object} operation - An operation - e.g. `{ op: 'post', data: <record> }`
+   * @param {object} state - Vuex state object (for `cleanPatch` comparison)
+   * @return {object} An `atomic:operations` entry
+   */
+  const atomicOperation = ({ op, data }, state) => {
+    switch (op) {
+      case 'post':
+        return { op: 'add', data: normToJsonapi(data)['data'] }
+      case 'patch':
+        if (typeOption(data[jvtag]['type'], 'cleanPatch')) {
+          const cleanPatchProps = typeOption(
+            data[jvtag]['type'],
+            'cleanPatchProps'
+          )
+          data = cleanPatch(data, state, cleanPatchProps)
+        }
+        return { op: 'update', data: normToJsonapi(data)['data'] }
+      case 'delete': {
+        const [type, id] = getTypeId(data).map(decodeURIComponent)
+        return { op: 'remove', ref: { type: type, id: id } }
+      }
+      default:
+        throw new RecordError(`atomic: Unknown operation '${op}'`, data)
     }
-  } else {
-    jsonapi.push(normToJsonapiItem(record))
   }
-  if (jsonapi.length === 1) {
-    return { data: jsonapi[0] }
-  } else {
-    return { data: jsonapi }
-  }
-}
 
-/**
- * Convert one or more restructured records to nested (type & id) 'store' object
- * @memberof module:jsonapi-vuex.utils
- * @param {object} record - A restructured record to be convert to JSONAPI
- * @return {object} Structured 'store' object
- */
-const normToStore = (record) => {
-  let store = {}
-  if (hasProperty(record, jvtag)) {
-    // Convert item to look like a collection
-    record = { [record[jvtag]['id']]: record }
-  }
-  for (let item of Object.values(record)) {
-    const { type, id } = item[jvtag]
-    if (!hasProperty(store, type)) {
-      store[type] = {}
+  /**
+   * Send the resource linkage in `_jv.relationships` to each relationship's endpoint,
+   * then update the parent record's relationships in the store.
+   * Used by the `addRelated`, `removeRelated` and `replaceRelated` actions.
+   *
+   * The endpoint is `links.self` for the relationship (if present), otherwise `type/id/relationships/name`
+   *
+   * @memberof module:jsonapi-vuex._internal
+   * @param {axios} api - an axios api instance
+   * @param {object} context - Vuex actions context object
+   * @param {(object|array)} args - See {@link module:jsonapi-vuex.jsonapiModule.actions} for a summary of args
+   * @param {string} method - The HTTP method to use (`post`, `delete` or `patch`)
+   * @return {object} Restructured representation of the parent item
+   */
+  const relationshipsAction = (api, context, args, method) => {
+    const [actionName, mutation] = {
+      post: ['addRelated', 'addRelationships'],
+      delete: ['removeRelated', 'removeRelationships'],
+      patch: ['replaceRelated', 'replaceRelationships'],
+    }[method]
+    const [data, argsConfig] = unpackArgs(args)
+    const [config, jvOpts] = splitConfig(argsConfig)
+    const [type, id] = getTypeId(data)
+    if (!type || !id) {
+      throw new RecordError(`${actionName}: Missing type or id`, data)
     }
-    if (jvConfig.followRelationshipsData) {
-      for (let rel in item[jvtag].rels) {
-        delete item[rel]
-      }
+    const rels = get(data, [jvtag, 'relationships'], {})
+    if (!Object.keys(rels).length) {
+      throw new RecordError(`${actionName}: No relationships specified`, data)
     }
-    store[type][id] = item
+    const actionId = actionSequence(context)
+    context.commit('setStatus', { id: actionId, status: STATUS_LOAD })
+
+    const relPromises = Object.entries(rels).map(([relName, rel]) => {
+      const path = get(
+        rel,
+        ['links', 'self'],
+        relationshipURL(data, relName, jvOpts.routeParams)
+      )
+      const apiConf = { method: method, url: path, data: { data: rel['data'] } }
+      merge(apiConf, config)
+      return api(apiConf).then((results) => {
+        const record = {
+          [jvtag]: {
+            type: data[jvtag]['type'],
+            id: data[jvtag]['id'],
+            relationships: { [relName]: { data: rel['data'] } },
+          },
+        }
+        // If the server handed back the full linkage, it is authoritative
+        if (results.status === 200 && hasProperty(results.data, 'data')) {
+          record[jvtag]['relationships'][relName]['data'] = results.data.data
+          context.commit('replaceRelationships', record)
+        } else {
+          context.commit(mutation, record)
+        }
+      })
+    })
+    let action = Promise.all(relPromises)
+      .then(() => {
+        context.commit('setStatus', {
+          id: actionId,
+          status: STATUS_SUCCESS,
+        })
+        return context.getters.get(data)
+      })
+      .catch((error) => {
+        context.commit('setStatus', { id: actionId, status: STATUS_ERROR })
+        throw error
+      })
+    action[jvtag + 'Id'] = actionId
+    return action
   }
-  return store
-}
 
-/**
- * Restructure all records in 'included' (using {@link module:jsonapi-vuex._internal.jsonapiToNormItem})
- * and add to the store.
- * @memberof module:jsonapi-vuex._internal
- * @param {object} context - Vuex actions context object
- * @param {object} results - JSONAPI record
- */
-const processIncludedRecords = (context, results) => {
-  for (let item of get(results, ['data', 'included'], [])) {
-    const includedItem = jsonapiToNormItem(item)
-    context.commit('addRecords', includedItem)
+  /**
+   * A collection of utility functions
+   * @namespace utils
+   * @memberof module:jsonapi-vuex
+   */
+  const utils = {
+    addJvHelpers: addJvHelpers,
+    cleanPatch: cleanPatch,
+    deepCopy: deepCopy,
+    getTypeId: getTypeId,
+    getURL: getURL,
+    getEndpoint: getEndpoint,
+    jsonapiToNorm: jsonapiToNorm,
+    normToJsonapi: normToJsonapi,
+    normToStore: normToStore,
+    queryParams: queryParams,
+    uuid: uuid,
+  }
+
+  // Export a single object with references to 'private' functions for the test suite
+  /**
+   * An object containing references to all internal functions for the test suite to import
+   * @memberof module:jsonapi-vuex._internal
+   */
+  const _testing = {
+    _copy: _copy,
+    actionSequence: actionSequence,
+    atomicOperation: atomicOperation,
+    getTypeId: getTypeId,
+    deepCopy: deepCopy,
+    jsonapiToNorm: jsonapiToNorm,
+    jsonapiToNormItem: jsonapiToNormItem,
+    normToJsonapi: normToJsonapi,
+    normToJsonapiItem: normToJsonapiItem,
+    normToStore: normToStore,
+    processIncludedRecords: processIncludedRecords,
+    unpackArgs: unpackArgs,
+    followRelationships: followRelationships,
+    checkAndFollowRelationships: checkAndFollowRelationships,
+    pluralize: pluralize,
+    relationshipURL: relationshipURL,
+    preserveJSON: preserveJSON,
+    jvConfig: jvConfig,
+    RecordError: RecordError,
+    addJvHelpers: addJvHelpers,
+    updateRecords: updateRecords,
+    updateRelationships: updateRelationships,
+    getURL: getURL,
+    getEndpoint: getEndpoint,
+    cleanPatch: cleanPatch,
+    markSparse: markSparse,
+    sparseFields: sparseFields,
+    queryParams: queryParams,
+    queryString: queryString,
+    recordQuery: recordQuery,
+    recordDocument: recordDocument,
+    queryDocument: queryDocument,
+    deleteDocuments: deleteDocuments,
+    cascadeRecords: cascadeRecords,
+    replaceFields: replaceFields,
+    rejectThrown: rejectThrown,
+    referringRecords: referringRecords,
+    removeRecords: removeRecords,
+    inverseLinkage: inverseLinkage,
+    updateInverses: updateInverses,
+    recordIsDirty: recordIsDirty,
+    garbage: garbage,
+    expiredQueries: expiredQueries,
+    collectGarbage: collectGarbage,
+    evictRecords: evictRecords,
+    linkedController: linkedController,
+    sharedController: sharedController,
+    cancelAction: cancelAction,
+    signalCancelToken: signalCancelToken,
+    abortable: abortable,
+    optimisticPatch: optimisticPatch,
+    optimisticDelete: optimisticDelete,
+    rekeyRecord: rekeyRecord,
+    uuid: uuid,
+    retryWait: retryWait,
+    retryRequest: retryRequest,
+    CancelError: CancelError,
+    JsonApiError: JsonApiError,
+    toJsonApiError: toJsonApiError,
+    pointerField: pointerField,
+    storeErrors: storeErrors,
+    typeOption: typeOption,
+    recordType: recordType,
+    clearOnUpdate: clearOnUpdate,
+    createDraft: createDraft,
+    draftChanges: draftChanges,
+    draftRelated: draftRelated,
+    addInFlight: addInFlight,
+    queryKey: queryKey,
+    getCached: getCached,
+    isCached: isCached,
+    requestParams: requestParams,
+    includePaths: includePaths,
+    hasFields: hasFields,
+    splitConfig: splitConfig,
+    getRelationships: getRelationships,
+  }
+
+  return {
+    jvConfig: jvConfig,
+    mutations: mutations,
+    actions: actions,
+    getters: getters,
+    utils: utils,
+    _testing: _testing,
   }
 }
 
 /**
- * A collection of utility functions
- * @namespace utils
+ * jsonapi-vuex store module
+ *
+ * Each module has its own config. The module's `utils` (see {@link module:jsonapi-vuex.utils})
+ * use the same config, and are available as `utils` on the module object.
+ * @namespace
  * @memberof module:jsonapi-vuex
+ * @param {axios} api - an axios instance
+ * @param {object} [conf={}] - jsonapi-vuex configuation
+ * @return {object} A Vuex store object
  */
-const utils = {
-  addJvHelpers: addJvHelpers,
-  cleanPatch: cleanPatch,
-  deepCopy: deepCopy,
-  getTypeId: getTypeId,
-  getURL: getURL,
-  jsonapiToNorm: jsonapiToNorm,
-  normToJsonapi: normToJsonapi,
-  normToStore: normToStore,
+const jsonapiModule = (api, conf = {}) => {
+  const instance = createInstance(conf)
+  const jvtag = instance.jvConfig['jvtag']
+  let state = {
+    [jvtag]: {},
+    [jvtag + 'Queries']: {},
+    [jvtag + 'Documents']: {},
+    [jvtag + 'Fetched']: {},
+    [jvtag + 'Errors']: {},
+    [jvtag + 'Pristine']: {},
+  }
+
+  return {
+    namespaced: true,
+
+    state: state,
+
+    mutations: instance.mutations(),
+    actions: instance.actions(api),
+    getters: instance.getters(),
+    utils: instance.utils,
+    _testing: instance._testing,
+  }
 }
 
-// Export a single object with references to 'private' functions for the test suite
+// An instance with the default config, for utils used outside of a store module
+const defaultInstance = createInstance()
+const utils = defaultInstance.utils
+
 /**
- * An object containing references to all internal functions for the test suite to import
+ * References to the internal functions of an instance with the default config, for the test suite.
+ * Each module's own internal functions are available as `_testing` on the module object.
  * @memberof module:jsonapi-vuex._internal
  */
-const _testing = {
-  _copy: _copy,
-  actionSequence: actionSequence,
-  getTypeId: getTypeId,
-  deepCopy: deepCopy,
-  jsonapiToNorm: jsonapiToNorm,
-  jsonapiToNormItem: jsonapiToNormItem,
-  normToJsonapi: normToJsonapi,
-  normToJsonapiItem: normToJsonapiItem,
-  normToStore: normToStore,
-  processIncludedRecords: processIncludedRecords,
-  unpackArgs: unpackArgs,
-  followRelationships: followRelationships,
-  jvConfig: jvConfig,
-  RecordError: RecordError,
-  addJvHelpers: addJvHelpers,
-  updateRecords: updateRecords,
-  getURL: getURL,
-  cleanPatch: cleanPatch,
-  getRelationships: getRelationships,
-}
+const _testing = defaultInstance._testing
 
-export { jsonapiModule, utils, _testing }
+export {
+  jsonapiModule,
+  utils,
+  JsonApiError,
+  RecordError,
+  CancelError,
+  _testing,
+}
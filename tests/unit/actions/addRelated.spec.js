@@ -0,0 +1,151 @@
+import { expect } from 'chai'
+import sinon from 'sinon'
+import Vue from 'vue'
+import Vuex from 'vuex'
+
+import {
+  RecordError,
+  jsonapiModule as createModule,
+} from '../../../src/jsonapi-vuex'
+import createStubContext from '../stubs/context'
+import createJsonapiModule from '../utils/createJsonapiModule'
+
+describe('addRelated', function() {
+  let relRecord, jsonapiModule, stubContext
+
+  beforeEach(function() {
+    relRecord = {
+      _jv: {
+        type: 'widget',
+        id: '1',
+        relationships: {
+          widgets: {
+            data: [{ type: 'widget', id: '3' }],
+          },
+        },
+      },
+    }
+
+    jsonapiModule = createJsonapiModule(this.api)
+    stubContext = createStubContext(jsonapiModule)
+  })
+
+  it("should use the type's endpoint for the relationship endpoint", async function() {
+    this.mockApi.onAny().reply(204)
+    jsonapiModule = createJsonapiModule(this.api, { pluralize: true })
+
+    await jsonapiModule.actions.addRelated(stubContext, relRecord)
+
+    expect(this.mockApi.history.post[0].url).to.equal(
+      'widgets/1/relationships/widgets'
+    )
+  })
+
+  it('should make an api call to POST to the relationship endpoint', async function() {
+    this.mockApi.onAny().reply(204)
+
+    await jsonapiModule.actions.addRelated(stubContext, relRecord)
+
+    expect(this.mockApi.history.post[0].url).to.equal(
+      'widget/1/relationships/widgets'
+    )
+    expect(JSON.parse(this.mockApi.history.post[0].data)).to.deep.equal({
+      data: [{ type: 'widget', id: '3' }],
+    })
+  })
+
+  it('should use the relationship links.self url if present', async function() {
+    this.mockApi.onAny().reply(204)
+    relRecord['_jv']['relationships']['widgets']['links'] = {
+      self: '/weirdPath/1/relationships/widgets',
+    }
+
+    await jsonapiModule.actions.addRelated(stubContext, relRecord)
+
+    expect(this.mockApi.history.post[0].url).to.equal(
+      '/weirdPath/1/relationships/widgets'
+    )
+  })
+
+  it('should accept axios config as the 2nd arg in a list', async function() {
+    this.mockApi.onAny().reply(204)
+    const params = { filter: 'color' }
+
+    await jsonapiModule.actions.addRelated(stubContext, [
+      relRecord,
+      { params: params },
+    ])
+
+    expect(this.mockApi.history.post[0].params).to.deep.equal(params)
+  })
+
+  it('should add the linkage to the record in the store', async function() {
+    this.mockApi.onAny().reply(204)
+
+    await jsonapiModule.actions.addRelated(stubContext, relRecord)
+
+    expect(stubContext.commit).to.have.been.calledWith(
+      'addRelationships',
+      relRecord
+    )
+  })
+
+  it('should replace the linkage in the store if returned by the server', async function() {
+    const linkage = [
+      { type: 'widget', id: '2' },
+      { type: 'widget', id: '3' },
+    ]
+    this.mockApi.onAny().reply(200, { data: linkage })
+
+    await jsonapiModule.actions.addRelated(stubContext, relRecord)
+
+    relRecord['_jv']['relationships']['widgets']['data'] = linkage
+    expect(stubContext.commit).to.have.been.calledWith(
+      'replaceRelationships',
+      relRecord
+    )
+  })
+
+  it("should return data via the 'get' getter", async function() {
+    this.mockApi.onAny().reply(204)
+
+    await jsonapiModule.actions.addRelated(stubContext, relRecord)
+
+    expect(stubContext.getters.get).to.have.been.calledWith(relRecord)
+  })
+
+  it('should reject with an error if no relationships are specified', async function() {
+    delete relRecord['_jv']['relationships']
+
+    await expect(
+      jsonapiModule.actions.addRelated(stubContext, relRecord)
+    ).to.be.rejectedWith(RecordError)
+  })
+
+  it('should reject (not throw) when dispatched without an id', async function() {
+    Vue.use(Vuex)
+    const store = new Vuex.Store({ modules: { jv: createModule(this.api) } })
+    delete relRecord['_jv']['id']
+
+    const error = await store
+      .dispatch('jv/addRelated', relRecord)
+      .catch((error) => error)
+
+    expect(error).to.be.an.instanceof(RecordError)
+    expect(error.value).to.equal(relRecord)
+  })
+
+  it('should handle API errors', async function() {
+    this.mockApi.onAny().reply(500)
+
+    try {
+      await jsonapiModule.actions.addRelated(stubContext, relRecord)
+    } catch (error) {
+      expect(error.response.status).to.equal(500)
+    }
+    expect(stubContext.commit).to.have.been.calledWith('setStatus', {
+      id: sinon.match.number,
+      status: 'ERROR',
+    })
+  })
+})
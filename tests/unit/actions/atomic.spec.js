@@ -0,0 +1,134 @@
+import { expect } from 'chai'
+
+import { RecordError } from '../../../src/jsonapi-vuex'
+import createStubContext from '../stubs/context'
+import createJsonapiModule from '../utils/createJsonapiModule'
+import {
+  jsonFormat as createJsonWidget1,
+  jsonFormatPatch as createJsonWidget1Patch,
+  normFormat as createNormWidget1,
+  normFormatPatch as createNormWidget1Patch,
+  normFormatUpdate as createNormWidget1Update,
+} from '../fixtures/widget1'
+
+describe('atomic', function() {
+  let jsonWidget1,
+    jsonWidget1Patch,
+    normWidget1,
+    normWidget1Patch,
+    normWidget1Update,
+    operations,
+    jsonapiModule,
+    stubContext
+
+  beforeEach(function() {
+    jsonWidget1 = createJsonWidget1()
+    jsonWidget1Patch = createJsonWidget1Patch()
+    normWidget1 = createNormWidget1()
+    normWidget1Patch = createNormWidget1Patch()
+    normWidget1Update = createNormWidget1Update()
+
+    operations = [
+      { op: 'post', data: normWidget1 },
+      { op: 'patch', data: normWidget1Patch },
+      { op: 'delete', data: 'widget/3' },
+    ]
+
+    jsonapiModule = createJsonapiModule(this.api)
+    stubContext = createStubContext(jsonapiModule)
+  })
+
+  it('should POST all operations to the atomic endpoint', async function() {
+    this.mockApi.onAny().reply(204)
+
+    await jsonapiModule.actions.atomic(stubContext, operations)
+
+    const req = this.mockApi.history.post[0]
+    expect(req.url).to.equal('operations')
+    expect(req.headers['Content-Type']).to.equal(
+      'application/vnd.api+json; ext="https://jsonapi.org/ext/atomic"'
+    )
+    expect(JSON.parse(req.data)['atomic:operations']).to.deep.equal([
+      { op: 'add', data: jsonWidget1 },
+      { op: 'update', data: { type: 'widget', id: '1', attributes: { foo: 'update' } } }, // prettier-ignore
+      { op: 'remove', ref: { type: 'widget', id: '3' } },
+    ])
+  })
+
+  it('should accept axios config as the 2nd arg in a list', async function() {
+    this.mockApi.onAny().reply(204)
+    const url = '/fish/operations'
+
+    await jsonapiModule.actions.atomic(stubContext, [operations, { url: url }])
+
+    expect(this.mockApi.history.post[0].url).to.equal(url)
+  })
+
+  it('should apply all results to the store', async function() {
+    this.mockApi.onAny().reply(200, {
+      'atomic:results': [{ data: jsonWidget1 }, { data: jsonWidget1Patch }, {}],
+    })
+
+    await jsonapiModule.actions.atomic(stubContext, operations)
+
+    expect(stubContext.commit).to.have.been.calledWith(
+      'addRecords',
+      normWidget1
+    )
+    expect(stubContext.commit).to.not.have.been.calledWith(
+      'deleteRecord',
+      normWidget1Patch
+    )
+    expect(stubContext.commit).to.have.been.calledWith(
+      'replaceRecords',
+      normWidget1Update
+    )
+    expect(stubContext.commit).to.have.been.calledWith(
+      'deleteRecord',
+      'widget/3'
+    )
+  })
+
+  it('should update the store from the operations (no server response)', async function() {
+    this.mockApi.onAny().reply(204)
+
+    await jsonapiModule.actions.atomic(stubContext, operations)
+
+    expect(stubContext.commit).to.have.been.calledWith(
+      'mergeRecords',
+      normWidget1Patch
+    )
+  })
+
+  it('should return a result for each operation', async function() {
+    this.mockApi.onAny().reply(204)
+
+    const res = await jsonapiModule.actions.atomic(stubContext, operations)
+
+    expect(res).to.have.lengthOf(3)
+    expect(res[2]).to.equal('widget/3')
+  })
+
+  it('should not update the store if the request fails', async function() {
+    this.mockApi.onAny().reply(500)
+
+    try {
+      await jsonapiModule.actions.atomic(stubContext, operations)
+      throw 'Should have thrown an error'
+    } catch (error) {
+      expect(error.response.status).to.equal(500)
+    }
+    for (let mutation of ['addRecords', 'mergeRecords', 'deleteRecord']) {
+      expect(stubContext.commit).to.not.have.been.calledWith(mutation)
+    }
+  })
+
+  it('should reject with a RecordError for unknown operations', async function() {
+    await expect(
+      jsonapiModule.actions.atomic(stubContext, [
+        { op: 'splat', data: normWidget1 },
+      ])
+    ).to.be.rejectedWith(RecordError)
+    expect(this.mockApi.history.post).to.be.empty
+  })
+})
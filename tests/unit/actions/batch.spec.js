@@ -0,0 +1,15 @@
+import { expect } from 'chai'
+
+import createJsonapiModule from '../utils/createJsonapiModule'
+
+describe('batch', function() {
+  let jsonapiModule
+
+  beforeEach(function() {
+    jsonapiModule = createJsonapiModule(this.api)
+  })
+
+  it('should be an alias for atomic', function() {
+    expect(jsonapiModule.actions.batch).to.equal(jsonapiModule.actions.atomic)
+  })
+})
@@ -0,0 +1,145 @@
+import { expect } from 'chai'
+import sinon from 'sinon'
+import Vue from 'vue'
+import Vuex from 'vuex'
+
+import {
+  _testing,
+  CancelError,
+  jsonapiModule as createModule,
+} from '../../../src/jsonapi-vuex'
+import createStubContext from '../stubs/context'
+import createJsonapiModule from '../utils/createJsonapiModule'
+import { jsonFormat as createJsonWidget1 } from '../fixtures/widget1'
+
+describe('cancel', function() {
+  let jsonWidget1, jsonapiModule, stubContext
+
+  beforeEach(function() {
+    jsonWidget1 = createJsonWidget1()
+
+    jsonapiModule = createJsonapiModule(this.api)
+    stubContext = createStubContext(jsonapiModule)
+  })
+
+  it('should cancel a get action by id', async function() {
+    // Never respond
+    this.mockApi.onAny().reply(() => new Promise(() => {}))
+
+    const action = jsonapiModule.actions.get(stubContext, 'widget/1')
+    const res = jsonapiModule.actions.cancel(stubContext, action['_jvId'])
+
+    expect(res).to.be.true
+    try {
+      await action
+      throw 'should have been cancelled'
+    } catch (error) {
+      expect(error).to.be.instanceof(_testing.CancelError)
+    }
+    expect(stubContext.commit).to.have.been.calledWith('setStatus', {
+      id: action['_jvId'],
+      status: 'CANCELLED',
+    })
+  })
+
+  it('should cancel a get action by promise', async function() {
+    this.mockApi.onAny().reply(() => new Promise(() => {}))
+
+    const action = jsonapiModule.actions.get(stubContext, 'widget/1')
+    jsonapiModule.actions.cancel(stubContext, action)
+
+    await expect(action).to.be.rejectedWith(_testing.CancelError)
+  })
+
+  it('should cancel a get action using the promise cancel method', async function() {
+    this.mockApi.onAny().reply(() => new Promise(() => {}))
+
+    const action = jsonapiModule.actions.get(stubContext, 'widget/1')
+    action.cancel()
+
+    await expect(action).to.be.rejectedWith(_testing.CancelError)
+  })
+
+  it('should not update the store if the request completes after cancelling', async function() {
+    let respond
+    const requested = new Promise((resolveRequest) => {
+      this.mockApi.onAny().reply(
+        () =>
+          new Promise((resolve) => {
+            respond = resolve
+            resolveRequest()
+          })
+      )
+    })
+
+    const action = jsonapiModule.actions.get(stubContext, 'widget/1')
+    await requested
+    action.cancel()
+    respond([200, { data: jsonWidget1 }])
+
+    await expect(action).to.be.rejectedWith(_testing.CancelError)
+    expect(stubContext.commit).to.not.have.been.calledWith('addRecords')
+  })
+
+  it('should cancel a get action when the signal in the config is aborted', async function() {
+    this.mockApi.onAny().reply(() => new Promise(() => {}))
+    const controller = _testing.linkedController()
+
+    const action = jsonapiModule.actions.get(stubContext, [
+      'widget/1',
+      { signal: controller.signal },
+    ])
+    controller.abort()
+
+    await expect(action).to.be.rejectedWith(_testing.CancelError)
+  })
+
+  it('should cancel a get action dispatched through a store when the signal is aborted', async function() {
+    Vue.use(Vuex)
+    const store = new Vuex.Store({ modules: { jv: createModule(this.api) } })
+    this.mockApi.onAny().reply(() => new Promise(() => {}))
+    const controller = _testing.linkedController()
+
+    const action = store.dispatch('jv/get', [
+      'widget/1',
+      { signal: controller.signal },
+    ])
+    controller.abort()
+
+    await expect(action).to.be.rejectedWith(CancelError)
+    const statuses = Object.values(store.state.jv['_jv'])
+    expect(statuses[0]['status']).to.equal('CANCELLED')
+  })
+
+  it('should pass axios a CancelToken which follows the signal', async function() {
+    this.mockApi.onAny().reply(() => new Promise(() => {}))
+    const controller = _testing.linkedController()
+
+    const action = jsonapiModule.actions.get(stubContext, [
+      'widget/1',
+      { signal: controller.signal },
+    ])
+    await this.clock.tickAsync(0)
+    const { cancelToken } = this.mockApi.history.get[0]
+    expect(() => cancelToken.throwIfRequested()).to.not.throw()
+    controller.abort()
+
+    await expect(action).to.be.rejectedWith(_testing.CancelError)
+    expect(() => cancelToken.throwIfRequested()).to.throw(_testing.CancelError)
+    expect(await cancelToken.promise).to.be.instanceof(_testing.CancelError)
+  })
+
+  it('should return false for actions which have completed', async function() {
+    this.mockApi.onAny().reply(200, { data: jsonWidget1 })
+
+    const action = jsonapiModule.actions.get(stubContext, 'widget/1')
+    await action
+
+    expect(jsonapiModule.actions.cancel(stubContext, action)).to.be.false
+    expect(jsonapiModule.actions.cancel(stubContext, 99)).to.be.false
+    expect(stubContext.commit).to.not.have.been.calledWith(
+      'setStatus',
+      sinon.match({ status: 'CANCELLED' })
+    )
+  })
+})
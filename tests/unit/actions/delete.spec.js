@@ -1,5 +1,7 @@
 import { expect } from 'chai'
 
+import { _testing } from '../../../src/jsonapi-vuex'
+
 import createStubContext from '../stubs/context'
 import createJsonapiModule from '../utils/createJsonapiModule'
 import {
@@ -80,6 +82,170 @@ describe('delete', function() {
     expect(res).to.deep.equal(normWidget1)
   })
 
+  it('should only retry if delete is a retry method', async function() {
+    this.mockApi.onAny().reply(503)
+
+    await expect(
+      jsonapiModule.actions.delete(stubContext, [
+        normWidget1,
+        { _jv: { retries: 1 } },
+      ])
+    ).to.be.rejected
+    expect(this.mockApi.history.delete).to.have.lengthOf(1)
+
+    this.mockApi.reset()
+    this.mockApi
+      .onAny()
+      .replyOnce(503)
+      .onAny()
+      .replyOnce(204)
+    const action = jsonapiModule.actions.delete(stubContext, [
+      normWidget1,
+      { _jv: { retries: 1, retryMethods: ['get', 'delete'] } },
+    ])
+    await this.clock.tickAsync(1000)
+
+    await action
+    expect(this.mockApi.history.delete).to.have.lengthOf(2)
+  })
+
+  describe('optimistic', function() {
+    beforeEach(function() {
+      stubContext = createStubContext(jsonapiModule, { records: [normWidget1] })
+    })
+
+    it('should remove the record before the request completes', async function() {
+      this.mockApi.onAny().reply(204)
+
+      const action = jsonapiModule.actions.delete(stubContext, [
+        'widget/1',
+        { _jv: { optimistic: true } },
+      ])
+
+      expect(stubContext['state']['widget']).to.not.have.property('1')
+      await action
+      expect(stubContext['state']['widget']).to.not.have.property('1')
+    })
+
+    it('should restore the record if the request fails', async function() {
+      this.mockApi.onAny().reply(500)
+
+      const action = jsonapiModule.actions.delete(stubContext, [
+        'widget/1',
+        { _jv: { optimistic: true } },
+      ])
+      expect(stubContext['state']['widget']).to.not.have.property('1')
+
+      await expect(action).to.be.rejected
+      expect(stubContext['state']['widget']['1']).to.deep.equal(
+        createNormWidget1()
+      )
+    })
+
+    it('should restore the pristine copy and local changes if the request fails', async function() {
+      this.mockApi.onAny().reply(500)
+      stubContext['state']['widget']['1']['foo'] = 'local'
+
+      const action = jsonapiModule.actions.delete(stubContext, [
+        'widget/1',
+        { _jv: { optimistic: true } },
+      ])
+
+      await expect(action).to.be.rejected
+      expect(stubContext['state']['widget']['1']['foo']).to.equal('local')
+      expect(stubContext['state']['_jvPristine']['widget']['1']).to.deep.equal(
+        createNormWidget1()
+      )
+    })
+
+    it('should restore removed references if the request fails', async function() {
+      this.mockApi.onAny().reply(500)
+      jsonapiModule = createJsonapiModule(this.api, { removeDangling: true })
+      const order = {
+        _jv: {
+          type: 'order',
+          id: '5',
+          relationships: { widget: { data: { type: 'widget', id: '1' } } },
+        },
+      }
+      stubContext = createStubContext(jsonapiModule, {
+        records: [normWidget1, order],
+      })
+
+      const action = jsonapiModule.actions.delete(stubContext, [
+        'widget/1',
+        { _jv: { optimistic: true } },
+      ])
+      expect(order['_jv']['relationships']['widget']['data']).to.be.null
+
+      await expect(action).to.be.rejected
+      expect(stubContext['state']['widget']).to.have.property('1')
+      expect(order['_jv']['relationships']['widget']['data']).to.deep.equal({
+        type: 'widget',
+        id: '1',
+      })
+    })
+
+    it('should send the request after the undo delay', async function() {
+      this.mockApi.onAny().reply(204)
+
+      const action = jsonapiModule.actions.delete(stubContext, [
+        'widget/1',
+        { _jv: { optimistic: true, undo: 5000 } },
+      ])
+      await this.clock.tickAsync(4000)
+      expect(this.mockApi.history.delete).to.have.lengthOf(0)
+
+      await this.clock.tickAsync(1000)
+      await action
+      expect(this.mockApi.history.delete).to.have.lengthOf(1)
+      expect(stubContext['state']['widget']).to.not.have.property('1')
+    })
+
+    it('should restore the record and not send the request if cancelled during the undo delay', async function() {
+      this.mockApi.onAny().reply(204)
+
+      const action = jsonapiModule.actions.delete(stubContext, [
+        'widget/1',
+        { _jv: { optimistic: true, undo: 5000 } },
+      ])
+      const rejected = expect(action).to.be.rejectedWith(_testing.CancelError)
+      await this.clock.tickAsync(1000)
+      expect(action.cancel()).to.be.true
+
+      await rejected
+      await this.clock.tickAsync(5000)
+      expect(this.mockApi.history.delete).to.have.lengthOf(0)
+      expect(stubContext['state']['widget']['1']).to.deep.equal(
+        createNormWidget1()
+      )
+      expect(stubContext.commit).to.have.been.calledWith('setStatus', {
+        id: action['_jvId'],
+        status: 'CANCELLED',
+      })
+    })
+
+    it('should restore the record and not send the request if the signal is aborted during the undo delay', async function() {
+      this.mockApi.onAny().reply(204)
+      const controller = _testing.linkedController()
+
+      const action = jsonapiModule.actions.delete(stubContext, [
+        'widget/1',
+        { signal: controller.signal, _jv: { optimistic: true, undo: 5000 } },
+      ])
+      const rejected = expect(action).to.be.rejectedWith(_testing.CancelError)
+      await this.clock.tickAsync(1000)
+      controller.abort()
+
+      await rejected
+      await this.clock.tickAsync(5000)
+      expect(this.mockApi.history.delete).to.have.lengthOf(0)
+      expect(stubContext['state']['widget']['1']).to.deep.equal(
+        createNormWidget1()
+      )
+    })
+  })
+
   it('should handle API errors', async function() {
     this.mockApi.onAny().reply(500)
 
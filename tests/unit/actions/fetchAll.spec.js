@@ -0,0 +1,237 @@
+import { expect } from 'chai'
+import sinon from 'sinon'
+
+import { _testing } from '../../../src/jsonapi-vuex'
+import createStubContext from '../stubs/context'
+import createJsonapiModule from '../utils/createJsonapiModule'
+import {
+  jsonFormat as createJsonWidget1,
+  normFormat as createNormWidget1,
+} from '../fixtures/widget1'
+import {
+  jsonFormat as createJsonWidget2,
+  normFormat as createNormWidget2,
+} from '../fixtures/widget2'
+import {
+  jsonFormat as createJsonWidget3,
+  normFormat as createNormWidget3,
+} from '../fixtures/widget3'
+import { normFormat as createNormRecord } from '../fixtures/record'
+
+describe('fetchAll', function() {
+  let jsonWidget1,
+    jsonWidget2,
+    jsonWidget3,
+    normWidget1,
+    normWidget2,
+    normWidget3,
+    normRecord,
+    jsonapiModule,
+    stubContext
+
+  beforeEach(function() {
+    jsonWidget1 = createJsonWidget1()
+    jsonWidget2 = createJsonWidget2()
+    jsonWidget3 = createJsonWidget3()
+    normWidget1 = createNormWidget1()
+    normWidget2 = createNormWidget2()
+    normWidget3 = createNormWidget3()
+    normRecord = createNormRecord()
+
+    jsonapiModule = createJsonapiModule(this.api)
+    stubContext = createStubContext(jsonapiModule)
+  })
+
+  it('should follow next links until there are no more pages', async function() {
+    this.mockApi
+      .onGet('widget')
+      .reply(200, { data: [jsonWidget1], links: { next: 'widget?p=2' } })
+      .onGet('widget?p=2')
+      .reply(200, {
+        data: [jsonWidget2],
+        links: { next: { href: 'widget?p=3' } },
+      }) // prettier-ignore
+      .onGet('widget?p=3')
+      .reply(200, { data: [jsonWidget3], links: {} })
+
+    const res = await jsonapiModule.actions.fetchAll(stubContext, 'widget')
+
+    expect(this.mockApi.history.get).to.have.lengthOf(3)
+    expect(res).to.deep.equal(normRecord)
+  })
+
+  it('should add each page to the store as it arrives', async function() {
+    this.mockApi
+      .onGet('widget')
+      .reply(200, { data: [jsonWidget1], links: { next: 'widget?p=2' } })
+      .onGet('widget?p=2')
+      .reply(200, { data: [jsonWidget2] })
+
+    await jsonapiModule.actions.fetchAll(stubContext, 'widget')
+
+    expect(stubContext.commit).to.have.been.calledWith('addRecords', {
+      [normWidget1['_jv']['id']]: normWidget1,
+    })
+    expect(stubContext.commit).to.have.been.calledWith('addRecords', {
+      [normWidget2['_jv']['id']]: normWidget2,
+    })
+  })
+
+  it('should record the whole collection as a query', async function() {
+    this.mockApi
+      .onGet('widget')
+      .reply(200, { data: [jsonWidget1], links: { next: 'widget?p=2' } })
+      .onGet('widget?p=2')
+      .reply(200, { data: [jsonWidget2], meta: { total: 2 } })
+
+    await jsonapiModule.actions.fetchAll(stubContext, 'widget')
+
+    expect(stubContext.commit).to.have.been.calledWith('setQuery', {
+      query: 'widget',
+      url: 'widget',
+      params: {},
+      accumulate: false,
+      data: [
+        { type: 'widget', id: '1' },
+        { type: 'widget', id: '2' },
+      ],
+      links: {},
+      meta: { total: 2 },
+      jsonapi: {},
+      fetched: sinon.match.number,
+    })
+  })
+
+  it("should record the last page's document meta, links and jsonapi", async function() {
+    this.mockApi
+      .onGet('widget')
+      .reply(200, { data: [jsonWidget1], links: { next: 'widget?p=2' } })
+      .onGet('widget?p=2')
+      .reply(200, {
+        data: [jsonWidget2],
+        meta: { total: 2 },
+        jsonapi: { version: '1.1' },
+      })
+
+    await jsonapiModule.actions.fetchAll(stubContext, 'widget')
+
+    expect(stubContext.commit).to.have.been.calledWithMatch('setQuery', {
+      query: 'widget',
+      meta: { total: 2 },
+      links: {},
+      jsonapi: { version: '1.1' },
+    })
+    expect(stubContext.commit).to.not.have.been.calledWith('setDocument')
+  })
+
+  it('should use a single status id for the whole run', async function() {
+    this.mockApi
+      .onGet('widget')
+      .reply(200, { data: [jsonWidget1], links: { next: 'widget?p=2' } })
+      .onGet('widget?p=2')
+      .reply(200, { data: [jsonWidget2] })
+
+    const action = jsonapiModule.actions.fetchAll(stubContext, 'widget')
+    await action
+
+    const statuses = stubContext.commit.args.filter(
+      (args) => args[0] === 'setStatus'
+    )
+    expect(statuses).to.have.lengthOf(2)
+    expect(statuses[1][1]).to.deep.equal({
+      id: action['_jvId'],
+      status: 'SUCCESS',
+    })
+  })
+
+  it('should fetch pages by number, concurrently', async function() {
+    const pages = { 1: [jsonWidget1], 2: [jsonWidget2], 3: [jsonWidget3] }
+    this.mockApi.onGet('widget').reply((config) => {
+      return [200, { data: pages[config.params['page[number]']] || [] }]
+    })
+
+    const res = await jsonapiModule.actions.fetchAll(stubContext, [
+      'widget',
+      { _jv: { strategy: 'number', concurrency: 2 } },
+    ])
+
+    // Page 1, then pages 2 & 3, then pages 4 & 5 (empty)
+    expect(this.mockApi.history.get).to.have.lengthOf(5)
+    expect(this.mockApi.history.get[1].params).to.deep.equal({
+      'page[number]': 2,
+      'page[size]': 1,
+    })
+    expect(res).to.deep.equal(normRecord)
+  })
+
+  it('should fetch pages by offset', async function() {
+    const widgets = [jsonWidget1, jsonWidget2, jsonWidget3]
+    this.mockApi.onGet('widget').reply((config) => {
+      const offset = config.params['page[offset]']
+      return [200, { data: widgets.slice(offset, offset + 2) }]
+    })
+
+    const res = await jsonapiModule.actions.fetchAll(stubContext, [
+      'widget',
+      { params: { sort: 'foo' }, _jv: { strategy: 'offset', pageSize: 2 } },
+    ])
+
+    expect(this.mockApi.history.get).to.have.lengthOf(2)
+    expect(this.mockApi.history.get[1].params).to.deep.equal({
+      sort: 'foo',
+      'page[offset]': 2,
+      'page[limit]': 2,
+    })
+    expect(res).to.deep.equal({
+      1: normWidget1,
+      2: normWidget2,
+      3: normWidget3,
+    })
+  })
+
+  it('should fail if maxPages is exceeded', async function() {
+    this.mockApi
+      .onGet()
+      .reply(200, { data: [jsonWidget1], links: { next: 'widget' } })
+
+    try {
+      await jsonapiModule.actions.fetchAll(stubContext, [
+        'widget',
+        { _jv: { maxPages: 3 } },
+      ])
+      throw 'Should have thrown an error'
+    } catch (error) {
+      expect(error).to.be.an.instanceof(_testing.RecordError)
+    }
+    expect(this.mockApi.history.get).to.have.lengthOf(3)
+    expect(stubContext.commit).to.have.been.calledWithMatch('setStatus', {
+      status: 'ERROR',
+    })
+  })
+
+  it('should call clearRecords once with the whole collection', async function() {
+    jsonapiModule = createJsonapiModule(this.api, { clearOnUpdate: true })
+    this.mockApi
+      .onGet('widget')
+      .reply(200, { data: [jsonWidget1], links: { next: 'widget?p=2' } })
+      .onGet('widget?p=2')
+      .reply(200, { data: [jsonWidget2, jsonWidget3] })
+
+    await jsonapiModule.actions.fetchAll(stubContext, 'widget')
+
+    const clears = stubContext.commit.args.filter(
+      (args) => args[0] === 'clearRecords'
+    )
+    expect(clears).to.deep.equal([['clearRecords', normRecord]])
+  })
+
+  it('should handle API errors', async function() {
+    this.mockApi.onAny().reply(500)
+
+    try {
+      await jsonapiModule.actions.fetchAll(stubContext, 'widget')
+    } catch (error) {
+      expect(error.response.status).to.equal(500)
+    }
+  })
+})
@@ -0,0 +1,132 @@
+import { expect } from 'chai'
+
+import createStubContext from '../stubs/context'
+import createJsonapiModule from '../utils/createJsonapiModule'
+
+describe('gc', function() {
+  let jsonapiModule, stubContext
+
+  const widget = (id) => ({ foo: id, _jv: { type: 'widget', id: id } })
+  const jsonWidget = (id) => ({
+    type: 'widget',
+    id: id,
+    attributes: { foo: id },
+  })
+
+  const setup = (api, options) => {
+    jsonapiModule = createJsonapiModule(api, options)
+    stubContext = createStubContext(jsonapiModule, {
+      records: ['1', '2', '3'].map(widget),
+    })
+  }
+
+  it('should evict the least recently accessed records', async function() {
+    setup(this.api)
+    // Access widget 1, so widget 2 is the least recently accessed
+    jsonapiModule.getters.get(stubContext['state'])('widget/1')
+
+    const evicted = await jsonapiModule.actions.gc(stubContext, {
+      maxRecords: 2,
+    })
+
+    expect(evicted).to.deep.equal([{ type: 'widget', id: '2' }])
+    expect(stubContext['state']['widget']).to.have.all.keys('1', '3')
+    expect(stubContext.commit).to.have.been.calledWith('evictRecords', evicted)
+  })
+
+  it('should not evict records if within the limits', async function() {
+    setup(this.api)
+
+    const evicted = await jsonapiModule.actions.gc(stubContext)
+
+    expect(evicted).to.deep.equal([])
+    expect(stubContext.commit).to.not.have.been.calledWith('evictRecords')
+  })
+
+  it('should evict records automatically after actions when maxRecordsPerType is set', async function() {
+    setup(this.api, { types: { widget: { maxRecordsPerType: 2 } } })
+    // Not evicted when added (only at the end of actions)
+    expect(stubContext['state']['widget']).to.have.all.keys('1', '2', '3')
+    this.mockApi.onAny().reply(200, { data: jsonWidget('4') })
+
+    await jsonapiModule.actions.get(stubContext, 'widget/4')
+
+    expect(stubContext['state']['widget']).to.have.all.keys('3', '4')
+  })
+
+  it('should not evict records from the query being fetched', async function() {
+    setup(this.api, { maxRecordsPerType: 3 })
+    this.mockApi
+      .onAny()
+      .reply(200, { data: ['4', '5', '6', '7', '8'].map(jsonWidget) })
+
+    await jsonapiModule.actions.get(stubContext, 'widget')
+
+    expect(stubContext['state']['widget']).to.have.all.keys(
+      '4',
+      '5',
+      '6',
+      '7',
+      '8'
+    )
+    expect(
+      stubContext['state']['_jvQueries']['widget']['data']
+    ).to.have.lengthOf(5)
+  })
+
+  it('should delete queries which have not been used within queryLifetime', async function() {
+    setup(this.api, { queryLifetime: 1000 })
+    stubContext.commit('setQuery', {
+      query: 'widgets',
+      data: [{ type: 'widget', id: '1' }],
+      fetched: Date.now(),
+    })
+    await this.clock.tickAsync(2000)
+
+    await jsonapiModule.actions.gc(stubContext, { maxRecords: 1 })
+
+    expect(stubContext['state']['_jvQueries']).to.not.have.property('widgets')
+    expect(stubContext['state']['widget']).to.have.all.keys('3')
+  })
+
+  it('should keep queries which have been accessed within queryLifetime', async function() {
+    setup(this.api, { queryLifetime: 1000 })
+    stubContext.commit('setQuery', {
+      query: 'widgets',
+      data: [{ type: 'widget', id: '1' }],
+      fetched: Date.now(),
+    })
+    await this.clock.tickAsync(900)
+    jsonapiModule.getters.query(
+      stubContext['state'],
+      stubContext.getters
+    )('widgets')
+    await this.clock.tickAsync(900)
+
+    await jsonapiModule.actions.gc(stubContext, { maxRecords: 1 })
+
+    expect(stubContext['state']['_jvQueries']).to.have.property('widgets')
+    expect(stubContext['state']['widget']).to.have.all.keys('1')
+  })
+
+  it('should not evict records in queries', async function() {
+    setup(this.api)
+    stubContext.commit('setQuery', {
+      query: 'widgets',
+      data: [{ type: 'widget', id: '1' }],
+    })
+
+    await jsonapiModule.actions.gc(stubContext, { maxRecords: 1 })
+
+    expect(stubContext['state']['widget']).to.have.all.keys('1')
+  })
+
+  it('should not evict records with local changes', async function() {
+    setup(this.api)
+    stubContext['state']['widget']['1']['foo'] = 'changed'
+
+    await jsonapiModule.actions.gc(stubContext, { maxRecordsPerType: 1 })
+
+    expect(stubContext['state']['widget']).to.have.all.keys('1')
+  })
+})
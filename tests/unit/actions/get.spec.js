@@ -1,4 +1,5 @@
 import { expect } from 'chai'
+import sinon from 'sinon'
 
 import { _testing } from '../../../src/jsonapi-vuex'
 import createStubContext from '../stubs/context'
@@ -86,6 +87,49 @@ describe('get', function() {
     expect(this.mockApi.history.get[0].params).to.deep.equal(params)
   })
 
+  it('should accept a query description in the config', async function() {
+    this.mockApi.onAny().reply(200, { data: jsonWidget1 })
+
+    await jsonapiModule.actions.get(stubContext, [
+      normWidget1,
+      {
+        params: { token: 'abc' },
+        _jv: { include: ['widgets'], fields: { widget: ['foo', 'bar'] } },
+      },
+    ])
+    expect(this.mockApi.history.get[0].params).to.deep.equal({
+      token: 'abc',
+      include: 'widgets',
+      'fields[widget]': 'foo,bar',
+    })
+  })
+
+  it('should mark records fetched with sparse fieldsets', async function() {
+    const data = { data: jsonWidget1, included: [jsonWidget2, jsonMachine1] }
+    this.mockApi.onAny().reply(200, data)
+
+    await jsonapiModule.actions.get(stubContext, [
+      'widget/1?fields[machine]=foo',
+      { params: { 'fields[widget]': 'foo,bar' } },
+    ])
+
+    normWidget1['_jv']['fields'] = ['foo', 'bar']
+    normWidget2['_jv']['fields'] = ['foo', 'bar']
+    normMachine1['_jv']['fields'] = ['foo']
+    expect(stubContext.commit).to.have.been.calledWith(
+      'addRecords',
+      normWidget1
+    )
+    expect(stubContext.commit).to.have.been.calledWith(
+      'addRecords',
+      normWidget2
+    )
+    expect(stubContext.commit).to.have.been.calledWith(
+      'addRecords',
+      normMachine1
+    )
+  })
+
   it('should allow the endpoint url to be overridden in config', async function() {
     this.mockApi.onAny().reply(200, { data: jsonWidget1 })
     const url = '/fish/1'
@@ -211,10 +255,102 @@ describe('get', function() {
     expect(res).to.not.have.key('_jv')
   })
 
+  it('should record the links, meta and order of a collection', async function() {
+    const links = { next: '/widget?page[number]=2' }
+    const meta = { total: 3 }
+    this.mockApi.onAny().reply(200, { ...jsonRecord, links: links, meta: meta })
+
+    await jsonapiModule.actions.get(stubContext, 'widget')
+
+    expect(stubContext.commit).to.have.been.calledWith('setQuery', {
+      query: 'widget',
+      url: 'widget',
+      params: {},
+      accumulate: false,
+      data: [
+        { type: 'widget', id: '1' },
+        { type: 'widget', id: '2' },
+        { type: 'widget', id: '3' },
+      ],
+      links: links,
+      meta: meta,
+      jsonapi: {},
+      fetched: sinon.match.number,
+    })
+  })
+
+  it('should record a named query', async function() {
+    this.mockApi.onAny().reply(200, jsonRecord)
+
+    await jsonapiModule.actions.get(stubContext, [
+      'widget',
+      { params: { sort: '-foo' }, _jv: { query: 'sorted', accumulate: true } },
+    ])
+
+    expect(this.mockApi.history.get[0]).to.not.have.property('_jv')
+    expect(stubContext.commit).to.have.been.calledWithMatch('setQuery', {
+      query: 'sorted',
+      params: { sort: '-foo' },
+      accumulate: true,
+    })
+  })
+
+  it('should record unnamed queries under the request url', async function() {
+    this.mockApi.onAny().reply(200, jsonRecord)
+
+    await jsonapiModule.actions.get(stubContext, [
+      'widget',
+      { _jv: { filter: { color: 'red' }, sort: '-foo' } },
+    ])
+
+    expect(stubContext.commit).to.have.been.calledWithMatch('setQuery', {
+      query: 'widget?sort=-foo&filter[color]=red',
+      url: 'widget',
+    })
+  })
+
+  it('should not record queries for single records', async function() {
+    this.mockApi.onAny().reply(200, { data: jsonWidget1 })
+
+    await jsonapiModule.actions.get(stubContext, 'widget/1')
+
+    expect(stubContext.commit).to.not.have.been.calledWith('setQuery')
+  })
+
+  it('should record the document meta, links and jsonapi for single records', async function() {
+    const meta = { copyright: 'Example' }
+    const jsonapi = { version: '1.1' }
+    this.mockApi
+      .onAny()
+      .reply(200, { data: jsonWidget1, meta: meta, jsonapi: jsonapi })
+
+    await jsonapiModule.actions.get(stubContext, 'widget/1')
+
+    expect(stubContext.commit).to.have.been.calledWith('setDocument', {
+      query: 'widget/1',
+      meta: meta,
+      links: {},
+      jsonapi: jsonapi,
+      data: { type: 'widget', id: '1' },
+      fetched: Date.now(),
+    })
+  })
+
+  it('should not record documents for collections (as these are in the query)', async function() {
+    this.mockApi.onAny().reply(200, { ...jsonRecord, meta: { total: 3 } })
+
+    await jsonapiModule.actions.get(stubContext, 'widget')
+
+    expect(stubContext.commit).to.not.have.been.calledWith('setDocument')
+    expect(stubContext.commit).to.have.been.calledWithMatch('setQuery', {
+      meta: { total: 3 },
+    })
+  })
+
   it('should call clearRecords if clearOnUpdate is set', async function() {
     this.mockApi.onAny().reply(200, { data: jsonWidget1 })
 
-    let { jvConfig } = _testing
+    let { jvConfig } = jsonapiModule._testing
     jvConfig['clearOnUpdate'] = true
 
     await jsonapiModule.actions.get(stubContext, normWidget1)
@@ -225,6 +361,312 @@ describe('get', function() {
     )
   })
 
+  it('should record the time that records were fetched', async function() {
+    this.mockApi
+      .onAny()
+      .reply(200, { data: jsonWidget1, included: [jsonWidget2] })
+
+    await jsonapiModule.actions.get(stubContext, normWidget1)
+
+    expect(stubContext.commit).to.have.been.calledWith('setFetched', {
+      records: [jsonWidget1, jsonWidget2],
+      time: sinon.match.number,
+    })
+  })
+
+  it('should share identical in-flight requests', async function() {
+    this.mockApi.onAny().reply(200, { data: jsonWidget1 })
+
+    const action1 = jsonapiModule.actions.get(stubContext, 'widget/1')
+    const action2 = jsonapiModule.actions.get(stubContext, 'widget/1')
+
+    expect(action2).to.equal(action1)
+    expect(action2['_jvId']).to.equal(action1['_jvId'])
+    expect(await action2).to.deep.equal(normWidget1)
+    expect(this.mockApi.history.get).to.have.lengthOf(1)
+    expect(
+      stubContext.commit.args.filter(([name]) => name === 'addRecords')
+    ).to.have.lengthOf(1)
+  })
+
+  it('should not share requests with different params or headers', async function() {
+    this.mockApi.onAny().reply(200, { data: jsonWidget1 })
+
+    await Promise.all([
+      jsonapiModule.actions.get(stubContext, 'widget/1'),
+      jsonapiModule.actions.get(stubContext, [
+        'widget/1',
+        { params: { include: 'widgets' } },
+      ]),
+      jsonapiModule.actions.get(stubContext, [
+        'widget/1',
+        { headers: { 'X-Foo': 'bar' } },
+      ]),
+    ])
+
+    expect(this.mockApi.history.get).to.have.lengthOf(3)
+  })
+
+  it('should not share requests which have a signal', async function() {
+    this.mockApi.onAny().reply(200, { data: jsonWidget1 })
+    const controller = _testing.linkedController()
+
+    const action1 = jsonapiModule.actions.get(stubContext, 'widget/1')
+    const action2 = jsonapiModule.actions.get(stubContext, [
+      'widget/1',
+      { signal: controller.signal },
+    ])
+    controller.abort()
+
+    await expect(action2).to.be.rejectedWith(_testing.CancelError)
+    expect(await action1).to.deep.equal(normWidget1)
+  })
+
+  it('should make a new request once the previous one has completed', async function() {
+    this.mockApi.onAny().reply(200, { data: jsonWidget1 })
+
+    await jsonapiModule.actions.get(stubContext, 'widget/1')
+    await jsonapiModule.actions.get(stubContext, 'widget/1')
+
+    expect(this.mockApi.history.get).to.have.lengthOf(2)
+  })
+
+  it('should make a new request once the previous one has failed', async function() {
+    this.mockApi.onAny().replyOnce(500)
+    this.mockApi.onAny().replyOnce(200, { data: jsonWidget1 })
+
+    try {
+      await jsonapiModule.actions.get(stubContext, 'widget/1')
+    } catch (error) {
+      expect(error.response.status).to.equal(500)
+    }
+    const res = await jsonapiModule.actions.get(stubContext, 'widget/1')
+
+    expect(res).to.deep.equal(normWidget1)
+  })
+
+  describe('retries', function() {
+    it('should retry failed requests', async function() {
+      this.mockApi
+        .onAny()
+        .replyOnce(503)
+        .onAny()
+        .replyOnce(200, { data: jsonWidget1 })
+
+      const action = jsonapiModule.actions.get(stubContext, [
+        'widget/1',
+        { _jv: { retries: 2 } },
+      ])
+      await this.clock.tickAsync(1000)
+
+      expect(await action).to.deep.equal(normWidget1)
+      expect(this.mockApi.history.get).to.have.lengthOf(2)
+      expect(stubContext.commit).to.have.been.calledWith('setStatus', {
+        id: action['_jvId'],
+        status: 'RETRYING',
+        attempts: 1,
+      })
+    })
+
+    it('should fail once the retries have been used', async function() {
+      this.mockApi.onAny().networkError()
+
+      const action = jsonapiModule.actions.get(stubContext, [
+        'widget/1',
+        { _jv: { retries: 2 } },
+      ])
+      const rejected = expect(action).to.be.rejectedWith('Network Error')
+      await this.clock.tickAsync(2000)
+
+      await rejected
+      expect(this.mockApi.history.get).to.have.lengthOf(3)
+      expect(stubContext.commit).to.have.been.calledWith('setStatus', {
+        id: action['_jvId'],
+        status: 'ERROR',
+      })
+    })
+
+    it('should not retry other statuses', async function() {
+      this.mockApi.onAny().reply(404)
+
+      const action = jsonapiModule.actions.get(stubContext, [
+        'widget/1',
+        { _jv: { retries: 2 } },
+      ])
+
+      await expect(action).to.be.rejected
+      expect(this.mockApi.history.get).to.have.lengthOf(1)
+    })
+
+    it('should wait for the Retry-After time', async function() {
+      this.mockApi
+        .onAny()
+        .replyOnce(429, {}, { 'retry-after': '10' })
+        .onAny()
+        .replyOnce(200, { data: jsonWidget1 })
+
+      const action = jsonapiModule.actions.get(stubContext, [
+        'widget/1',
+        { _jv: { retries: 1 } },
+      ])
+      await this.clock.tickAsync(9000)
+      expect(this.mockApi.history.get).to.have.lengthOf(1)
+      await this.clock.tickAsync(1000)
+
+      expect(await action).to.deep.equal(normWidget1)
+      expect(this.mockApi.history.get).to.have.lengthOf(2)
+    })
+
+    it('should use the module config', async function() {
+      const jm = createJsonapiModule(this.api, { retries: 1 })
+      this.mockApi
+        .onAny()
+        .replyOnce(500)
+        .onAny()
+        .replyOnce(200, { data: jsonWidget1 })
+
+      const action = jm.actions.get(stubContext, 'widget/1')
+      await this.clock.tickAsync(1000)
+
+      expect(await action).to.deep.equal(normWidget1)
+    })
+  })
+
+  describe('cachePolicy', function() {
+    beforeEach(function() {
+      stubContext['state'] = {
+        _jvFetched: { widget: { 1: Date.now() - 5000 } },
+      }
+      stubContext.getters.get.withArgs('widget/1').returns(normWidget1)
+    })
+
+    it('should return fresh records from the store (cache-first)', async function() {
+      const res = await jsonapiModule.actions.get(stubContext, [
+        'widget/1',
+        { _jv: { cachePolicy: 'cache-first', maxAge: 10000 } },
+      ])
+
+      expect(this.mockApi.history.get).to.have.lengthOf(0)
+      expect(res).to.deep.equal(normWidget1)
+      expect(stubContext.commit).to.have.been.calledWith('setStatus', {
+        id: sinon.match.number,
+        status: 'SUCCESS',
+      })
+    })
+
+    it('should request stale records (cache-first)', async function() {
+      this.mockApi.onAny().reply(200, { data: jsonWidget2 })
+
+      const res = await jsonapiModule.actions.get(stubContext, [
+        'widget/1',
+        { _jv: { cachePolicy: 'cache-first', maxAge: 1000 } },
+      ])
+
+      expect(this.mockApi.history.get).to.have.lengthOf(1)
+      expect(res).to.deep.equal(normWidget2)
+    })
+
+    it('should use the module config', async function() {
+      const jm = createJsonapiModule(this.api, {
+        cachePolicy: 'cache-first',
+        maxAge: 10000,
+      })
+
+      const res = await jm.actions.get(stubContext, 'widget/1')
+
+      expect(this.mockApi.history.get).to.have.lengthOf(0)
+      expect(res).to.deep.equal(normWidget1)
+    })
+
+    it('should return a cached collection from its query (cache-first)', async function() {
+      stubContext['state']['_jvQueries'] = {
+        'widget?sort=foo': {
+          data: [{ type: 'widget', id: '1' }],
+          fetched: Date.now() - 500,
+        },
+      }
+      stubContext.getters['query'] = sinon.stub().returns([normWidget1])
+
+      const res = await jsonapiModule.actions.get(stubContext, [
+        'widget',
+        {
+          params: { sort: 'foo' },
+          _jv: { cachePolicy: 'cache-first', maxAge: 1000 },
+        },
+      ])
+
+      expect(this.mockApi.history.get).to.have.lengthOf(0)
+      expect(stubContext.getters.query).to.have.been.calledWith(
+        'widget?sort=foo'
+      )
+      expect(res).to.deep.equal({ 1: normWidget1 })
+    })
+
+    it('should return stale records and refresh them (stale-while-revalidate)', async function() {
+      this.mockApi.onAny().reply(200, { data: jsonWidget1 })
+      const refreshed = new Promise((resolve) => {
+        stubContext.commit
+          .withArgs('setStatus', sinon.match({ status: 'SUCCESS' }))
+          .callsFake(resolve)
+      })
+
+      const action = jsonapiModule.actions.get(stubContext, [
+        'widget/1',
+        { _jv: { cachePolicy: 'stale-while-revalidate', maxAge: 1000 } },
+      ])
+      const res = await action
+
+      expect(res).to.deep.equal(normWidget1)
+      expect(stubContext.commit).to.not.have.been.calledWith('setStatus', {
+        id: action['_jvId'],
+        status: 'SUCCESS',
+      })
+      await refreshed
+      expect(this.mockApi.history.get).to.have.lengthOf(1)
+      expect(stubContext.commit).to.have.been.calledWith('setStatus', {
+        id: action['_jvId'],
+        status: 'SUCCESS',
+      })
+    })
+
+    it('should not refresh fresh records (stale-while-revalidate)', async function() {
+      const action = jsonapiModule.actions.get(stubContext, [
+        'widget/1',
+        { _jv: { cachePolicy: 'stale-while-revalidate', maxAge: 10000 } },
+      ])
+      await action
+
+      expect(this.mockApi.history.get).to.have.lengthOf(0)
+      expect(stubContext.commit).to.have.been.calledWith('setStatus', {
+        id: action['_jvId'],
+        status: 'SUCCESS',
+      })
+    })
+
+    it('should return fresh records if the request fails (network-first)', async function() {
+      this.mockApi.onAny().reply(500)
+
+      const res = await jsonapiModule.actions.get(stubContext, [
+        'widget/1',
+        { _jv: { maxAge: 10000 } },
+      ])
+
+      expect(this.mockApi.history.get).to.have.lengthOf(1)
+      expect(res).to.deep.equal(normWidget1)
+    })
+
+    it('should not look up records in the store by default (network-first, maxAge 0)', async function() {
+      this.mockApi.onAny().reply(200, { data: jsonWidget1 })
+      stubContext.getters['query'] = sinon.stub().returns([normWidget1])
+
+      await jsonapiModule.actions.get(stubContext, 'widget/1')
+      await jsonapiModule.actions.get(stubContext, 'widget')
+
+      expect(stubContext.getters.get).to.not.have.been.called
+      expect(stubContext.getters.query).to.not.have.been.called
+    })
+  })
+
   it('should handle API errors', async function() {
     this.mockApi.onAny().reply(500)
 
@@ -234,4 +676,17 @@ describe('get', function() {
       expect(error.response.status).to.equal(500)
     }
   })
+  it('should reject with a JsonApiError', async function() {
+    this.mockApi.onAny().reply(404, {
+      errors: [{ status: '404', title: 'Not Found' }],
+    })
+
+    const error = await jsonapiModule.actions
+      .get(stubContext, normWidget1)
+      .catch((e) => e)
+
+    expect(error).to.be.instanceof(_testing.JsonApiError)
+    expect(error.status).to.equal(404)
+    expect(error.errors[0]).to.include({ status: '404', title: 'Not Found' })
+  })
 })
@@ -0,0 +1,84 @@
+import { expect } from 'chai'
+import sinon from 'sinon'
+
+import createStubContext from '../stubs/context'
+import createJsonapiModule from '../utils/createJsonapiModule'
+import { jsonFormat as createJsonWidget1 } from '../fixtures/widget1'
+import { jsonFormat as createJsonWidget3 } from '../fixtures/widget3'
+
+describe('getNext', function() {
+  let jsonWidget1, jsonWidget3, jsonapiModule, stubContext
+
+  beforeEach(function() {
+    jsonWidget1 = createJsonWidget1()
+    jsonWidget3 = createJsonWidget3()
+
+    jsonapiModule = createJsonapiModule(this.api)
+    stubContext = createStubContext(jsonapiModule)
+    stubContext['state'] = {
+      _jvQueries: {
+        widget: {
+          url: 'widget',
+          params: {},
+          accumulate: true,
+          data: [
+            { type: 'widget', id: '2' },
+            { type: 'widget', id: '3' },
+          ],
+          links: {
+            prev: '/widget?page[number]=1',
+            next: '/widget?page[number]=3',
+          },
+        },
+      },
+    }
+  })
+
+  it('should GET the next link', async function() {
+    this.mockApi.onAny().reply(200, { data: [jsonWidget1] })
+
+    await jsonapiModule.actions.getNext(stubContext, 'widget')
+
+    expect(this.mockApi.history.get[0].url).to.equal('/widget?page[number]=3')
+  })
+
+  it('should add records to the end of an accumulating query', async function() {
+    const links = { prev: '/widget?page[number]=2' }
+    this.mockApi
+      .onAny()
+      .reply(200, { data: [jsonWidget3, jsonWidget1], links: links })
+
+    await jsonapiModule.actions.getNext(stubContext, 'widget')
+
+    expect(stubContext.commit).to.have.been.calledWith('setQuery', {
+      query: 'widget',
+      url: 'widget',
+      params: {},
+      accumulate: true,
+      data: [
+        { type: 'widget', id: '2' },
+        { type: 'widget', id: '3' },
+        { type: 'widget', id: '1' },
+      ],
+      links: links,
+      meta: {},
+      jsonapi: {},
+      fetched: sinon.match.number,
+    })
+  })
+
+  it('should add records to the start of an accumulating query (getPrev)', async function() {
+    this.mockApi.onAny().reply(200, { data: [jsonWidget1] })
+
+    await jsonapiModule.actions.getPrev(stubContext, 'widget')
+
+    expect(this.mockApi.history.get[0].url).to.equal('/widget?page[number]=1')
+    expect(stubContext.commit).to.have.been.calledWithMatch('setQuery', {
+      data: [
+        { type: 'widget', id: '1' },
+        { type: 'widget', id: '2' },
+        { type: 'widget', id: '3' },
+      ],
+    })
+  })
+})
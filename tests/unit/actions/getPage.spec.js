@@ -0,0 +1,107 @@
+import { expect } from 'chai'
+import sinon from 'sinon'
+
+import { RecordError } from '../../../src/jsonapi-vuex'
+import createStubContext from '../stubs/context'
+import createJsonapiModule from '../utils/createJsonapiModule'
+import { jsonFormat as createJsonWidget1 } from '../fixtures/widget1'
+
+describe('getPage', function() {
+  let jsonWidget1, jsonapiModule, stubContext
+
+  beforeEach(function() {
+    jsonWidget1 = createJsonWidget1()
+
+    jsonapiModule = createJsonapiModule(this.api)
+    stubContext = createStubContext(jsonapiModule)
+    stubContext['state'] = {
+      _jvQueries: {
+        widget: {
+          url: 'widget',
+          params: { sort: 'foo' },
+          accumulate: false,
+          data: [{ type: 'widget', id: '2' }],
+          links: {
+            first: '/widget?page[number]=1',
+            last: { href: '/widget?page[number]=3' },
+          },
+        },
+      },
+    }
+  })
+
+  it('should GET the url of a named link', async function() {
+    this.mockApi.onAny().reply(200, { data: [jsonWidget1] })
+
+    await jsonapiModule.actions.getPage(stubContext, {
+      query: 'widget',
+      page: 'first',
+    })
+
+    expect(this.mockApi.history.get[0].url).to.equal('/widget?page[number]=1')
+    expect(this.mockApi.history.get[0].params).to.be.undefined
+  })
+
+  it('should GET the href of a named link object', async function() {
+    this.mockApi.onAny().reply(200, { data: [jsonWidget1] })
+
+    await jsonapiModule.actions.getPage(stubContext, {
+      query: 'widget',
+      page: 'last',
+    })
+
+    expect(this.mockApi.history.get[0].url).to.equal('/widget?page[number]=3')
+  })
+
+  it('should add page params to the original request', async function() {
+    this.mockApi.onAny().reply(200, { data: [jsonWidget1] })
+
+    await jsonapiModule.actions.getPage(stubContext, {
+      query: 'widget',
+      page: { number: 2, size: 10 },
+    })
+
+    expect(this.mockApi.history.get[0].url).to.equal('widget')
+    expect(this.mockApi.history.get[0].params).to.deep.equal({
+      sort: 'foo',
+      'page[number]': 2,
+      'page[size]': 10,
+    })
+  })
+
+  it('should keep the original request for the query', async function() {
+    this.mockApi.onAny().reply(200, { data: [jsonWidget1] })
+
+    await jsonapiModule.actions.getPage(stubContext, {
+      query: 'widget',
+      page: 'first',
+    })
+
+    expect(stubContext.commit).to.have.been.calledWith('setQuery', {
+      query: 'widget',
+      url: 'widget',
+      params: { sort: 'foo' },
+      accumulate: false,
+      data: [{ type: 'widget', id: '1' }],
+      links: {},
+      meta: {},
+      jsonapi: {},
+      fetched: sinon.match.number,
+    })
+  })
+
+  it('should reject with an error for an unknown query', async function() {
+    await expect(
+      jsonapiModule.actions.getPage(stubContext, { query: 'nosuchquery' })
+    ).to.be.rejectedWith(RecordError)
+  })
+
+  it('should reject with an error for a missing link', async function() {
+    await expect(
+      jsonapiModule.actions.getPage(stubContext, {
+        query: 'widget',
+        page: 'next',
+      })
+    ).to.be.rejectedWith(RecordError)
+  })
+})
@@ -1,5 +1,7 @@
 import { expect } from 'chai'
+import sinon from 'sinon'
 
+import { _testing } from '../../../src/jsonapi-vuex'
 import createStubContext from '../stubs/context'
 import createJsonapiModule from '../utils/createJsonapiModule'
 import {
@@ -53,7 +55,8 @@ describe('getRelated', function() {
       await jsonapiModule.actions.getRelated(stubContext, { _jv: {} })
       throw 'Should have thrown an error (no id)'
     } catch (error) {
-      expect(error).to.equal('No type/id specified')
+      expect(error).to.be.instanceof(_testing.RecordError)
+      expect(error.message).to.equal('getRelated: No type/id specified')
     }
   })
 
@@ -99,7 +102,8 @@ describe('getRelated', function() {
       await jsonapiModule.actions.getRelated(stubContext, normWidget1)
       throw 'should have thrown an error (invalidRelName)'
     } catch (error) {
-      expect(error).to.equal('No such relationship: invalidRelName')
+      expect(error).to.be.instanceof(_testing.JsonApiError)
+      expect(error.status).to.equal(404)
     }
   })
 
@@ -115,6 +119,100 @@ describe('getRelated', function() {
     expect(res).to.deep.equal({ widgets: storeWidget2 })
   })
 
+  it('should share identical in-flight requests', async function() {
+    this.mockApi
+      .onGet()
+      .replyOnce(200, { data: jsonWidget1 })
+      .onGet()
+      .replyOnce(200, { data: jsonWidget2 })
+
+    const action1 = jsonapiModule.actions.getRelated(stubContext, 'widget/1')
+    const action2 = jsonapiModule.actions.getRelated(stubContext, 'widget/1')
+
+    expect(action2).to.equal(action1)
+    expect(await action2).to.deep.equal({ widgets: storeWidget2 })
+    expect(this.mockApi.history.get).to.have.lengthOf(2)
+  })
+
+  it('should not share requests which have a signal', async function() {
+    this.mockApi.onGet().reply(200, { data: jsonWidget1 })
+    const controller = _testing.linkedController()
+
+    const action1 = jsonapiModule.actions.getRelated(stubContext, 'widget/1')
+    const action2 = jsonapiModule.actions.getRelated(stubContext, [
+      'widget/1',
+      { signal: controller.signal },
+    ])
+    controller.abort()
+
+    expect(action2).to.not.equal(action1)
+    await expect(action2).to.be.rejectedWith(_testing.CancelError)
+    await expect(action1).to.be.fulfilled
+  })
+
+  it('should share related requests with identical get requests', async function() {
+    this.mockApi.onGet().reply(200, { data: jsonWidget2 })
+    normWidget1['_jv']['relationships'] = {
+      widgets: { data: { type: 'widget', id: '2' } },
+    }
+
+    const related = jsonapiModule.actions.getRelated(stubContext, normWidget1)
+    const action = jsonapiModule.actions.get(stubContext, 'widget/2')
+
+    expect(await related).to.deep.equal({ widgets: storeWidget2 })
+    await expect(action).to.be.fulfilled
+    expect(this.mockApi.history.get).to.have.lengthOf(1)
+  })
+
+  it('should only abort a shared related request once all of its callers have aborted', async function() {
+    let respond
+    this.mockApi.onGet().reply(
+      () =>
+        new Promise((resolve) => {
+          respond = resolve
+        })
+    )
+    normWidget1['_jv']['relationships'] = {
+      widgets: { data: { type: 'widget', id: '2' } },
+    }
+
+    const related = jsonapiModule.actions.getRelated(stubContext, normWidget1)
+    const action = jsonapiModule.actions.get(stubContext, 'widget/2')
+    related.cancel()
+
+    await expect(related).to.be.rejectedWith(_testing.CancelError)
+    respond([200, { data: jsonWidget2 }])
+    await expect(action).to.be.fulfilled
+    expect(this.mockApi.history.get).to.have.lengthOf(1)
+  })
+
+  it('should cancel all of the related requests together', async function() {
+    this.mockApi.onGet().reply(() => new Promise(() => {}))
+    const rel = {
+      widgets: {
+        data: [
+          { type: 'widget', id: '2' },
+          { type: 'widget', id: '3' },
+        ],
+      },
+    }
+    normWidget1['_jv']['relationships'] = rel
+
+    const action = jsonapiModule.actions.getRelated(stubContext, normWidget1)
+    action.cancel()
+
+    await expect(action).to.be.rejectedWith(_testing.CancelError)
+    const cancelled = stubContext.commit.args.filter(
+      ([name, { status }]) => name === 'setStatus' && status === 'CANCELLED'
+    )
+    // The getRelated action and both related get actions
+    expect(cancelled).to.have.lengthOf(3)
+    expect(stubContext.commit).to.not.have.been.calledWith(
+      'setStatus',
+      sinon.match({ status: 'ERROR' })
+    )
+  })
+
   it("should get a record's single related item (using 'data') - object", async function() {
     this.mockApi
       .onGet()
@@ -1,6 +1,6 @@
 import { expect } from 'chai'
+import sinon from 'sinon'
 
-import { _testing } from '../../../src/jsonapi-vuex'
 import createStubContext from '../stubs/context'
 import createJsonapiModule from '../utils/createJsonapiModule'
 import {
@@ -63,21 +63,63 @@ describe('patch', function() {
     expect(this.mockApi.history.patch[0].url).to.equal(url)
   })
 
-  it('should delete then add record(s) in the store (from server response)', async function() {
+  it('should replace record(s) in the store (from server response)', async function() {
     this.mockApi.onAny().reply(200, { data: jsonWidget1Patch })
 
     await jsonapiModule.actions.patch(stubContext, normWidget1Patch)
 
+    expect(stubContext.commit).to.not.have.been.calledWith('deleteRecord')
     expect(stubContext.commit).to.have.been.calledWith(
-      'deleteRecord',
-      normWidget1Patch
-    )
-    expect(stubContext.commit).to.have.been.calledWith(
-      'addRecords',
+      'replaceRecords',
       normWidget1Update
     )
   })
 
+  it('should not cascade or remove references when storing the server response', async function() {
+    jsonapiModule = createJsonapiModule(this.api, {
+      types: { post: { cascade: ['comments'], removeDangling: true } },
+    })
+    const post = () => ({
+      title: 'old',
+      _jv: {
+        type: 'post',
+        id: '1',
+        relationships: { comments: { data: [{ type: 'comment', id: '9' }] } },
+      },
+    })
+    const comment = {
+      _jv: {
+        type: 'comment',
+        id: '9',
+        relationships: { post: { data: { type: 'post', id: '1' } } },
+      },
+    }
+    stubContext = createStubContext(jsonapiModule, {
+      records: [post(), comment],
+    })
+    this.mockApi.onAny().reply(200, {
+      data: {
+        type: 'post',
+        id: '1',
+        attributes: { title: 'new' },
+        relationships: { comments: { data: [{ type: 'comment', id: '9' }] } },
+      },
+    })
+
+    await jsonapiModule.actions.patch(stubContext, {
+      title: 'new',
+      _jv: { type: 'post', id: '1' },
+    })
+
+    expect(stubContext['state']['post']['1']['title']).to.equal('new')
+    expect(stubContext['state']['comment']).to.have.property('9')
+    expect(
+      stubContext['state']['comment']['9']['_jv']['relationships']['post'][
+        'data'
+      ]
+    ).to.deep.equal({ type: 'post', id: '1' })
+  })
+
   it('should update record(s) in the store (no server response)', async function() {
     this.mockApi.onAny().reply(204)
 
@@ -130,6 +172,151 @@ describe('patch', function() {
     }
   })
 
+  describe('validation errors', function() {
+    const validationError = {
+      errors: [
+        {
+          detail: 'Name must not be blank',
+          source: { pointer: '/data/attributes/name' },
+        },
+      ],
+    }
+
+    it('should store 422 errors against the record', async function() {
+      this.mockApi.onAny().reply(422, validationError)
+
+      await expect(jsonapiModule.actions.patch(stubContext, normWidget1Patch))
+        .to.be.rejected
+
+      expect(stubContext.commit).to.have.been.calledWith('setErrors', {
+        record: { _jv: { type: 'widget', id: '1' } },
+        errors: [sinon.match({ field: 'name' })],
+      })
+    })
+
+    it('should not store other errors', async function() {
+      this.mockApi.onAny().reply(500, validationError)
+
+      await expect(jsonapiModule.actions.patch(stubContext, normWidget1Patch))
+        .to.be.rejected
+
+      expect(stubContext.commit).to.not.have.been.calledWith('setErrors')
+    })
+
+    it('should clear errors when the record is saved', async function() {
+      this.mockApi.onAny().reply(204)
+
+      await jsonapiModule.actions.patch(stubContext, normWidget1Patch)
+
+      expect(stubContext.commit).to.have.been.calledWith('deleteErrors', {
+        _jv: { type: 'widget', id: '1' },
+      })
+    })
+  })
+
+  describe('optimistic', function() {
+    beforeEach(function() {
+      stubContext = createStubContext(jsonapiModule, { records: [normWidget1] })
+    })
+
+    it('should update the store before the request completes', async function() {
+      this.mockApi.onAny().reply(204)
+
+      const action = jsonapiModule.actions.patch(stubContext, [
+        { foo: 'update', _jv: { type: 'widget', id: '1' } },
+        { _jv: { optimistic: true } },
+      ])
+
+      expect(stubContext['state']['widget']['1']['foo']).to.equal('update')
+      await action
+      expect(stubContext['state']['widget']['1']['foo']).to.equal('update')
+    })
+
+    it('should restore the record if the request fails', async function() {
+      this.mockApi.onAny().reply(500)
+
+      const action = jsonapiModule.actions.patch(stubContext, [
+        { foo: 'update', _jv: { type: 'widget', id: '1' } },
+        { _jv: { optimistic: true } },
+      ])
+      expect(stubContext['state']['widget']['1']['foo']).to.equal('update')
+
+      await expect(action).to.be.rejected
+      expect(stubContext['state']['widget']['1']).to.deep.equal(
+        createNormWidget1()
+      )
+    })
+
+    it('should not update the pristine copy until the server responds', async function() {
+      this.mockApi.onAny().reply(500)
+
+      const action = jsonapiModule.actions.patch(stubContext, [
+        { foo: 'update', _jv: { type: 'widget', id: '1' } },
+        { _jv: { optimistic: true } },
+      ])
+      expect(stubContext['state']['_jvPristine']['widget']['1']).to.deep.equal(
+        createNormWidget1()
+      )
+      expect(jsonapiModule.getters.isDirty(stubContext['state'])('widget/1')).to
+        .be.true
+
+      await expect(action).to.be.rejected
+      expect(stubContext['state']['_jvPristine']['widget']['1']).to.deep.equal(
+        createNormWidget1()
+      )
+      expect(jsonapiModule.getters.isDirty(stubContext['state'])('widget/1')).to
+        .be.false
+    })
+
+    it('should remove the record if it was not in the store and the request fails', async function() {
+      this.mockApi.onAny().reply(500)
+
+      const action = jsonapiModule.actions.patch(stubContext, [
+        { foo: 'update', _jv: { type: 'widget', id: '99' } },
+        { _jv: { optimistic: true } },
+      ])
+      expect(stubContext['state']['widget']).to.have.property('99')
+
+      await expect(action).to.be.rejected
+      expect(stubContext['state']['widget']).to.not.have.property('99')
+    })
+
+    it('should replace the optimistic update with the server response', async function() {
+      jsonWidget1Patch['attributes']['bar'] = 'server'
+      this.mockApi.onAny().reply(200, { data: jsonWidget1Patch })
+
+      await jsonapiModule.actions.patch(stubContext, [
+        { foo: 'update', _jv: { type: 'widget', id: '1' } },
+        { _jv: { optimistic: true } },
+      ])
+
+      expect(stubContext['state']['widget']['1']).to.include({
+        foo: 'update',
+        bar: 'server',
+      })
+    })
+
+    it('should not restore the record if it has been updated since', async function() {
+      this.mockApi.onAny().reply(500)
+
+      const action = jsonapiModule.actions.patch(stubContext, [
+        { foo: 'update', _jv: { type: 'widget', id: '1' } },
+        { _jv: { optimistic: true } },
+      ])
+      // e.g. a get response arriving while the patch is in progress
+      stubContext.commit('mergeRecords', {
+        bar: 'newer',
+        _jv: { type: 'widget', id: '1' },
+      })
+
+      await expect(action).to.be.rejected
+      expect(stubContext['state']['widget']['1']).to.include({
+        foo: 'update',
+        bar: 'newer',
+      })
+    })
+  })
+
   it('should not include rels/links/meta in requests (auto cleanPatch)', async function() {
     this.mockApi.onAny().reply(204)
     const widget = createNormWidget1WithRels()
@@ -157,7 +344,7 @@ describe('patch', function() {
   })
 
   it('should not include rels/links/meta in requests (manual cleanPatch)', async function() {
-    const { cleanPatch } = _testing
+    const { cleanPatch } = jsonapiModule._testing
     this.mockApi.onAny().reply(204)
     const widget = createNormWidget1WithRels()
     jsonapiModule = createJsonapiModule(this.api, {followRelationshipsData: true}) //prettier-ignore
@@ -169,7 +356,7 @@ describe('patch', function() {
   })
 
   it('should include rels/links/meta in requests', async function() {
-    const { cleanPatch } = _testing
+    const { cleanPatch } = jsonapiModule._testing
     this.mockApi.onAny().reply(204)
     const widget = createNormWidget1WithRels()
     jsonapiModule = createJsonapiModule(this.api, {followRelationshipsData: true}) //prettier-ignore
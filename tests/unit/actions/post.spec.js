@@ -1,4 +1,7 @@
 import { expect } from 'chai'
+import sinon from 'sinon'
+
+import { _testing } from '../../../src/jsonapi-vuex'
 
 import createStubContext from '../stubs/context'
 import createJsonapiModule from '../utils/createJsonapiModule'
@@ -29,6 +32,34 @@ describe('post', function() {
     )
   })
 
+  it('should POST to a parent-scoped collection endpoint', async function() {
+    this.mockApi.onAny().reply(201, { data: jsonWidget1 })
+    jsonapiModule = createJsonapiModule(this.api, {
+      types: { widget: { endpoint: 'orders/:order/items' } },
+    })
+    normWidget1['_jv']['relationships'] = {
+      order: { data: { type: 'order', id: '5' } },
+    }
+
+    await jsonapiModule.actions.post(stubContext, normWidget1)
+
+    expect(this.mockApi.history.post[0].url).to.equal('orders/5/items')
+  })
+
+  it('should use endpoint params from the config', async function() {
+    this.mockApi.onAny().reply(201, { data: jsonWidget1 })
+    jsonapiModule = createJsonapiModule(this.api, {
+      types: { widget: { endpoint: 'orders/:order/items' } },
+    })
+
+    await jsonapiModule.actions.post(stubContext, [
+      normWidget1,
+      { _jv: { routeParams: { order: '6' } } },
+    ])
+
+    expect(this.mockApi.history.post[0].url).to.equal('orders/6/items')
+  })
+
   it('should accept axios config as the 2nd arg in a list', async function() {
     this.mockApi.onAny().reply(201, { data: jsonWidget1 })
     const params = { filter: 'color' }
@@ -41,6 +72,19 @@ describe('post', function() {
     expect(this.mockApi.history.post[0].params).to.deep.equal(params)
   })
 
+  it('should accept a query description in the config', async function() {
+    this.mockApi.onAny().reply(201, { data: jsonWidget1 })
+
+    await jsonapiModule.actions.post(stubContext, [
+      normWidget1,
+      { _jv: { include: ['widgets'] } },
+    ])
+
+    expect(this.mockApi.history.post[0].params).to.deep.equal({
+      include: 'widgets',
+    })
+  })
+
   it('should allow the endpoint url to be overridden in config', async function() {
     this.mockApi.onAny().reply(200, { data: jsonWidget1 })
     const url = '/fish/1'
@@ -102,6 +146,143 @@ describe('post', function() {
     expect(res['_jv']['json']).to.deep.equal(meta)
   })
 
+  describe('local ids', function() {
+    let newWidget
+
+    beforeEach(function() {
+      stubContext = createStubContext(jsonapiModule, { records: [normWidget1] })
+      newWidget = { name: 'new', _jv: { type: 'widget', lid: 'abc' } }
+    })
+
+    it('should POST the local id', async function() {
+      this.mockApi.onAny().reply(204)
+
+      await jsonapiModule.actions.post(stubContext, newWidget)
+
+      expect(JSON.parse(this.mockApi.history.post[0].data)).to.deep.equal({
+        data: { type: 'widget', lid: 'abc', attributes: { name: 'new' } },
+      })
+    })
+
+    it('should add the record to the store under its local id before the request completes', async function() {
+      this.mockApi.onAny().reply(201, {
+        data: { type: 'widget', id: '5', attributes: { name: 'new' } },
+      })
+
+      const action = jsonapiModule.actions.post(stubContext, newWidget)
+      expect(stubContext['state']['widget']['abc']).to.deep.equal(newWidget)
+
+      await action
+      expect(stubContext['state']['widget']).to.not.have.property('abc')
+      expect(stubContext['state']['widget']['5']['name']).to.equal('new')
+    })
+
+    it('should rewrite references to the local id', async function() {
+      this.mockApi.onAny().reply(201, {
+        data: { type: 'widget', id: '5', attributes: { name: 'new' } },
+      })
+      stubContext['state']['widget']['1']['_jv']['relationships'] = {
+        widgets: { data: [{ type: 'widget', lid: 'abc' }] },
+      }
+
+      await jsonapiModule.actions.post(stubContext, newWidget)
+
+      expect(
+        stubContext['state']['widget']['1']['_jv']['relationships']['widgets']
+      ).to.deep.equal({ data: [{ type: 'widget', id: '5' }] })
+    })
+  })
+
+  it('should store 422 errors against the local id', async function() {
+    this.mockApi.onAny().reply(422, {
+      errors: [{ source: { pointer: '/data/attributes/name' } }],
+    })
+
+    await expect(
+      jsonapiModule.actions.post(stubContext, {
+        _jv: { type: 'widget', lid: 'abc' },
+      })
+    ).to.be.rejected
+
+    expect(stubContext.commit).to.have.been.calledWith('setErrors', {
+      record: { _jv: { type: 'widget', id: 'abc' } },
+      errors: [sinon.match({ field: 'name' })],
+    })
+  })
+
+  describe('clientIds', function() {
+    it('should POST a generated UUID as the id', async function() {
+      this.mockApi.onAny().reply(204)
+      delete normWidget1['_jv']['id']
+
+      await jsonapiModule.actions.post(stubContext, [
+        normWidget1,
+        { _jv: { clientIds: true } },
+      ])
+
+      const posted = JSON.parse(this.mockApi.history.post[0].data)
+      expect(posted['data']['id']).to.match(/^[0-9a-f-]{36}$/)
+      expect(stubContext.commit).to.have.been.calledWith(
+        'addRecords',
+        sinon.match({ _jv: { id: posted['data']['id'] } })
+      )
+      // The original object is not modified
+      expect(normWidget1['_jv']).to.not.have.property('id')
+    })
+
+    it('should use a function to generate the id', async function() {
+      this.mockApi.onAny().reply(204)
+      delete normWidget1['_jv']['id']
+      const clientIds = sinon.stub().returns('generated')
+
+      await jsonapiModule.actions.post(stubContext, [
+        normWidget1,
+        { _jv: { clientIds: clientIds } },
+      ])
+
+      expect(clientIds).to.have.been.calledWith(normWidget1)
+      expect(
+        JSON.parse(this.mockApi.history.post[0].data)['data']['id']
+      ).to.equal('generated')
+    })
+
+    it('should not replace an existing id', async function() {
+      this.mockApi.onAny().reply(204)
+
+      await jsonapiModule.actions.post(stubContext, [
+        normWidget1,
+        { _jv: { clientIds: true } },
+      ])
+
+      expect(
+        JSON.parse(this.mockApi.history.post[0].data)['data']['id']
+      ).to.equal('1')
+    })
+  })
+
+  it('should reject with the fields of JSONAPI validation errors', async function() {
+    this.mockApi.onAny().reply(422, {
+      errors: [
+        {
+          detail: 'Name must not be blank',
+          source: { pointer: '/data/attributes/name' },
+        },
+      ],
+    })
+
+    const error = await jsonapiModule.actions
+      .post(stubContext, normWidget1)
+      .catch((e) => e)
+
+    expect(error).to.be.instanceof(_testing.JsonApiError)
+    expect(error.message).to.equal('Name must not be blank')
+    expect(error.errors[0]).to.include({
+      status: '422',
+      field: 'name',
+      pointer: '/data/attributes/name',
+    })
+  })
+
   it('should handle API errors', async function() {
     this.mockApi.onAny().reply(500)
 
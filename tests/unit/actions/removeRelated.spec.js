@@ -0,0 +1,62 @@
+import { expect } from 'chai'
+
+import createStubContext from '../stubs/context'
+import createJsonapiModule from '../utils/createJsonapiModule'
+
+describe('removeRelated', function() {
+  let relRecord, jsonapiModule, stubContext
+
+  beforeEach(function() {
+    relRecord = {
+      _jv: {
+        type: 'widget',
+        id: '2',
+        relationships: {
+          widgets: {
+            data: [{ type: 'widget', id: '1' }],
+          },
+        },
+      },
+    }
+
+    jsonapiModule = createJsonapiModule(this.api)
+    stubContext = createStubContext(jsonapiModule)
+  })
+
+  it('should make an api call to DELETE from the relationship endpoint', async function() {
+    this.mockApi.onAny().reply(204)
+
+    await jsonapiModule.actions.removeRelated(stubContext, relRecord)
+
+    expect(this.mockApi.history.delete[0].url).to.equal(
+      'widget/2/relationships/widgets'
+    )
+    expect(JSON.parse(this.mockApi.history.delete[0].data)).to.deep.equal({
+      data: [{ type: 'widget', id: '1' }],
+    })
+  })
+
+  it('should remove the linkage from the record in the store', async function() {
+    this.mockApi.onAny().reply(204)
+
+    await jsonapiModule.actions.removeRelated(stubContext, relRecord)
+
+    expect(stubContext.commit).to.have.been.calledWith(
+      'removeRelationships',
+      relRecord
+    )
+  })
+
+  it('should handle API errors', async function() {
+    this.mockApi.onAny().reply(500)
+
+    try {
+      await jsonapiModule.actions.removeRelated(stubContext, relRecord)
+    } catch (error) {
+      expect(error.response.status).to.equal(500)
+    }
+    expect(stubContext.commit).to.not.have.been.calledWith(
+      'removeRelationships'
+    )
+  })
+})
@@ -0,0 +1,71 @@
+import { expect } from 'chai'
+
+import createStubContext from '../stubs/context'
+import createJsonapiModule from '../utils/createJsonapiModule'
+
+describe('replaceRelated', function() {
+  let relRecord, jsonapiModule, stubContext
+
+  beforeEach(function() {
+    relRecord = {
+      _jv: {
+        type: 'widget',
+        id: '1',
+        relationships: {
+          widgets: {
+            data: { type: 'widget', id: '3' },
+          },
+        },
+      },
+    }
+
+    jsonapiModule = createJsonapiModule(this.api)
+    stubContext = createStubContext(jsonapiModule)
+  })
+
+  it('should make an api call to PATCH the relationship endpoint', async function() {
+    this.mockApi.onAny().reply(204)
+
+    await jsonapiModule.actions.replaceRelated(stubContext, relRecord)
+
+    expect(this.mockApi.history.patch[0].url).to.equal(
+      'widget/1/relationships/widgets'
+    )
+    expect(JSON.parse(this.mockApi.history.patch[0].data)).to.deep.equal({
+      data: { type: 'widget', id: '3' },
+    })
+  })
+
+  it('should make an api call per relationship', async function() {
+    this.mockApi.onAny().reply(204)
+    relRecord['_jv']['relationships']['machines'] = { data: [] }
+
+    await jsonapiModule.actions.replaceRelated(stubContext, relRecord)
+
+    expect(this.mockApi.history.patch.map((req) => req.url)).to.have.members([
+      'widget/1/relationships/widgets',
+      'widget/1/relationships/machines',
+    ])
+  })
+
+  it('should replace the linkage of the record in the store', async function() {
+    this.mockApi.onAny().reply(204)
+
+    await jsonapiModule.actions.replaceRelated(stubContext, relRecord)
+
+    expect(stubContext.commit).to.have.been.calledWith(
+      'replaceRelationships',
+      relRecord
+    )
+  })
+
+  it('should handle API errors', async function() {
+    this.mockApi.onAny().reply(500)
+
+    try {
+      await jsonapiModule.actions.replaceRelated(stubContext, relRecord)
+    } catch (error) {
+      expect(error.response.status).to.equal(500)
+    }
+  })
+})
@@ -0,0 +1,109 @@
+import { expect } from 'chai'
+
+import createStubContext from '../stubs/context'
+import createJsonapiModule from '../utils/createJsonapiModule'
+import { normFormat as createNormWidget1 } from '../fixtures/widget1'
+import { normFormat as createNormWidget2 } from '../fixtures/widget2'
+
+describe('saveDraft', function() {
+  let jsonapiModule, stubContext, createDraft
+
+  beforeEach(function() {
+    jsonapiModule = createJsonapiModule(this.api)
+    stubContext = createStubContext(jsonapiModule, {
+      records: [createNormWidget1(), createNormWidget2()],
+    })
+    // Get records from the real state
+    stubContext.getters.get = (data) =>
+      jsonapiModule.getters.get(stubContext['state'], {})(data)
+    createDraft = jsonapiModule.getters.createDraft(stubContext['state'])
+  })
+
+  it('should patch only the changed attributes', async function() {
+    this.mockApi.onAny().reply(204)
+    const draft = createDraft('widget/1')
+    draft['foo'] = 'update'
+
+    await jsonapiModule.actions.saveDraft(stubContext, draft)
+
+    expect(JSON.parse(this.mockApi.history.patch[0].data)).to.deep.equal({
+      data: { type: 'widget', id: '1', attributes: { foo: 'update' } },
+    })
+    expect(stubContext['state']['widget']['1']['foo']).to.equal('update')
+  })
+
+  it('should not make a request if nothing has changed', async function() {
+    this.mockApi.onAny().reply(204)
+    const draft = createDraft('widget/1')
+
+    const res = await jsonapiModule.actions.saveDraft(stubContext, draft)
+
+    expect(this.mockApi.history.patch).to.have.lengthOf(0)
+    expect(res).to.equal(stubContext['state']['widget']['1'])
+  })
+
+  it('should only send changes made since the draft was last saved', async function() {
+    this.mockApi.onAny().reply(204)
+    const draft = createDraft('widget/1')
+    draft['foo'] = 'update'
+    await jsonapiModule.actions.saveDraft(stubContext, draft)
+
+    draft['bar'] = 'again'
+    await jsonapiModule.actions.saveDraft(stubContext, draft)
+
+    expect(JSON.parse(this.mockApi.history.patch[1].data)).to.deep.equal({
+      data: { type: 'widget', id: '1', attributes: { bar: 'again' } },
+    })
+  })
+
+  it('should post new drafts, and update the draft with the new id', async function() {
+    this.mockApi.onAny().reply(201, {
+      data: { type: 'widget', id: '5', attributes: { foo: 5 } },
+    })
+    const draft = createDraft({ foo: 5, _jv: { type: 'widget', lid: 'abc' } })
+
+    const res = await jsonapiModule.actions.saveDraft(stubContext, draft)
+
+    expect(JSON.parse(this.mockApi.history.post[0].data)).to.deep.equal({
+      data: { type: 'widget', lid: 'abc', attributes: { foo: 5 } },
+    })
+    expect(res['_jv']['id']).to.equal('5')
+    expect(draft['_jv']['id']).to.equal('5')
+    expect(draft['_jv']).to.not.have.property('lid')
+  })
+
+  it('should save related drafts first', async function() {
+    this.mockApi.onAny().reply(204)
+    const draft = createDraft('widget/1', ['widgets'])
+    draft['widgets']['foo'] = 'related'
+
+    await jsonapiModule.actions.saveDraft(stubContext, draft)
+
+    expect(this.mockApi.history.patch).to.have.lengthOf(1)
+    expect(this.mockApi.history.patch[0].url).to.equal('widget/2')
+    expect(JSON.parse(this.mockApi.history.patch[0].data)).to.deep.equal({
+      data: { type: 'widget', id: '2', attributes: { foo: 'related' } },
+    })
+  })
+
+  it('should update the linkage to new related drafts', async function() {
+    this.mockApi.onPost().reply(201, {
+      data: { type: 'widget', id: '7', attributes: { foo: 7 } },
+    })
+    this.mockApi.onPatch().reply(204)
+    const draft = createDraft('widget/1', ['widgets'])
+    draft['widgets'] = createDraft({ foo: 7, _jv: { type: 'widget' } })
+
+    await jsonapiModule.actions.saveDraft(stubContext, draft)
+
+    expect(this.mockApi.history.post).to.have.lengthOf(1)
+    expect(JSON.parse(this.mockApi.history.patch[0].data)).to.deep.equal({
+      data: {
+        type: 'widget',
+        id: '1',
+        attributes: {},
+        relationships: { widgets: { data: { type: 'widget', id: '7' } } },
+      },
+    })
+  })
+})
@@ -150,6 +150,22 @@ describe('search', function() {
     expect(res).to.not.have.key('_jv')
   })
 
+  it('should not collect garbage (or modify the store) if limits are set', async function() {
+    const jm = createJsonapiModule(this.api, { maxRecords: 1 })
+    stubContext['state'] = storeRecord
+    this.mockApi.onAny().reply(200, jsonRecord)
+
+    let res = await jm.actions.search(stubContext, 'widget')
+
+    expect(Object.keys(res)).to.have.lengthOf(
+      Object.keys(normRecordRels).length
+    )
+    expect(stubContext.commit).to.not.have.been.called
+    expect(Object.keys(storeRecord['widget'])).to.have.lengthOf(
+      Object.keys(normRecordRels).length
+    )
+  })
+
   it('should handle API errors', async function() {
     this.mockApi.onAny().reply(500)
 
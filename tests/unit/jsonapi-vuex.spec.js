@@ -60,6 +60,7 @@ before(function() {
 beforeEach(function() {
   // Set up fake timers
   clock = sinon.useFakeTimers()
+  this.clock = clock
 
   // Remove mock handlers
   mockApi.reset()
@@ -122,10 +123,49 @@ describe('jsonapi-vuex tests', function() {
   describe('config handling', function() {
     it('Should override default config', function() {
       const conf = { jvtag: '_splat' }
-      const { jvConfig } = _testing
       jm = jsonapiModule(api, conf)
+      const { jvConfig } = jm._testing
       expect(jvConfig['jvtag']).to.equal('_splat')
     })
+    it('Should keep the config of each module separate', function() {
+      const jm1 = jsonapiModule(api, { jvtag: '_one', mergeRecords: false })
+      const jm2 = jsonapiModule(api, { jvtag: '_two', mergeRecords: true })
+      expect(jm1.state).to.have.property('_one')
+      expect(jm2.state).to.have.property('_two')
+
+      const state1 = {
+        widget: { 1: { foo: 1, _one: { type: 'widget', id: '1' } } },
+      }
+      jm1.mutations.addRecords(state1, {
+        bar: 2,
+        _one: { type: 'widget', id: '1' },
+      })
+      expect(state1['widget']['1']).to.not.have.property('foo')
+
+      const state2 = {
+        widget: { 1: { foo: 1, _two: { type: 'widget', id: '1' } } },
+      }
+      jm2.mutations.addRecords(state2, {
+        bar: 2,
+        _two: { type: 'widget', id: '1' },
+      })
+      expect(state2['widget']['1']).to.include({ foo: 1, bar: 2 })
+    })
+    it('Should expose the internal functions of each module separately', function() {
+      const jm1 = jsonapiModule(api, { jvtag: '_one' })
+      const jm2 = jsonapiModule(api, { jvtag: '_two' })
+      expect(jm1._testing.jvConfig['jvtag']).to.equal('_one')
+      expect(jm2._testing.jvConfig['jvtag']).to.equal('_two')
+      // The exported functions use the default config
+      expect(_testing.jvConfig['jvtag']).to.equal('_jv')
+    })
+    it('Should bind utils to their module', function() {
+      const jm1 = jsonapiModule(api, { jvtag: '_one' })
+      jsonapiModule(api, { jvtag: '_two' })
+      expect(
+        jm1.utils.getTypeId({ _one: { type: 'widget', id: '1' } })
+      ).to.deep.equal(['widget', '1'])
+    })
   })
 
   describe('jsonapiModule actions', function() {
@@ -133,15 +173,34 @@ describe('jsonapi-vuex tests', function() {
     require('./actions/search.spec')
     require('./actions/fetch.spec')
     require('./actions/getRelated.spec')
+    require('./actions/getPage.spec')
+    require('./actions/getNext.spec')
+    require('./actions/fetchAll.spec')
+    require('./actions/cancel.spec')
+    require('./actions/addRelated.spec')
+    require('./actions/removeRelated.spec')
+    require('./actions/replaceRelated.spec')
     require('./actions/post.spec')
     require('./actions/create.spec')
     require('./actions/patch.spec')
     require('./actions/update.spec')
     require('./actions/delete.spec')
+    require('./actions/saveDraft.spec')
+    require('./actions/gc.spec')
+    require('./actions/atomic.spec')
+    require('./actions/batch.spec')
   })
 
   describe('jsonapiModule mutations', function() {
     describe('deleteRecord', function() {
+      it('should delete the documents of the record', function() {
+        const { deleteRecord } = jm.mutations
+        storeWidget1['_jvDocuments'] = {
+          'widget/1': { meta: {}, data: { type: 'widget', id: '1' } },
+        }
+        deleteRecord(storeWidget1, 'widget/1')
+        expect(storeWidget1['_jvDocuments']).to.deep.equal({})
+      })
       it('should delete a record (data) from the Vue store', function() {
         const { deleteRecord } = jm.mutations
         deleteRecord(storeWidget1, normWidget1)
@@ -157,6 +216,115 @@ describe('jsonapi-vuex tests', function() {
           normWidget1['_jv']['id']
         )
       })
+      it('should delete the pristine copy of a record', function() {
+        const { deleteRecord } = jm.mutations
+        const state = {
+          widget: { 1: { foo: 1 } },
+          _jvPristine: { widget: { 1: { foo: 1 } } },
+        }
+        deleteRecord(state, 'widget/1')
+        expect(state['_jvPristine']['widget']).to.not.have.key('1')
+      })
+      it('should not remove references to the record by default', function() {
+        const { deleteRecord } = jm.mutations
+        const state = {
+          widget: { 1: { _jv: { type: 'widget', id: '1' } } },
+          order: {
+            5: {
+              _jv: {
+                type: 'order',
+                id: '5',
+                relationships: {
+                  widget: { data: { type: 'widget', id: '1' } },
+                },
+              },
+            },
+          },
+        }
+        deleteRecord(state, 'widget/1')
+        expect(
+          state['order']['5']['_jv']['relationships']['widget']['data']
+        ).to.deep.equal({ type: 'widget', id: '1' })
+      })
+      it('should remove references to the record if removeDangling is set', function() {
+        jm = jsonapiModule(api, { removeDangling: true })
+        const { deleteRecord } = jm.mutations
+        const relationships = () => ({
+          widget: { data: { type: 'widget', id: '1' } },
+          widgets: {
+            data: [
+              { type: 'widget', id: '1' },
+              { type: 'widget', id: '2' },
+            ],
+          },
+        })
+        const state = {
+          widget: { 1: { _jv: { type: 'widget', id: '1' } } },
+          order: {
+            5: {
+              _jv: { type: 'order', id: '5', relationships: relationships() },
+            },
+          },
+          _jvPristine: {
+            order: {
+              5: {
+                _jv: { type: 'order', id: '5', relationships: relationships() },
+              },
+            },
+          },
+        }
+        deleteRecord(state, 'widget/1')
+        const expected = {
+          widget: { data: null },
+          widgets: { data: [{ type: 'widget', id: '2' }] },
+        }
+        expect(state['order']['5']['_jv']['relationships']).to.deep.equal(
+          expected
+        )
+        expect(
+          state['_jvPristine']['order']['5']['_jv']['relationships']
+        ).to.deep.equal(expected)
+      })
+      it('should delete records in cascade relationships', function() {
+        jm = jsonapiModule(api, {
+          types: {
+            order: { cascade: ['items'] },
+            item: { cascade: ['order'] },
+          },
+        })
+        const { deleteRecord } = jm.mutations
+        const state = {
+          order: {
+            5: {
+              _jv: {
+                type: 'order',
+                id: '5',
+                relationships: {
+                  items: {
+                    data: [
+                      { type: 'item', id: '1' },
+                      { type: 'item', id: '2' },
+                    ],
+                  },
+                },
+              },
+            },
+          },
+          item: {
+            1: {
+              _jv: {
+                type: 'item',
+                id: '1',
+                relationships: { order: { data: { type: 'order', id: '5' } } },
+              },
+            },
+            3: { _jv: { type: 'item', id: '3' } },
+          },
+        }
+        deleteRecord(state, 'order/5')
+        expect(state['order']).to.deep.equal({})
+        expect(state['item']).to.have.all.keys('3')
+      })
       it('should throw an error if no type or id present.', function() {
         const { deleteRecord } = jm.mutations
         // expect needs a function to call, not the return from a function
@@ -173,6 +341,21 @@ describe('jsonapi-vuex tests', function() {
         mergeRecords(storeWidget1, normWidget1Patch)
         expect(storeWidget1).to.deep.equal(storeWidget1Update)
       })
+      it('should not update the pristine copy for local changes', function() {
+        const { mergeRecords } = jm.mutations
+        const state = {
+          widget: { 1: { foo: 1, _jv: { type: 'widget', id: '1' } } },
+          _jvPristine: {
+            widget: { 1: { foo: 1, _jv: { type: 'widget', id: '1' } } },
+          },
+        }
+        mergeRecords(state, [
+          { foo: 2, _jv: { type: 'widget', id: '1' } },
+          { pristine: false },
+        ])
+        expect(state['widget']['1']['foo']).to.equal(2)
+        expect(state['_jvPristine']['widget']['1']['foo']).to.equal(1)
+      })
     })
 
     describe('replaceRecords', function() {
@@ -207,6 +390,304 @@ describe('jsonapi-vuex tests', function() {
         // '4' not in storeRecord, so should no longer be present in state
         expect(state['widget']).to.not.have.property('4')
       })
+      it('should remove references to cleared records if removeDangling is set', function() {
+        jm = jsonapiModule(api, { removeDangling: true })
+        const { clearRecords } = jm.mutations
+        const state = {
+          widget: { 4: { foo: 4, _jv: { type: 'widget', id: '4' } } },
+          order: {
+            5: {
+              _jv: {
+                type: 'order',
+                id: '5',
+                relationships: {
+                  widgets: { data: [{ type: 'widget', id: '4' }] },
+                },
+              },
+            },
+          },
+        }
+        clearRecords(state, normRecord)
+        expect(
+          state['order']['5']['_jv']['relationships']['widgets']['data']
+        ).to.deep.equal([])
+      })
+      it('should not cascade to records which are in the update', function() {
+        jm = jsonapiModule(api, { types: { widget: { cascade: ['kids'] } } })
+        const { clearRecords } = jm.mutations
+        const state = {
+          widget: {
+            1: {
+              _jv: {
+                type: 'widget',
+                id: '1',
+                relationships: {
+                  kids: { data: [{ type: 'widget', id: '2' }] },
+                },
+              },
+            },
+            2: { _jv: { type: 'widget', id: '2' } },
+          },
+        }
+        clearRecords(state, { _jv: { type: 'widget', id: '2' } })
+        expect(state['widget']).to.not.have.property('1')
+        expect(state['widget']).to.have.property('2')
+      })
+    })
+
+    describe('addRelationships', function() {
+      it('should add resource identifiers to a relationship', function() {
+        const { addRelationships } = jm.mutations
+        const rel = { widgets: { data: [{ type: 'widget', id: '3' }] } }
+        addRelationships(storeRecord, {
+          _jv: { type: 'widget', id: '2', relationships: rel },
+        })
+        expect(
+          storeRecord['widget']['2']['_jv']['relationships']['widgets']['data']
+        ).to.deep.equal([
+          { type: 'widget', id: '1' },
+          { type: 'widget', id: '3' },
+        ])
+      })
+      it('should create a missing relationship', function() {
+        const { addRelationships } = jm.mutations
+        const rel = { machines: { data: [{ type: 'machine', id: '1' }] } }
+        addRelationships(storeRecord, {
+          _jv: { type: 'widget', id: '2', relationships: rel },
+        })
+        expect(
+          storeRecord['widget']['2']['_jv']['relationships']['machines']
+        ).to.deep.equal(rel['machines'])
+      })
+      it('should ignore records not in the store', function() {
+        const { addRelationships } = jm.mutations
+        const state = {}
+        const rel = { widgets: { data: [{ type: 'widget', id: '3' }] } }
+        addRelationships(state, {
+          _jv: { type: 'widget', id: '2', relationships: rel },
+        })
+        expect(state).to.deep.equal({})
+      })
+    })
+
+    describe('removeRelationships', function() {
+      it('should remove resource identifiers from a relationship', function() {
+        const { removeRelationships } = jm.mutations
+        const rel = { widgets: { data: [{ type: 'widget', id: '1' }] } }
+        removeRelationships(storeRecord, {
+          _jv: { type: 'widget', id: '2', relationships: rel },
+        })
+        expect(
+          storeRecord['widget']['2']['_jv']['relationships']['widgets']['data']
+        ).to.deep.equal([{ type: 'widget', id: '3' }])
+      })
+    })
+
+    describe('replaceRelationships', function() {
+      it('should replace the linkage of a relationship', function() {
+        const { replaceRelationships } = jm.mutations
+        const rel = { widgets: { data: null } }
+        replaceRelationships(storeRecord, {
+          _jv: { type: 'widget', id: '1', relationships: rel },
+        })
+        expect(
+          storeRecord['widget']['1']['_jv']['relationships']['widgets']
+        ).to.deep.equal({
+          data: null,
+          links: { related: '/widget/1/widgets' },
+        })
+      })
+    })
+
+    describe('setQuery', function() {
+      it('should set the state of a query', function() {
+        const state = { _jvQueries: {} }
+        const { setQuery } = jm.mutations
+        const entry = { url: 'widget', data: [], links: {} }
+        setQuery(state, { query: 'widgets', ...entry })
+        expect(state['_jvQueries']['widgets']).to.deep.equal(entry)
+      })
+    })
+
+    describe('setDocument', function() {
+      it('should set the document members of a query', function() {
+        const state = { _jvDocuments: {} }
+        const { setDocument } = jm.mutations
+        const document = { meta: { total: 3 }, links: {}, jsonapi: {} }
+        setDocument(state, { query: 'widgets', ...document })
+        expect(state['_jvDocuments']['widgets']).to.deep.equal(document)
+      })
+    })
+
+    describe('deleteQuery', function() {
+      it('should delete the state of a query', function() {
+        const state = { _jvQueries: { widgets: {} } }
+        const { deleteQuery } = jm.mutations
+        deleteQuery(state, 'widgets')
+        expect(state['_jvQueries']).to.deep.equal({})
+      })
+      it('should delete the document members of a query', function() {
+        const state = { _jvQueries: {}, _jvDocuments: { widgets: {} } }
+        const { deleteQuery } = jm.mutations
+        deleteQuery(state, 'widgets')
+        expect(state['_jvDocuments']).to.deep.equal({})
+      })
+      it('should not error if deleting a non-existent query', function() {
+        const state = { _jvQueries: {} }
+        const { deleteQuery } = jm.mutations
+        expect(() => deleteQuery(state, 'widgets')).to.not.throw()
+      })
+    })
+
+    describe('setFetched', function() {
+      it('should record the time that records were fetched', function() {
+        const state = { _jvFetched: { widget: { 1: 1 } } }
+        const { setFetched } = jm.mutations
+        setFetched(state, {
+          records: [
+            { type: 'widget', id: '2' },
+            { type: 'machine', id: '1' },
+          ],
+          time: 5,
+        })
+        expect(state['_jvFetched']).to.deep.equal({
+          widget: { 1: 1, 2: 5 },
+          machine: { 1: 5 },
+        })
+      })
+    })
+
+    describe('revert', function() {
+      it('should restore the pristine copy of a record', function() {
+        const { revert } = jm.mutations
+        const pristine = { foo: 1, _jv: { type: 'widget', id: '1' } }
+        const state = {
+          widget: { 1: { foo: 2, _jv: { type: 'widget', id: '1' } } },
+          _jvPristine: { widget: { 1: pristine } },
+        }
+        revert(state, 'widget/1')
+        expect(state['widget']['1']).to.deep.equal(pristine)
+        // The pristine copy is not modified by later changes
+        state['widget']['1']['foo'] = 3
+        expect(pristine['foo']).to.equal(1)
+      })
+      it('should do nothing if there is no pristine copy', function() {
+        const { revert } = jm.mutations
+        const state = { widget: { 1: { foo: 2 } }, _jvPristine: {} }
+        revert(state, 'widget/1')
+        expect(state['widget']['1']).to.deep.equal({ foo: 2 })
+      })
+    })
+
+    describe('rekeyRecord', function() {
+      it('should re-key a record and rewrite references to its local id', function() {
+        const { rekeyRecord } = jm.mutations
+        const local = { type: 'widget', lid: 'abc' }
+        const state = {
+          _jv: {},
+          _jvQueries: {
+            widgets: { data: [{ type: 'widget', id: '1' }, local] },
+          },
+          widget: {
+            1: {
+              _jv: {
+                type: 'widget',
+                id: '1',
+                relationships: { widgets: { data: [local] } },
+              },
+            },
+            abc: { name: 'new', _jv: { type: 'widget', lid: 'abc' } },
+          },
+          machine: {
+            1: {
+              _jv: {
+                type: 'machine',
+                id: '1',
+                relationships: { widget: { data: local } },
+              },
+            },
+          },
+        }
+        rekeyRecord(state, { type: 'widget', lid: 'abc', id: '5' })
+        expect(state['widget']).to.not.have.property('abc')
+        expect(state['widget']['5']).to.deep.equal({
+          name: 'new',
+          _jv: { type: 'widget', id: '5' },
+        })
+        expect(
+          state['widget']['1']['_jv']['relationships']['widgets']['data']
+        ).to.deep.equal([{ type: 'widget', id: '5' }])
+        expect(
+          state['machine']['1']['_jv']['relationships']['widget']['data']
+        ).to.deep.equal({ type: 'widget', id: '5' })
+        expect(state['_jvQueries']['widgets']['data']).to.deep.equal([
+          { type: 'widget', id: '1' },
+          { type: 'widget', id: '5' },
+        ])
+      })
+    })
+
+    describe('setErrors', function() {
+      it('should set the errors for a record', function() {
+        const state = { _jvErrors: {} }
+        const { setErrors } = jm.mutations
+        const errors = [{ field: 'name', detail: 'blank' }]
+        setErrors(state, { record: normWidget1, errors: errors })
+        expect(state['_jvErrors']).to.deep.equal({ widget: { 1: errors } })
+      })
+    })
+
+    describe('deleteErrors', function() {
+      it('should delete the errors for a record', function() {
+        const state = { _jvErrors: { widget: { 1: [], 2: [] } } }
+        const { deleteErrors } = jm.mutations
+        deleteErrors(state, 'widget/1')
+        expect(state['_jvErrors']).to.deep.equal({ widget: { 2: [] } })
+      })
+      it('should not error if the record has no errors', function() {
+        const state = { _jvErrors: {} }
+        const { deleteErrors } = jm.mutations
+        expect(() => deleteErrors(state, 'widget/1')).to.not.throw()
+      })
+    })
+
+    describe('evictRecords', function() {
+      it('should evict records, with their pristine copies and fetched times', function() {
+        const { evictRecords } = jm.mutations
+        const state = {
+          widget: { 1: { foo: 1 }, 2: { foo: 2 } },
+          _jvPristine: { widget: { 1: { foo: 1 } } },
+          _jvFetched: { widget: { 1: 1000 } },
+        }
+        evictRecords(state, [{ type: 'widget', id: '1' }])
+        expect(state['widget']).to.have.all.keys('2')
+        expect(state['_jvPristine']['widget']).to.deep.equal({})
+        expect(state['_jvFetched']['widget']).to.deep.equal({})
+      })
+      it('should delete the documents of evicted records', function() {
+        const { evictRecords } = jm.mutations
+        const state = {
+          widget: { 1: { foo: 1 }, 2: { foo: 2 } },
+          _jvDocuments: {
+            'widget/1': { meta: {}, data: { type: 'widget', id: '1' } },
+            'widget/2': { meta: {}, data: { type: 'widget', id: '2' } },
+          },
+        }
+        evictRecords(state, [{ type: 'widget', id: '1' }])
+        expect(state['_jvDocuments']).to.have.all.keys('widget/2')
+      })
+      it('should not remove references to evicted records', function() {
+        jm = jsonapiModule(api, {
+          removeDangling: true,
+          types: { widget: { inverses: { widgets: 'widgets' } } },
+        })
+        const { evictRecords } = jm.mutations
+        const state = createStoreRecord()
+        evictRecords(state, [{ type: 'widget', id: '3' }])
+        expect(
+          state['widget']['2']['_jv']['relationships']['widgets']['data']
+        ).to.deep.include({ type: 'widget', id: '3' })
+      })
     })
 
     describe('setStatus', function() {
@@ -216,6 +697,12 @@ describe('jsonapi-vuex tests', function() {
         setStatus(state, { id: 2, status: 'splat' })
         expect(state['_jv'][2]).to.have.keys(['status', 'time'])
       })
+      it('should set the number of attempts for retrying actions', function() {
+        const state = { _jv: {} }
+        const { setStatus } = jm.mutations
+        setStatus(state, { id: 2, status: 'RETRYING', attempts: 2 })
+        expect(state['_jv'][2]).to.include({ status: 'RETRYING', attempts: 2 })
+      })
     })
 
     describe('deleteStatus', function() {
@@ -243,7 +730,7 @@ describe('jsonapi-vuex tests', function() {
   describe('jsonapiModule helpers', function() {
     describe('deepCopy', function() {
       it('should deep copy an object, replacing helper methods', function() {
-        const { deepCopy } = _testing
+        const { deepCopy } = jm._testing
         let obj = { _jv: {} }
         // Add a getter that we expect to be overwritten
         Object.defineProperty(obj['_jv'], 'attrs', {
@@ -257,7 +744,7 @@ describe('jsonapi-vuex tests', function() {
         expect(newObj['_jv']['attrs']).to.be.an('object')
       })
       it('should return the object as-is if empty.', function() {
-        const { deepCopy } = _testing
+        const { deepCopy } = jm._testing
         let obj = {}
         let newObj = deepCopy(obj)
         expect(newObj).to.deep.equal({})
@@ -265,7 +752,7 @@ describe('jsonapi-vuex tests', function() {
     })
     describe('_copy', function() {
       it('should recursively (deep) copy simple objects', function() {
-        const { _copy } = _testing
+        const { _copy } = jm._testing
         // Create a simple object with a variety of content
         const obj = {
           undef: undefined,
@@ -296,20 +783,20 @@ describe('jsonapi-vuex tests', function() {
     })
     describe('cleanPatch', function() {
       it('should return patch unmodified if record not in state', function() {
-        const { cleanPatch } = _testing
+        const { cleanPatch } = jm._testing
 
         const res = cleanPatch(normWidget1Patch, {})
         expect(res).to.deep.equal(normWidget1Patch)
       })
       it('should pick modified/new attributes from a record (no _jv)', function() {
-        const { cleanPatch } = _testing
+        const { cleanPatch } = jm._testing
 
         const res = cleanPatch(normWidget1Patch, { widget: normRecord })
         expect(res).to.not.have.property('bar')
         expect(res['foo']).to.equal('update')
       })
       it('should pick modified/new attributes from a record (with _jv)', function() {
-        const { addJvHelpers, cleanPatch } = _testing
+        const { addJvHelpers, cleanPatch } = jm._testing
 
         const patch = JSON.parse(JSON.stringify(normWidget1))
         patch['foo'] = 'update'
@@ -322,41 +809,751 @@ describe('jsonapi-vuex tests', function() {
         expect(res['foo']).to.equal('update')
         expect(res).to.not.have.property('widgets')
       })
+      it('should compare to the pristine record, if known', function() {
+        const { cleanPatch } = jm._testing
+        const state = {
+          // The store has already been modified (e.g. by v-model)
+          widget: { 1: { foo: 'update', bar: 'baz' } },
+          _jvPristine: { widget: { 1: { foo: 1, bar: 'baz' } } },
+        }
+        const res = cleanPatch(normWidget1Patch, state)
+        expect(res['foo']).to.equal('update')
+        expect(res).to.not.have.property('bar')
+      })
     })
 
     describe('updateRecords', function() {
       it('should add several records to the store (replace)', function() {
-        const { updateRecords } = _testing
+        const { updateRecords } = jm._testing
         // Put an object into state that should get replaced
         updateRecords(storeWidget1Update, normRecord, false)
         expect(storeWidget1Update).to.deep.equal(storeRecord)
       })
 
       it('should add several records to the store (merge)', function() {
-        const { updateRecords } = _testing
+        const { updateRecords } = jm._testing
         updateRecords(storeWidget1, normWidget1Patch, true)
         expect(storeWidget1).to.deep.equal(storeWidget1Update)
       })
       it('should not error if no type(s) in state', function() {
         // Ensures coverage for if (!(type in state))
-        const { updateRecords } = _testing
+        const { updateRecords } = jm._testing
         const state = {}
         updateRecords(state, normRecord, true)
         expect(state).to.deep.equal(storeRecord)
       })
       it('should not alter existing records in the store', function() {
-        const { updateRecords } = _testing
+        const { updateRecords } = jm._testing
         // Add a test record to the store
         const state = { widget: { 4: { foo: 4 } } }
         updateRecords(state, normRecord)
         // test record should stil exist
         expect(state['widget']).to.have.property('4')
       })
+      it('should keep a pristine copy of records', function() {
+        const { updateRecords } = jm._testing
+        const state = { _jvPristine: {} }
+        updateRecords(state, normWidget1)
+        expect(state['_jvPristine']['widget']['1']).to.deep.equal(normWidget1)
+        expect(state['_jvPristine']['widget']['1']).to.not.equal(
+          state['widget']['1']
+        )
+      })
+      it('should not include local changes in the pristine copy when merging', function() {
+        const { updateRecords } = jm._testing
+        const state = { _jvPristine: {} }
+        updateRecords(state, {
+          foo: 1,
+          bar: 2,
+          _jv: { type: 'widget', id: '1' },
+        })
+        // Local change
+        state['widget']['1']['bar'] = 'local'
+        updateRecords(state, { foo: 3, _jv: { type: 'widget', id: '1' } }, true)
+        expect(state['widget']['1']).to.include({ foo: 3, bar: 'local' })
+        expect(state['_jvPristine']['widget']['1']).to.include({
+          foo: 3,
+          bar: 2,
+        })
+      })
+      it('should use the per-type mergeRecords setting by default', function() {
+        jm = jsonapiModule(api, { types: { widget: { mergeRecords: true } } })
+        const { updateRecords } = jm._testing
+        const state = {
+          widget: { 1: { foo: 1, _jv: { type: 'widget', id: '1' } } },
+        }
+        updateRecords(state, { bar: 2, _jv: { type: 'widget', id: '1' } })
+        expect(state['widget']['1']).to.include({ foo: 1, bar: 2 })
+      })
+      it('should merge sparse records onto complete records', function() {
+        const { updateRecords } = jm._testing
+        const state = {
+          widget: { 1: { foo: 1, bar: 2, _jv: { type: 'widget', id: '1' } } },
+        }
+        const sparse = {
+          foo: 3,
+          _jv: { type: 'widget', id: '1', fields: ['foo'] },
+        }
+        updateRecords(state, sparse, false)
+        expect(state['widget']['1']).to.deep.equal({
+          foo: 3,
+          bar: 2,
+          _jv: { type: 'widget', id: '1' },
+        })
+      })
+      it('should merge the fields of sparse records', function() {
+        const { updateRecords } = jm._testing
+        const state = {
+          widget: {
+            1: { foo: 1, _jv: { type: 'widget', id: '1', fields: ['foo'] } },
+          },
+        }
+        const sparse = {
+          bar: 2,
+          _jv: { type: 'widget', id: '1', fields: ['bar'] },
+        }
+        updateRecords(state, sparse, false)
+        expect(state['widget']['1']).to.deep.equal({
+          foo: 1,
+          bar: 2,
+          _jv: { type: 'widget', id: '1', fields: ['foo', 'bar'] },
+        })
+      })
+      it('should replace (not merge) the arrays in sparse records, and in their pristine copies', function() {
+        const { updateRecords } = jm._testing
+        const state = { _jvPristine: {} }
+        updateRecords(state, {
+          tags: ['a', 'b', 'c'],
+          _jv: {
+            type: 'widget',
+            id: '1',
+            relationships: {
+              kids: {
+                data: [
+                  { type: 'widget', id: '2' },
+                  { type: 'widget', id: '3' },
+                ],
+              },
+              parent: { data: { type: 'widget', id: '4' } },
+            },
+          },
+        })
+        updateRecords(state, {
+          tags: ['x'],
+          _jv: {
+            type: 'widget',
+            id: '1',
+            fields: ['tags', 'kids'],
+            relationships: { kids: { data: [{ type: 'widget', id: '5' }] } },
+          },
+        })
+        const expected = {
+          tags: ['x'],
+          _jv: {
+            type: 'widget',
+            id: '1',
+            relationships: {
+              kids: { data: [{ type: 'widget', id: '5' }] },
+              parent: { data: { type: 'widget', id: '4' } },
+            },
+          },
+        }
+        expect(state['widget']['1']).to.deep.equal(expected)
+        expect(state['_jvPristine']['widget']['1']).to.deep.equal(expected)
+      })
+      it('should replace sparse records with complete records', function() {
+        const { updateRecords } = jm._testing
+        const state = {
+          widget: {
+            1: { foo: 1, _jv: { type: 'widget', id: '1', fields: ['foo'] } },
+          },
+        }
+        updateRecords(
+          state,
+          { bar: 2, _jv: { type: 'widget', id: '1' } },
+          false
+        )
+        expect(state['widget']['1']).to.deep.equal({
+          bar: 2,
+          _jv: { type: 'widget', id: '1' },
+        })
+      })
+    })
+
+    describe('typeOption', function() {
+      it('should return the global option if there is no override', function() {
+        jm = jsonapiModule(api, { mergeRecords: true })
+        const { typeOption } = jm._testing
+        expect(typeOption('widget', 'mergeRecords')).to.be.true
+      })
+      it('should return the override for the type', function() {
+        jm = jsonapiModule(api, {
+          mergeRecords: true,
+          types: { widget: { mergeRecords: false } },
+        })
+        const { typeOption } = jm._testing
+        expect(typeOption('widget', 'mergeRecords')).to.be.false
+        expect(typeOption('doohickey', 'mergeRecords')).to.be.true
+      })
+    })
+
+    describe('recordType', function() {
+      it('should return the type of an item or collection', function() {
+        const { recordType } = jm._testing
+        expect(recordType(normWidget1)).to.equal('widget')
+        expect(recordType(normRecord)).to.equal('widget')
+        expect(recordType({})).to.be.undefined
+      })
+    })
+
+    describe('clearOnUpdate', function() {
+      it('should only clear records of types with clearOnUpdate set', function() {
+        jm = jsonapiModule(api, { types: { widget: { clearOnUpdate: true } } })
+        const { clearOnUpdate } = jm._testing
+        const context = { commit: sinon.spy() }
+        const records = {
+          1: { _jv: { type: 'widget', id: '1' } },
+          2: { _jv: { type: 'doohickey', id: '2' } },
+        }
+        clearOnUpdate(context, records)
+        expect(context.commit).to.have.been.calledOnceWith('clearRecords', {
+          1: records['1'],
+        })
+      })
+      it('should not clear records if clearOnUpdate is not set', function() {
+        const { clearOnUpdate } = jm._testing
+        const context = { commit: sinon.spy() }
+        clearOnUpdate(context, normRecord)
+        expect(context.commit).to.not.have.been.called
+      })
+    })
+
+    describe('updateInverses', function() {
+      let state, mutations
+      const comment = (id, post) => ({
+        text: 'hi',
+        _jv: {
+          type: 'comment',
+          id: id,
+          relationships: { post: { data: post } },
+        },
+      })
+
+      beforeEach(function() {
+        jm = jsonapiModule(api, {
+          types: {
+            comment: { inverses: { post: 'comments' } },
+            post: { inverses: { comments: 'post' } },
+          },
+        })
+        mutations = jm.mutations
+        state = {
+          post: {
+            1: {
+              _jv: {
+                type: 'post',
+                id: '1',
+                relationships: { comments: { data: [] } },
+              },
+            },
+            2: {
+              _jv: {
+                type: 'post',
+                id: '2',
+                relationships: { comments: { data: [] } },
+              },
+            },
+            3: { _jv: { type: 'post', id: '3' } },
+          },
+          _jvPristine: {},
+        }
+      })
+
+      const commentIds = (id) =>
+        state['post'][id]['_jv']['relationships']['comments']['data']
+
+      it('should add a new record to the inverse relationship', function() {
+        mutations.addRecords(state, comment('7', { type: 'post', id: '1' }))
+        expect(commentIds('1')).to.deep.equal([{ type: 'comment', id: '7' }])
+      })
+      it('should move a record between inverse relationships when it changes', function() {
+        mutations.addRecords(state, comment('7', { type: 'post', id: '1' }))
+        mutations.addRecords(state, comment('7', { type: 'post', id: '2' }))
+        expect(commentIds('1')).to.deep.equal([])
+        expect(commentIds('2')).to.deep.equal([{ type: 'comment', id: '7' }])
+      })
+      it('should remove a deleted record from the inverse relationship', function() {
+        mutations.addRecords(state, comment('7', { type: 'post', id: '1' }))
+        mutations.deleteRecord(state, 'comment/7')
+        expect(commentIds('1')).to.deep.equal([])
+      })
+      it('should update to-one inverse relationships', function() {
+        mutations.addRecords(state, comment('7', null))
+        mutations.addRelationships(state, {
+          _jv: {
+            type: 'post',
+            id: '1',
+            relationships: {
+              comments: { data: [{ type: 'comment', id: '7' }] },
+            },
+          },
+        })
+        expect(
+          state['comment']['7']['_jv']['relationships']['post']['data']
+        ).to.deep.equal({ type: 'post', id: '1' })
+        mutations.removeRelationships(state, {
+          _jv: {
+            type: 'post',
+            id: '1',
+            relationships: {
+              comments: { data: [{ type: 'comment', id: '7' }] },
+            },
+          },
+        })
+        expect(state['comment']['7']['_jv']['relationships']['post']['data']).to
+          .be.null
+      })
+      it('should update the pristine copy of the inverse record', function() {
+        mutations.addRecords(state, state['post']['1'])
+        mutations.addRecords(state, comment('7', { type: 'post', id: '1' }))
+        expect(
+          state['_jvPristine']['post']['1']['_jv']['relationships']['comments'][
+            'data'
+          ]
+        ).to.deep.equal([{ type: 'comment', id: '7' }])
+      })
+      it('should leave inverse relationships with unknown linkage alone', function() {
+        mutations.addRecords(state, comment('7', { type: 'post', id: '3' }))
+        expect(state['post']['3']['_jv']).to.not.have.property('relationships')
+      })
+    })
+
+    describe('cascadeRecords', function() {
+      it('should return the record and (recursively) cascaded records', function() {
+        jm = jsonapiModule(api, { cascade: ['widgets'] })
+        const { cascadeRecords } = jm._testing
+        // widget 1 -> widget 2 -> widget 1 & 3
+        expect(cascadeRecords(storeRecord, 'widget', '1')).to.deep.equal([
+          { type: 'widget', id: '1' },
+          { type: 'widget', id: '2' },
+          { type: 'widget', id: '3' },
+        ])
+      })
+      it('should only return the record if there are no cascade rules', function() {
+        const { cascadeRecords } = jm._testing
+        expect(cascadeRecords(storeRecord, 'widget', '1')).to.deep.equal([
+          { type: 'widget', id: '1' },
+        ])
+      })
+    })
+
+    describe('referringRecords', function() {
+      it('should return records which refer to a record', function() {
+        const { referringRecords } = jm._testing
+        const referring = referringRecords(storeRecord, [
+          { type: 'widget', id: '3' },
+        ])
+        expect(referring.map((record) => record['_jv']['id'])).to.deep.equal([
+          '2',
+        ])
+      })
+    })
+
+    describe('sparseFields', function() {
+      it('should get sparse fieldsets from params and the url', function() {
+        const { sparseFields } = jm._testing
+        const conf = {
+          url: 'widget/1?fields%5Bmachine%5D=foo&include=machines',
+          params: { 'fields[widget]': 'foo,bar', sort: 'foo' },
+        }
+        expect(sparseFields(conf)).to.deep.equal({
+          widget: ['foo', 'bar'],
+          machine: ['foo'],
+        })
+      })
+      it('should return an empty object if there are no sparse fieldsets', function() {
+        const { sparseFields } = jm._testing
+        expect(sparseFields({ url: 'widget/1' })).to.deep.equal({})
+        expect(sparseFields()).to.deep.equal({})
+      })
+    })
+
+    describe('atomicOperation', function() {
+      it('should convert a delete operation to a remove ref', function() {
+        const { atomicOperation } = jm._testing
+        expect(
+          atomicOperation({ op: 'delete', data: normWidget1 })
+        ).to.deep.equal({ op: 'remove', ref: { type: 'widget', id: '1' } })
+      })
+      it('should throw an error for unknown operations', function() {
+        const { atomicOperation } = jm._testing
+        expect(() =>
+          atomicOperation({ op: 'splat', data: normWidget1 })
+        ).to.throw(_testing.RecordError)
+      })
+    })
+
+    describe('rejectThrown', function() {
+      it('should reject with errors thrown by the action', async function() {
+        const { rejectThrown } = jm._testing
+        const error = new _testing.RecordError('bad', 1)
+        const action = rejectThrown(() => {
+          throw error
+        })
+        await expect(action({}, 1)).to.be.rejectedWith(error)
+      })
+      it('should return what the action returns', function() {
+        const { rejectThrown } = jm._testing
+        const promise = Promise.resolve(1)
+        expect(rejectThrown(() => promise)({}, 1)).to.equal(promise)
+      })
+    })
+
+    describe('sharedController', function() {
+      it('should abort once every caller has aborted', function() {
+        const { linkedController, sharedController } = jm._testing
+        const shared = sharedController()
+        const caller1 = linkedController()
+        const caller2 = linkedController()
+        shared.join(caller1.signal)
+        shared.join(caller2.signal)
+        caller1.abort()
+        expect(shared.signal.aborted).to.be.false
+        caller2.abort()
+        expect(shared.signal.aborted).to.be.true
+      })
+      it('should never abort if a caller has no signal', function() {
+        const { linkedController, sharedController } = jm._testing
+        const shared = sharedController()
+        const caller = linkedController()
+        shared.join(caller.signal)
+        shared.join()
+        caller.abort()
+        expect(shared.signal.aborted).to.be.false
+      })
+    })
+
+    describe('linkedController', function() {
+      it('should abort the controller when the signal is aborted', function() {
+        const { linkedController } = jm._testing
+        const parent = linkedController()
+        const controller = linkedController(parent.signal)
+        expect(controller.signal.aborted).to.be.false
+        parent.abort()
+        expect(controller.signal.aborted).to.be.true
+      })
+      it('should abort the controller if the signal is already aborted', function() {
+        const { linkedController } = jm._testing
+        const parent = linkedController()
+        parent.abort()
+        expect(linkedController(parent.signal).signal.aborted).to.be.true
+        expect(linkedController().signal.aborted).to.be.false
+      })
+    })
+
+    describe('abortable', function() {
+      it('should reject when the signal is aborted', async function() {
+        const { abortable, linkedController, CancelError } = jm._testing
+        const controller = linkedController()
+        const promise = abortable(new Promise(() => {}), controller.signal)
+        controller.abort()
+        await expect(promise).to.be.rejectedWith(CancelError)
+      })
+      it('should resolve with the original promise', async function() {
+        const { abortable, linkedController } = jm._testing
+        const controller = linkedController()
+        const res = await abortable(Promise.resolve(1), controller.signal)
+        expect(res).to.equal(1)
+      })
+    })
+
+    describe('retryWait', function() {
+      it('should use exponential backoff with jitter', function() {
+        const { retryWait } = jm._testing
+        const wait = retryWait(new Error(), 3, 100, 1000)
+        expect(wait).to.be.within(200, 400)
+        expect(retryWait(new Error(), 10, 100, 1000)).to.be.within(500, 1000)
+      })
+      it('should use a Retry-After header in seconds', function() {
+        const { retryWait } = jm._testing
+        const error = { response: { headers: { 'retry-after': '120' } } }
+        expect(retryWait(error, 1, 100, 1000)).to.equal(120000)
+      })
+      it('should use a Retry-After header date', function() {
+        const { retryWait } = jm._testing
+        const date = new Date(Date.now() + 5000).toUTCString()
+        const error = { response: { headers: { 'retry-after': date } } }
+        expect(retryWait(error, 1, 100, 1000)).to.equal(5000)
+      })
+    })
+
+    describe('queryKey', function() {
+      it('should use the query option as the name', function() {
+        const { queryKey } = jm._testing
+        expect(queryKey({ url: 'widget' }, { query: 'widgets' })).to.equal(
+          'widgets'
+        )
+      })
+      it('should use the url and params as the name', function() {
+        const { queryKey } = jm._testing
+        expect(queryKey({ url: 'widget', params: {} }, {})).to.equal('widget')
+        expect(
+          queryKey({ url: 'widget?a=1', params: { 'page[number]': 2 } }, {})
+        ).to.equal('widget?a=1&page[number]=2')
+      })
+    })
+
+    describe('getCached', function() {
+      it('should not return collections with missing records', function() {
+        const { getCached } = jm._testing
+        const context = {
+          state: {
+            _jvQueries: {
+              widget: {
+                data: [
+                  { type: 'widget', id: '1' },
+                  { type: 'widget', id: '99' },
+                ],
+                fetched: Date.now(),
+              },
+            },
+          },
+          getters: { query: () => [normWidget1] },
+        }
+        expect(getCached(context, 'widget', { url: 'widget' }, {})).to.be
+          .undefined
+      })
+      it('should not return records which were not fetched', function() {
+        const { getCached } = jm._testing
+        const context = { state: {}, getters: { get: () => normWidget1 } }
+        expect(getCached(context, 'widget/1', { url: 'widget/1' }, {})).to.be
+          .undefined
+      })
+      describe('sparse fieldsets and include', function() {
+        let records, context
+
+        beforeEach(function() {
+          records = {
+            'widget/1': {
+              foo: 1,
+              _jv: {
+                type: 'widget',
+                id: '1',
+                fields: ['foo', 'author'],
+                relationships: {
+                  author: { data: { type: 'person', id: '2' } },
+                },
+              },
+            },
+            'person/2': { name: 'A', _jv: { type: 'person', id: '2' } },
+          }
+          context = {
+            state: { _jvFetched: { widget: { 1: Date.now() - 500 } } },
+            getters: { get: (path) => records[path] || {} },
+          }
+        })
+
+        it('should not return sparse records for full requests', function() {
+          const { getCached } = jm._testing
+          expect(getCached(context, 'widget/1', { url: 'widget/1' }, {})).to.be
+            .undefined
+        })
+        it('should return sparse records with the requested fields', function() {
+          const { getCached } = jm._testing
+          const apiConf = {
+            url: 'widget/1',
+            params: { 'fields[widget]': 'foo' },
+          }
+          expect(getCached(context, 'widget/1', apiConf, {})).to.deep.equal({
+            age: 500,
+            data: records['widget/1'],
+          })
+        })
+        it('should only return records if their included records are in the store', function() {
+          const { getCached } = jm._testing
+          const apiConf = {
+            url: 'widget/1?include=author',
+            params: { 'fields[widget]': 'foo,author' },
+          }
+          expect(getCached(context, 'widget/1', apiConf, {})).to.not.be
+            .undefined
+          delete records['person/2']
+          expect(getCached(context, 'widget/1', apiConf, {})).to.be.undefined
+        })
+        it('should not return records whose included linkage is unknown', function() {
+          const { getCached } = jm._testing
+          const apiConf = {
+            url: 'widget/1',
+            params: { 'fields[widget]': 'foo', include: 'owner' },
+          }
+          expect(getCached(context, 'widget/1', apiConf, {})).to.be.undefined
+        })
+      })
+    })
+
+    describe('splitConfig', function() {
+      it('should split jsonapi-vuex options from axios config', function() {
+        const { splitConfig } = jm._testing
+        const config = { params: { a: 1 }, _jv: { query: 'q' } }
+        expect(splitConfig(config)).to.deep.equal([
+          { params: { a: 1 } },
+          { query: 'q' },
+        ])
+        // Original config is unchanged
+        expect(config).to.have.property('_jv')
+      })
+      it('should add a query description to the axios params', function() {
+        const { splitConfig } = jm._testing
+        const config = { params: { a: 1 }, _jv: { sort: ['-foo'] } }
+        expect(splitConfig(config)[0]).to.deep.equal({
+          params: { a: 1, sort: '-foo' },
+        })
+      })
+    })
+
+    describe('queryParams', function() {
+      it('should convert a query description to JSONAPI params', function() {
+        const { queryParams } = jm._testing
+        const query = {
+          include: ['author.comments', 'tags'],
+          fields: { widget: ['name', 'color'], author: 'name' },
+          sort: ['-created', 'name'],
+          filter: { color: 'red', author: { name: 'bob' } },
+          page: { number: 2, size: 10 },
+        }
+        expect(queryParams(query)).to.deep.equal({
+          include: 'author.comments,tags',
+          'fields[widget]': 'name,color',
+          'fields[author]': 'name',
+          sort: '-created,name',
+          'filter[color]': 'red',
+          'filter[author][name]': 'bob',
+          'page[number]': 2,
+          'page[size]': 10,
+        })
+      })
+      it('should ignore other options', function() {
+        const { queryParams } = jm._testing
+        expect(queryParams({ query: 'widgets' })).to.deep.equal({})
+        expect(queryParams()).to.deep.equal({})
+      })
+    })
+
+    describe('uuid', function() {
+      it('should generate a version 4 UUID', function() {
+        const { uuid } = jm._testing
+        const id = uuid()
+        expect(id).to.match(
+          /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/
+        )
+        expect(uuid()).to.not.equal(id)
+      })
+    })
+
+    describe('pointerField', function() {
+      it('should return the attribute or relationship name', function() {
+        const { pointerField } = jm._testing
+        expect(pointerField('/data/attributes/name')).to.equal('name')
+        expect(pointerField('/data/relationships/widgets')).to.equal('widgets')
+      })
+      it('should join nested attribute names', function() {
+        const { pointerField } = jm._testing
+        expect(pointerField('/data/attributes/address/city')).to.equal(
+          'address.city'
+        )
+      })
+      it('should unescape the pointer', function() {
+        const { pointerField } = jm._testing
+        expect(pointerField('/data/attributes/a~1b~0c')).to.equal('a/b~c')
+      })
+      it('should return undefined for other pointers', function() {
+        const { pointerField } = jm._testing
+        expect(pointerField('/data')).to.be.undefined
+        expect(pointerField('/data/attributes')).to.be.undefined
+        expect(pointerField(undefined)).to.be.undefined
+      })
+    })
+
+    describe('toJsonApiError', function() {
+      const axiosError = (response) =>
+        Object.assign(new Error('Request failed'), { response: response })
+
+      it('should parse JSONAPI error objects', function() {
+        const { toJsonApiError, JsonApiError } = jm._testing
+        const error = axiosError({
+          status: 422,
+          data: {
+            errors: [
+              {
+                status: '422',
+                code: 'blank',
+                title: 'Invalid attribute',
+                detail: 'Name must not be blank',
+                source: { pointer: '/data/attributes/name' },
+              },
+              { title: 'Bad filter', source: { parameter: 'filter' } },
+            ],
+          },
+        })
+        const exc = toJsonApiError(error)
+        expect(exc).to.be.instanceof(JsonApiError)
+        expect(exc.message).to.equal('Name must not be blank')
+        expect(exc.status).to.equal(422)
+        expect(exc.errors[0]).to.include({
+          status: '422',
+          code: 'blank',
+          title: 'Invalid attribute',
+          detail: 'Name must not be blank',
+          pointer: '/data/attributes/name',
+          field: 'name',
+        })
+        expect(exc.errors[1]).to.include({
+          status: '422',
+          title: 'Bad filter',
+          parameter: 'filter',
+        })
+      })
+      it('should handle non-JSONAPI error bodies', function() {
+        const { toJsonApiError } = jm._testing
+        const exc = toJsonApiError(
+          axiosError({
+            status: 502,
+            statusText: 'Bad Gateway',
+            data: '<html>oops</html>',
+          })
+        )
+        expect(exc.message).to.equal('<html>oops</html>')
+        expect(exc.errors).to.deep.equal([
+          { status: '502', title: 'Bad Gateway', detail: '<html>oops</html>' },
+        ])
+      })
+      it('should handle errors without a response', function() {
+        const { toJsonApiError } = jm._testing
+        const exc = toJsonApiError(new Error('Network Error'))
+        expect(exc.message).to.equal('Network Error')
+        expect(exc.status).to.be.undefined
+        expect(exc.errors[0]['title']).to.equal('Network Error')
+      })
+      it('should not convert a JsonApiError again', function() {
+        const { toJsonApiError, JsonApiError } = jm._testing
+        const exc = new JsonApiError('hello')
+        expect(toJsonApiError(exc)).to.equal(exc)
+      })
+    })
+
+    describe('queryString', function() {
+      it('should convert params to a query string', function() {
+        const { queryString } = jm._testing
+        const params = { 'fields[widget]': 'name,color', 'filter[q]': 'a b&c' }
+        expect(queryString(params)).to.equal(
+          'fields[widget]=name,color&filter[q]=a%20b%26c'
+        )
+      })
     })
 
     describe('processIncludedRecords', function() {
       it('should process included records', function() {
-        const { processIncludedRecords } = _testing
+        const { processIncludedRecords } = jm._testing
         jsonWidget1['included'] = [jsonWidget2]
         processIncludedRecords(stubContext, { data: jsonWidget1 })
         expect(stubContext.commit).to.have.been.calledWith('addRecords')
@@ -365,32 +1562,46 @@ describe('jsonapi-vuex tests', function() {
 
     describe('getTypeId', function() {
       it('should get type & id from string', function() {
-        const { getTypeId } = _testing
+        const { getTypeId } = jm._testing
         expect(getTypeId('widget/1')).to.deep.equal(['widget', '1'])
       })
       it('should get type only from string', function() {
-        const { getTypeId } = _testing
+        const { getTypeId } = jm._testing
         expect(getTypeId('widget')).to.deep.equal(['widget'])
       })
       it('should get type, id & relname from string', function() {
-        const { getTypeId } = _testing
+        const { getTypeId } = jm._testing
         expect(getTypeId('widget/1/relname')).to.deep.equal([
           'widget',
           '1',
           'relname',
         ])
       })
+      it('should ignore a query string', function() {
+        const { getTypeId } = jm._testing
+        expect(getTypeId('widget/1?include=widgets')).to.deep.equal([
+          'widget',
+          '1',
+        ])
+        expect(getTypeId('widget?page[number]=2#top')).to.deep.equal(['widget'])
+      })
       it('should get type & id from norm data', function() {
-        const { getTypeId } = _testing
+        const { getTypeId } = jm._testing
         expect(getTypeId(normWidget1)).to.deep.equal(['widget', '1'])
       })
       it('should get type only from norm data', function() {
-        const { getTypeId } = _testing
+        const { getTypeId } = jm._testing
         delete normWidget1['_jv']['id']
         expect(getTypeId(normWidget1)).to.deep.equal(['widget'])
       })
+      it('should get type & local id from norm data with no id', function() {
+        const { getTypeId } = jm._testing
+        expect(
+          getTypeId({ _jv: { type: 'widget', lid: 'abc' } })
+        ).to.deep.equal(['widget', 'abc'])
+      })
       it('should uri encode type and/or id', function() {
-        const { getTypeId } = _testing
+        const { getTypeId } = jm._testing
         const urlWidget = {
           _jv: {
             type: '/#',
@@ -403,40 +1614,40 @@ describe('jsonapi-vuex tests', function() {
 
     describe('jsonapiToNormItem', function() {
       it('should convert jsonapi to normalized for a single item', function() {
-        const { jsonapiToNormItem } = _testing
+        const { jsonapiToNormItem } = jm._testing
         expect(jsonapiToNormItem(jsonWidget1)).to.deep.equal(normWidget1)
       })
       it("should preserve deeply nested '_jv' keys", function() {
-        const { jsonapiToNormItem } = _testing
+        const { jsonapiToNormItem } = jm._testing
         expect(jsonapiToNormItem(jsonWidget1)).to.deep.equal(normWidget1)
       })
     })
 
     describe('jsonapiToNorm', function() {
       it('should convert jsonapi to normalized for a single item', function() {
-        const { jsonapiToNorm } = _testing
+        const { jsonapiToNorm } = jm._testing
         expect(jsonapiToNorm(jsonWidget1)).to.deep.equal(normWidget1)
       })
 
       it('should convert jsonapi to normalized for an array of records', function() {
-        const { jsonapiToNorm } = _testing
+        const { jsonapiToNorm } = jm._testing
         expect(jsonapiToNorm(jsonRecord['data'])).to.deep.equal(normRecord)
       })
 
       it('should return an empty object if input is undefined', function() {
-        const { jsonapiToNorm } = _testing
+        const { jsonapiToNorm } = jm._testing
         expect(jsonapiToNorm(undefined)).to.deep.equal({})
       })
     })
 
     describe('normToJsonapi', function() {
       it('should convert normalized to jsonapi for multiple items', function() {
-        const { normToJsonapi } = _testing
+        const { normToJsonapi } = jm._testing
         expect(normToJsonapi(normRecord)).to.deep.equal(jsonRecord)
       })
 
       it('should convert normalized to jsonapi for a single item', function() {
-        const { normToJsonapi } = _testing
+        const { normToJsonapi } = jm._testing
         expect(normToJsonapi(normWidget1)).to.deep.equal({
           data: jsonWidget1,
         })
@@ -445,62 +1656,88 @@ describe('jsonapi-vuex tests', function() {
 
     describe('normToJsonapiItem', function() {
       it('should convert normalized to jsonapi for a single item', function() {
-        const { normToJsonapiItem } = _testing
+        const { normToJsonapiItem } = jm._testing
         expect(normToJsonapiItem(normWidget1)).to.deep.equal(jsonWidget1)
       })
       it('should convert normalized to jsonapi with root rels', function() {
         jm = jsonapiModule(api, { followRelationshipsData: true })
-        const { normToJsonapiItem, addJvHelpers } = _testing
+        const { normToJsonapiItem, addJvHelpers } = jm._testing
         // Add JvHelper methods to object
         normWidget1Rels = addJvHelpers(normWidget1Rels)
         expect(normToJsonapiItem(normWidget1Rels)).to.deep.equal(jsonWidget1)
       })
       it('should convert normalized to jsonapi for a single item with no id (POST)', function() {
-        const { normToJsonapiItem } = _testing
+        const { normToJsonapiItem } = jm._testing
         delete normWidget1['_jv']['id']
         delete jsonWidget1['id']
         expect(normToJsonapiItem(normWidget1)).to.deep.equal(jsonWidget1)
       })
+      it('should include a local id (lid)', function() {
+        const { normToJsonapiItem } = jm._testing
+        delete normWidget1['_jv']['id']
+        normWidget1['_jv']['lid'] = 'abc'
+        expect(normToJsonapiItem(normWidget1)).to.include({
+          lid: 'abc',
+          type: 'widget',
+        })
+      })
     })
 
     describe('normToStore', function() {
       it('should convert normalized to store', function() {
-        const { normToStore } = _testing
+        const { normToStore } = jm._testing
         expect(normToStore(normRecord)).to.deep.equal(storeRecord)
       })
       it('should convert normalized to store for a single item', function() {
-        const { normToStore } = _testing
+        const { normToStore } = jm._testing
         expect(normToStore(normWidget1)).to.deep.equal(storeWidget1)
       })
       it('should convert normalized item to store, removing rels from root', function() {
-        const { normToStore, addJvHelpers } = _testing
+        const { normToStore, addJvHelpers } = jm._testing
         jm = jsonapiModule(api, { followRelationshipsData: true })
         normWidget1Rels = addJvHelpers(normWidget1Rels)
         expect(normToStore(normWidget1Rels)).to.have.all.keys(storeWidget1)
       })
+      it('should key records without an id by their local id', function() {
+        const { normToStore } = jm._testing
+        const record = { _jv: { type: 'widget', lid: 'abc' } }
+        expect(normToStore(record)).to.deep.equal({ widget: { abc: record } })
+      })
       it('should convert normalized records to store, removing rels from root', function() {
-        const { normToStore, addJvHelpers } = _testing
+        const { normToStore, addJvHelpers } = jm._testing
         jm = jsonapiModule(api, { followRelationshipsData: true })
         for (let item of Object.values(normRecordRels)) {
           item = addJvHelpers(item)
         }
         expect(normToStore(normRecordRels)).to.have.all.keys(storeRecord)
       })
+      it('should not remove rels from root for types not following relationships', function() {
+        jm = jsonapiModule(api, {
+          followRelationshipsData: true,
+          types: { widget: { followRelationshipsData: false } },
+        })
+        const { normToStore } = jm._testing
+        const record = {
+          widgets: {},
+          _jv: { type: 'widget', id: '1', rels: { widgets: {} } },
+        }
+        expect(normToStore(record)['widget']['1']).to.have.property('widgets')
+      })
     })
     describe('unpackArgs', function() {
       it('Should convert a single arg into an array with empty config', function() {
-        const { unpackArgs } = _testing
+        const { unpackArgs } = jm._testing
         expect(unpackArgs('splat')).to.deep.equal(['splat', {}])
       })
       it('Should leave an args array as-is', function() {
-        const { unpackArgs } = _testing
+        const { unpackArgs } = jm._testing
         expect(unpackArgs(['splat', {}])).to.deep.equal(['splat', {}])
       })
     })
 
     describe('followRelationships', function() {
       it('should add a property relName.<getter> to the root (single item)', function() {
-        const { followRelationships } = _testing
+        const { followRelationships } = jm._testing
         const getters = { get: sinon.stub() }
         let rels = followRelationships(storeRecord, getters, normWidget1)
         // Test if the the relName value is a getter
@@ -509,7 +1746,7 @@ describe('jsonapi-vuex tests', function() {
         ).to.have.property('get')
       })
       it('should add a property relName.id.<getter> to the root (array)', function() {
-        const { followRelationships } = _testing
+        const { followRelationships } = jm._testing
         const getters = { get: sinon.stub() }
         let rels = followRelationships(storeRecord, getters, normWidget2)
         for (let id of Object.keys(rels['widgets'])) {
@@ -521,15 +1758,57 @@ describe('jsonapi-vuex tests', function() {
       })
     })
 
+    describe('checkAndFollowRelationships', function() {
+      it('should only follow relationships for types with followRelationshipsData set', function() {
+        jm = jsonapiModule(api, {
+          followRelationshipsData: false,
+          types: { widget: { followRelationshipsData: true } },
+        })
+        const { checkAndFollowRelationships } = jm._testing
+        const getters = { get: sinon.stub() }
+        const doohickey = { _jv: { type: 'doohickey', id: '3' } }
+        const records = checkAndFollowRelationships(storeRecord, getters, {
+          1: normWidget1,
+          3: doohickey,
+        })
+        expect(
+          Object.getOwnPropertyDescriptor(records['1'], 'widgets')
+        ).to.have.property('get')
+        expect(records['3']).to.equal(doohickey)
+      })
+    })
+
+    describe('preserveJSON', function() {
+      it('should preserve json only for types with preserveJson set', function() {
+        jm = jsonapiModule(api, { types: { widget: { preserveJson: true } } })
+        const { preserveJSON } = jm._testing
+        const json = { data: jsonWidget1 }
+        expect(
+          preserveJSON({ _jv: { type: 'widget' } }, json)['_jv']
+        ).to.have.property('json')
+        expect(
+          preserveJSON({ _jv: { type: 'doohickey' } }, json)['_jv']
+        ).to.not.have.property('json')
+      })
+      it('should not modify the json passed in', function() {
+        jm = jsonapiModule(api, { preserveJson: true })
+        const { preserveJSON } = jm._testing
+        const json = { data: jsonWidget1, meta: { total: 1 } }
+        const res = preserveJSON({ _jv: { type: 'widget' } }, json)
+        expect(res['_jv']['json']).to.deep.equal({ meta: { total: 1 } })
+        expect(json).to.have.property('data')
+      })
+    })
+
     describe('actionSequence', function() {
       it('Should return incrementing numbers', function() {
         // Set fake context for timeout callback
         let context = { commit: () => {} }
-        let { actionSequence } = _testing
+        let { actionSequence } = jm._testing
         expect(actionSequence(context)).to.be.below(actionSequence(context))
       })
       it('Should call deleteStatus after timeout', function() {
-        let { actionSequence, jvConfig } = _testing
+        let { actionSequence, jvConfig } = jm._testing
         jvConfig['actionStatusCleanAge'] = 10
         actionSequence(stubContext)
         clock.tick(11000)
@@ -540,7 +1819,7 @@ describe('jsonapi-vuex tests', function() {
     describe('addJvHelpers', function() {
       beforeEach(function() {
         // Apply helper functions to normWidget1
-        const { addJvHelpers } = _testing
+        const { addJvHelpers } = jm._testing
         normWidget1 = addJvHelpers(normWidget1)
         normWidget1Rels = addJvHelpers(normWidget1Rels)
       })
@@ -583,24 +1862,131 @@ describe('jsonapi-vuex tests', function() {
 
     describe('getURL function', function() {
       it('returns the path if a path is provided', function() {
-        expect(_testing.getURL('a/path')).to.equal('a/path')
+        expect(jm._testing.getURL('a/path')).to.equal('a/path')
       })
       describe('on objects', function() {
         describe('without links.self', function() {
           it('computes a path from type and id', function() {
-            expect(_testing.getURL(normWidget2)).to.equal('widget/2')
+            expect(jm._testing.getURL(normWidget2)).to.equal('widget/2')
           })
         })
         describe('with links.self', function() {
           it('uses the URL', function() {
-            expect(_testing.getURL(normWidget1)).to.equal('/weirdPath/1')
+            expect(jm._testing.getURL(normWidget1)).to.equal('/weirdPath/1')
           })
         })
       })
+      describe('with an endpoint', function() {
+        it('uses the endpoint for the type', function() {
+          jm = jsonapiModule(api, {
+            types: { widget: { endpoint: 'api/v2/widgets' } },
+          })
+          expect(jm._testing.getURL(normWidget2)).to.equal('api/v2/widgets/2')
+          expect(jm._testing.getURL(normWidget2, true)).to.equal(
+            'api/v2/widgets'
+          )
+        })
+        it('fills in endpoint params', function() {
+          jm = jsonapiModule(api, {
+            types: { item: { endpoint: 'orders/:order/items' } },
+          })
+          const item = { _jv: { type: 'item', id: '7' } }
+          expect(
+            jm._testing.getURL(item, false, undefined, { order: 5 })
+          ).to.equal('orders/5/items/7')
+        })
+      })
+      describe('with a query', function() {
+        it('adds a query string', function() {
+          const query = { include: ['widgets'], sort: 'foo' }
+          expect(jm._testing.getURL(normWidget2, false, query)).to.equal(
+            'widget/2?include=widgets&sort=foo'
+          )
+        })
+        it('appends to an existing query string', function() {
+          const query = { page: { number: 2 } }
+          expect(jm._testing.getURL('widget?sort=foo', false, query)).to.equal(
+            'widget?sort=foo&page[number]=2'
+          )
+        })
+      })
+    })
+    describe('getEndpoint', function() {
+      it('should use the type as the endpoint by default', function() {
+        const { getEndpoint } = jm._testing
+        expect(getEndpoint(normWidget1)).to.equal('widget')
+      })
+      it('should pluralize the type', function() {
+        jm = jsonapiModule(api, { pluralize: true })
+        const { getEndpoint } = jm._testing
+        expect(getEndpoint(normWidget1)).to.equal('widgets')
+      })
+      it('should use a custom pluralize function', function() {
+        jm = jsonapiModule(api, { pluralize: (type) => type + 'z' })
+        const { getEndpoint } = jm._testing
+        expect(getEndpoint(normWidget1)).to.equal('widgetz')
+      })
+      it('should call an endpoint function', function() {
+        const endpoint = sinon.stub().returns('custom')
+        jm = jsonapiModule(api, { endpoint: endpoint })
+        const { getEndpoint } = jm._testing
+        const params = { foo: 'bar' }
+        expect(getEndpoint(normWidget1, params)).to.equal('custom')
+        expect(endpoint).to.have.been.calledWith(normWidget1, params)
+      })
+      it('should fill in placeholders from params, then to-one relationships', function() {
+        jm = jsonapiModule(api, {
+          types: { item: { endpoint: '/shops/:shop/orders/:order/items' } },
+        })
+        const { getEndpoint } = jm._testing
+        const item = {
+          _jv: {
+            type: 'item',
+            relationships: { order: { data: { type: 'order', id: 'a/5' } } },
+          },
+        }
+        expect(getEndpoint(item, { shop: 1 })).to.equal(
+          '/shops/1/orders/a%2F5/items'
+        )
+      })
+      it('should throw if a placeholder has no value', function() {
+        jm = jsonapiModule(api, {
+          types: { item: { endpoint: 'orders/:order/items' } },
+        })
+        const { getEndpoint } = jm._testing
+        expect(() => getEndpoint({ _jv: { type: 'item' } })).to.throw(
+          _testing.RecordError,
+          'order'
+        )
+      })
+    })
+    describe('pluralize', function() {
+      it('should pluralize words', function() {
+        const { pluralize } = jm._testing
+        expect(pluralize('widget')).to.equal('widgets')
+        expect(pluralize('category')).to.equal('categories')
+        expect(pluralize('day')).to.equal('days')
+        expect(pluralize('box')).to.equal('boxes')
+        expect(pluralize('batch')).to.equal('batches')
+      })
+    })
+    describe('relationshipURL', function() {
+      it('should return the relationship path for a record', function() {
+        const { relationshipURL } = jm._testing
+        expect(relationshipURL(normWidget2, 'widgets')).to.equal(
+          'widget/2/relationships/widgets'
+        )
+      })
+      it('should return the relationship path for a string path', function() {
+        const { relationshipURL } = jm._testing
+        expect(relationshipURL('widget/2/widgets', 'widgets')).to.equal(
+          'widget/2/relationships/widgets'
+        )
+      })
     })
     describe('getRelationships', function() {
       it('should add a getter for a relationship (single item)', function() {
-        const { getRelationships } = _testing
+        const { getRelationships } = jm._testing
         const getters = { get: sinon.stub() }
         let rels = getRelationships(getters, normWidget1)
         // Test if the the relName value is a getter
@@ -609,7 +1995,7 @@ describe('jsonapi-vuex tests', function() {
         ).to.have.property('get')
       })
       it('Should add a getter for a relationship (array)', function() {
-        const { getRelationships } = _testing
+        const { getRelationships } = jm._testing
         const getters = { get: sinon.stub() }
         let rels = getRelationships(getters, normWidget2)
         // Test if the the relName value is a getter
@@ -620,7 +2006,7 @@ describe('jsonapi-vuex tests', function() {
         }
       })
       it('Should not limit recursion (recurseRelationships)', function() {
-        const { getRelationships, jvConfig } = _testing
+        const { getRelationships, jvConfig } = jm._testing
         jvConfig.recurseRelationships = true
         const getStub = sinon.stub()
         // Mark widget/2 (rel of widget/1) as already seen
@@ -633,7 +2019,7 @@ describe('jsonapi-vuex tests', function() {
         expect(getStub.args[0][2]).to.not.deep.equal(seen)
       })
       it('Should limit recursion (!recurseRelationships)', function() {
-        const { getRelationships, jvConfig } = _testing
+        const { getRelationships, jvConfig } = jm._testing
         jvConfig.recurseRelationships = false
         const getStub = sinon.stub()
         // Mark widget/2 (rel of widget/1) as already seen
@@ -777,8 +2163,293 @@ describe('jsonapi-vuex tests', function() {
           // throw anyway to break the test suite if we reach this point
           throw 'Should have thrown an error (no id)'
         } catch (error) {
-          expect(error).to.equal('No type/id specified')
+          expect(error).to.be.instanceof(_testing.RecordError)
+          expect(error.message).to.equal('getRelated: No type/id specified')
+        }
+      })
+    })
+
+    describe('query', function() {
+      it('should return the records of a query in order', function() {
+        const { get, query } = jm.getters
+        storeRecord['_jvQueries'] = {
+          widgets: {
+            data: [
+              { type: 'widget', id: '3' },
+              { type: 'widget', id: '1' },
+            ],
+          },
+        }
+        const getters = { get: get(storeRecord) }
+        const result = query(storeRecord, getters)('widgets')
+        expect(result).to.deep.equal([normWidget3, normWidget1])
+      })
+      it('should skip records which are not in the store', function() {
+        const { get, query } = jm.getters
+        storeRecord['_jvQueries'] = {
+          widgets: { data: [{ type: 'widget', id: '99' }] },
+        }
+        const getters = { get: get(storeRecord) }
+        expect(query(storeRecord, getters)('widgets')).to.deep.equal([])
+      })
+      it('should return an empty array for an unknown query', function() {
+        const { query } = jm.getters
+        expect(query({})('nosuchquery')).to.deep.equal([])
+      })
+    })
+
+    describe('isComplete', function() {
+      it('should return true for records fetched without sparse fieldsets', function() {
+        const { isComplete } = jm.getters
+        expect(isComplete(storeRecord)('widget/1')).to.be.true
+        expect(isComplete(storeRecord)(normWidget1, ['foo'])).to.be.true
+      })
+      it('should check the fields of sparse records', function() {
+        const { isComplete } = jm.getters
+        const state = {
+          widget: {
+            1: { foo: 1, _jv: { type: 'widget', id: '1', fields: ['foo'] } },
+          },
+        }
+        expect(isComplete(state)('widget/1', ['foo'])).to.be.true
+        expect(isComplete(state)('widget/1', ['foo', 'bar'])).to.be.false
+        expect(isComplete(state)('widget/1')).to.be.false
+      })
+      it('should return false for records not in the store', function() {
+        const { isComplete } = jm.getters
+        expect(isComplete(storeRecord)('widget/99')).to.be.false
+      })
+    })
+
+    describe('changedAttributes', function() {
+      it('should return the attributes changed since the record was fetched', function() {
+        const { changedAttributes } = jm.getters
+        const state = {
+          widget: {
+            1: {
+              foo: 1,
+              bar: 'local',
+              baz: [1, 2],
+              _jv: { type: 'widget', id: '1' },
+            },
+          },
+          _jvPristine: {
+            widget: {
+              1: {
+                foo: 1,
+                bar: 2,
+                baz: [1, 2],
+                _jv: { type: 'widget', id: '1' },
+              },
+            },
+          },
+        }
+        expect(changedAttributes(state)('widget/1')).to.deep.equal({
+          bar: 'local',
+        })
+      })
+      it('should return no changes for records without a pristine copy', function() {
+        const { changedAttributes } = jm.getters
+        expect(changedAttributes(storeRecord)('widget/1')).to.deep.equal({})
+        expect(changedAttributes(storeRecord)('widget/99')).to.deep.equal({})
+      })
+    })
+
+    describe('isDirty', function() {
+      let state, getters
+
+      beforeEach(function() {
+        const { changedAttributes } = jm.getters
+        const record = () => ({
+          foo: 1,
+          _jv: {
+            type: 'widget',
+            id: '1',
+            relationships: { widgets: { data: [] } },
+          },
+        })
+        state = {
+          widget: { 1: record() },
+          _jvPristine: { widget: { 1: record() } },
         }
+        getters = { changedAttributes: changedAttributes(state) }
+      })
+
+      it('should return false for unchanged records', function() {
+        const { isDirty } = jm.getters
+        expect(isDirty(state, getters)('widget/1')).to.be.false
+        expect(isDirty(state, getters)('widget/99')).to.be.false
+      })
+      it('should return true if an attribute has changed', function() {
+        const { isDirty } = jm.getters
+        state['widget']['1']['foo'] = 2
+        expect(isDirty(state, getters)('widget/1')).to.be.true
+      })
+      it('should return true if a relationship has changed', function() {
+        const { isDirty } = jm.getters
+        state['widget']['1']['_jv']['relationships']['widgets']['data'].push({
+          type: 'widget',
+          id: '2',
+        })
+        expect(isDirty(state, getters)('widget/1')).to.be.true
+      })
+      it('should return true for records which have not been saved', function() {
+        const { isDirty } = jm.getters
+        state['widget']['abc'] = { _jv: { type: 'widget', lid: 'abc' } }
+        expect(isDirty(state, getters)('widget/abc')).to.be.true
+      })
+    })
+
+    describe('createDraft', function() {
+      it('should return a detached copy of a record, with helpers', function() {
+        const { createDraft } = jm.getters
+        const draft = createDraft(storeRecord)('widget/1')
+        expect(draft).to.deep.include({ foo: 1, bar: 'baz' })
+        expect(draft['_jv']['attrs']).to.deep.equal({ foo: 1, bar: 'baz' })
+        draft['foo'] = 'update'
+        expect(storeRecord['widget']['1']['foo']).to.equal(1)
+      })
+      it('should create a draft of a new record', function() {
+        const { createDraft } = jm.getters
+        const record = { foo: 5, _jv: { type: 'widget' } }
+        const draft = createDraft(storeRecord)(record)
+        expect(draft['_jv']['attrs']).to.deep.equal({ foo: 5 })
+        expect(draft).to.not.equal(record)
+      })
+      it('should throw an error for a path not in the store', function() {
+        const { createDraft } = jm.getters
+        expect(() => createDraft(storeRecord)('widget/99')).to.throw(
+          _testing.RecordError
+        )
+      })
+      it('should create drafts of related records', function() {
+        const { createDraft } = jm.getters
+        const draft = createDraft(storeRecord)('widget/2', ['widgets'])
+        expect(draft['widgets']).to.have.all.keys('1', '3')
+        expect(draft['widgets']['1']['_jv']['attrs']).to.deep.equal({
+          foo: 1,
+          bar: 'baz',
+        })
+        draft['widgets']['1']['foo'] = 'update'
+        expect(storeRecord['widget']['1']['foo']).to.equal(1)
+      })
+    })
+
+    describe('draftChanges', function() {
+      it('should return only changed attributes and relationships', function() {
+        const { createDraft, draftChanges } = jm._testing
+        const draft = createDraft(storeRecord, 'widget/1', [])
+        draft['foo'] = 'update'
+        draft['_jv']['relationships']['widgets']['data'] = null
+        expect(draftChanges(draft)).to.deep.equal({
+          foo: 'update',
+          _jv: {
+            type: 'widget',
+            id: '1',
+            relationships: { widgets: { data: null } },
+          },
+        })
+      })
+      it('should return null if nothing has changed', function() {
+        const { createDraft, draftChanges } = jm._testing
+        const draft = createDraft(storeRecord, 'widget/1', [])
+        expect(draftChanges(draft)).to.be.null
+      })
+    })
+
+    describe('errors', function() {
+      it('should return the errors for a record', function() {
+        const { errors } = jm.getters
+        const errs = [{ field: 'name' }]
+        const state = { _jvErrors: { widget: { 1: errs } } }
+        expect(errors(state)('widget/1')).to.equal(errs)
+        expect(errors(state)(normWidget1)).to.equal(errs)
+      })
+      it('should return an empty array for a record without errors', function() {
+        const { errors } = jm.getters
+        expect(errors({ _jvErrors: {} })('widget/1')).to.deep.equal([])
+      })
+    })
+
+    describe('fieldErrors', function() {
+      it('should return the errors for a field (including nested fields)', function() {
+        const { errors, fieldErrors } = jm.getters
+        const state = {
+          _jvErrors: {
+            widget: {
+              1: [
+                { field: 'name' },
+                { field: 'address.city' },
+                { field: 'addressee' },
+                { title: 'No field' },
+              ],
+            },
+          },
+        }
+        const getters = { errors: errors(state) }
+        expect(fieldErrors(state, getters)('widget/1', 'name')).to.deep.equal([
+          { field: 'name' },
+        ])
+        expect(
+          fieldErrors(state, getters)('widget/1', 'address')
+        ).to.deep.equal([{ field: 'address.city' }])
+      })
+    })
+
+    describe('hasNext', function() {
+      it('should return true if the query has a next link', function() {
+        const { hasNext } = jm.getters
+        const state = { _jvQueries: { widgets: { links: { next: '/w' } } } }
+        expect(hasNext(state)('widgets')).to.be.true
+      })
+      it('should return false if the query has no next link', function() {
+        const { hasNext } = jm.getters
+        const state = { _jvQueries: { widgets: { links: { prev: '/w' } } } }
+        expect(hasNext(state)('widgets')).to.be.false
+        expect(hasNext(state)('nosuchquery')).to.be.false
+      })
+    })
+
+    describe('meta', function() {
+      it('should return the meta of a query', function() {
+        const { meta } = jm.getters
+        const state = { _jvQueries: { widgets: { meta: { total: 3 } } } }
+        expect(meta(state)('widgets')).to.deep.equal({ total: 3 })
+        expect(meta(state)('unknown')).to.deep.equal({})
+      })
+      it('should return the meta of a single record document', function() {
+        const { meta } = jm.getters
+        const state = {
+          _jvQueries: {},
+          _jvDocuments: { 'widget/1': { meta: { copyright: 'Example' } } },
+        }
+        expect(meta(state)('widget/1')).to.deep.equal({ copyright: 'Example' })
+      })
+    })
+
+    describe('links', function() {
+      it('should return the links of a query', function() {
+        const { links } = jm.getters
+        const state = { _jvDocuments: { widgets: { links: { self: '/w' } } } }
+        expect(links(state)('widgets')).to.deep.equal({ self: '/w' })
+      })
+    })
+
+    describe('jsonapi', function() {
+      it('should return the jsonapi object of a query', function() {
+        const { jsonapi } = jm.getters
+        const state = {
+          _jvDocuments: { widgets: { jsonapi: { version: '1.1' } } },
+        }
+        expect(jsonapi(state)('widgets')).to.deep.equal({ version: '1.1' })
+      })
+    })
+
+    describe('hasPrev', function() {
+      it('should return true if the query has a prev link', function() {
+        const { hasPrev } = jm.getters
+        const state = { _jvQueries: { widgets: { links: { prev: '/w' } } } }
+        expect(hasPrev(state)('widgets')).to.be.true
       })
     })
 
@@ -825,5 +2496,18 @@ describe('jsonapi-vuex tests', function() {
         expect(exc.value).to.equal(obj)
       })
     })
+    describe('JsonApiError', function() {
+      it('Should have a message, the original error and its response', function() {
+        const response = { status: 500 }
+        const err = Object.assign(new Error('failed'), { response: response })
+        const errors = [{ title: 'failed' }]
+        const exc = new _testing.JsonApiError('hello', err, errors)
+        expect(exc.message).to.equal('hello')
+        expect(exc.value).to.equal(err)
+        expect(exc.response).to.equal(response)
+        expect(exc.status).to.equal(500)
+        expect(exc.errors).to.equal(errors)
+      })
+    })
   }) // Exceptions
 })
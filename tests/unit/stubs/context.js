@@ -1,6 +1,8 @@
 import sinon from 'sinon'
 
-export default function(jsonapiModule) {
+// options.records - apply commits to the module's own state, seeded with these records
+// (as if fetched from the API, so with pristine copies and fetched times)
+export default function(jsonapiModule, options = {}) {
   if (!jsonapiModule) {
     throw new Error('No jsonapiModule passed to stub context creator')
   }
@@ -16,5 +18,20 @@ export default function(jsonapiModule) {
     },
   }
 
+  if (options.records) {
+    stubContext['state'] = jsonapiModule.state
+    stubContext.commit = sinon.spy((name, payload) => {
+      jsonapiModule.mutations[name](stubContext['state'], payload)
+    })
+    for (let record of options.records) {
+      stubContext.commit('addRecords', record)
+    }
+    stubContext.commit('setFetched', {
+      records: options.records.map((record) => record['_jv']),
+      time: Date.now(),
+    })
+    stubContext.commit.resetHistory()
+  }
+
   return stubContext
 }